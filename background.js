@@ -7,12 +7,18 @@
 //   - Message routing between side panel ↔ content scripts
 //   - On-demand injection into non-Curve pages (insurer portals)
 //   - Extension install / update events
+//   - Periodic retention purge of cached patient data (chrome.alarms)
 // ============================================================
 
+// Shared LLM provider layer, outbound audit log and retention policy (attach to self.PracticePilot)
+importScripts("shared/audit-log.js", "shared/secure-store.js", "shared/retention.js", "shared/llm-provider.js");
+
 // ── Content script file list (injection order matters) ────
 
 const CONTENT_SCRIPTS = [
   "content/page-detector.js",
+  "content/payer-adapters.js",
+  "content/structured-text.js",
   "content/main.js",
 ];
 
@@ -40,6 +46,18 @@ chrome.runtime.onInstalled.addListener((details) => {
   }
 });
 
+// ── Retention purge ───────────────────────────────────────
+
+chrome.runtime.onInstalled.addListener(() => self.PracticePilot.retention.schedule());
+chrome.runtime.onStartup.addListener(() => self.PracticePilot.retention.schedule());
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name !== self.PracticePilot.retention.ALARM_NAME) return;
+  self.PracticePilot.retention.run()
+    .then(status => console.log("[PracticePilot] Retention purge:", status.removed, status.skipped.length ? `(locked: ${status.skipped.join(", ")})` : ""))
+    .catch(e => console.warn("[PracticePilot] Retention purge failed:", e));
+});
+
 // ── Open Side Panel on icon click ─────────────────────────
 
 chrome.action.onClicked.addListener(async (tab) => {
@@ -215,66 +233,7 @@ function isSupportedPage(url) {
 // ── API connection test (runs in service worker context) ──
 
 async function handleTestConnection(config) {
-  if (!config?.apiKey) {
-    return { ok: false, error: "No API key provided" };
-  }
-
-  try {
-    const testPrompt = 'Return this exact JSON: {"status": "ok"}';
-
-    if (config.provider === "anthropic") {
-      const response = await fetch("https://api.anthropic.com/v1/messages", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "x-api-key": config.apiKey,
-          "anthropic-version": "2023-06-01",
-          "anthropic-dangerous-direct-browser-access": "true",
-        },
-        body: JSON.stringify({
-          model: config.model || "claude-sonnet-4-20250514",
-          max_tokens: 50,
-          temperature: 0,
-          messages: [{ role: "user", content: testPrompt }],
-        }),
-      });
-
-      if (!response.ok) {
-        const err = await response.text();
-        return { ok: false, error: `API error (${response.status}): ${err.substring(0, 200)}` };
-      }
-
-      return { ok: true };
-    } else {
-      // OpenAI or compatible
-      const baseUrl = config.baseUrl || "https://api.openai.com/v1";
-      const response = await fetch(`${baseUrl}/chat/completions`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "Authorization": `Bearer ${config.apiKey}`,
-        },
-        body: JSON.stringify({
-          model: config.model || "gpt-4o-mini",
-          max_tokens: 50,
-          temperature: 0,
-          messages: [
-            { role: "system", content: "You are a test assistant." },
-            { role: "user", content: testPrompt },
-          ],
-        }),
-      });
-
-      if (!response.ok) {
-        const err = await response.text();
-        return { ok: false, error: `API error (${response.status}): ${err.substring(0, 200)}` };
-      }
-
-      return { ok: true };
-    }
-  } catch (e) {
-    return { ok: false, error: e.message };
-  }
+  return self.PracticePilot.llmProvider.testConnection(config);
 }
 
 // ── Tab activation: show badge hint on supported pages ───
@@ -51,15 +51,37 @@ REQUIRED_FILES=(
   "content/main.js"
   "content/panel.css"
   "content/page-detector.js"
+  "content/payer-adapters.js"
+  "content/structured-text.js"
   "content/eligibility-parser.js"
+  "content/schedule-parser.js"
+  "shared/audit-log.js"
+  "shared/secure-store.js"
+  "shared/retention.js"
+  "shared/phi-vault.js"
+  "shared/phi-detectors.js"
   "shared/phi-redactor.js"
+  "shared/phi-guard.js"
   "shared/normalize.js"
+  "shared/provenance.js"
+  "shared/card-editor.js"
   "shared/storage.js"
   "shared/formatter.js"
   "shared/cdt-codes.js"
+  "shared/fee-schedule.js"
+  "shared/cost-estimator.js"
+  "shared/frequency-tracker.js"
+  "shared/card-diff.js"
+  "shared/capture-session.js"
+  "shared/pdf-text.js"
+  "shared/json-repair.js"
+  "shared/llm-provider.js"
   "shared/llm-extractor.js"
   "shared/patient-context.js"
   "shared/action-engine.js"
+  "shared/huddle.js"
+  "shared/verify-queue.js"
+  "shared/chat-tools.js"
   "ui/popup.html"
   "ui/popup.js"
 )
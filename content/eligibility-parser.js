@@ -10,8 +10,13 @@
 //
 // This parser is intentionally broad — it uses heuristics to
 // find benefit data regardless of exact page layout.
-// Once we see the real Curve eligibility page, we can add
-// targeted selectors for higher accuracy.
+//
+// parseText() is the deterministic first stage of benefit
+// extraction in the side panel: it reads Curve's native
+// eligibility response (Seq#001–Seq#004 coinsurance blocks +
+// Benefit Period limits) from plain text, so a BenefitCard can
+// be built without an API key. llmExtractor asks the LLM only
+// for the fields this leaves empty (parser values always win).
 // ============================================================
 
 (function() {
@@ -75,10 +80,240 @@ PracticePilot.eligibilityParser = {
     return data;
   },
 
+  // ── Deterministic text parser (Curve eligibility response) ──
+
+  // Coverage categories, in BenefitCard.coverageTable order
+  CATEGORIES: [
+    { category: "Diagnostic",                  cdtRange: "D0100-D0999", key: "coverageDiagnostic" },
+    { category: "Preventive",                   cdtRange: "D1000-D1999", key: "coveragePreventive" },
+    { category: "Restorative",                  cdtRange: "D2000-D2399", key: "coverageRestorative" },
+    { category: "Crowns",                       cdtRange: "D2400-D2999", key: "coverageCrowns" },
+    { category: "Endodontics",                  cdtRange: "D3000-D3999", key: "coverageEndodontics" },
+    { category: "Periodontics",                 cdtRange: "D4000-D4999", key: "coveragePeriodontics" },
+    { category: "Prosthodontics, Removable",    cdtRange: "D5000-D5899", key: "coverageProsthodonticsRemovable" },
+    { category: "Maxillofacial Prosthetics",    cdtRange: "D5900-D5999", key: "coverageMaxillofacial" },
+    { category: "Implant Services",             cdtRange: "D6000-D6199", key: "coverageImplants" },
+    { category: "Prosthodontics, Fixed",        cdtRange: "D6200-D6999", key: "coverageProsthodonticsFixed" },
+    { category: "Oral & Maxillofacial Surgery", cdtRange: "D7000-D7999", key: "coverageOralSurgery" },
+    { category: "Orthodontics",                 cdtRange: "D8000-D8999", key: "coverageOrthodontics" },
+    { category: "Adjunctive General Services",  cdtRange: "D9000-D9999", key: "coverageAdjunctive" },
+  ],
+
+  // Service-type wording in a Seq# block → coverage categories.
+  // Order matters: more specific phrases first.
+  SERVICE_TYPES: [
+    [/maxillofacial/i,                     ["Maxillofacial Prosthetics"]],
+    [/prosthodontic/i,                     ["Prosthodontics, Removable", "Prosthodontics, Fixed"]],
+    [/oral\s*surgery/i,                    ["Oral & Maxillofacial Surgery"]],
+    [/diagnostic/i,                        ["Diagnostic"]],
+    [/preventive|routine/i,                ["Preventive"]],
+    [/restorative/i,                       ["Restorative"]],
+    [/crown/i,                             ["Crowns"]],
+    [/endodontic/i,                        ["Endodontics"]],
+    [/periodontic/i,                       ["Periodontics"]],
+    [/implant/i,                           ["Implant Services"]],
+    [/orthodontic/i,                       ["Orthodontics"]],
+    [/adjunctive/i,                        ["Adjunctive General Services"]],
+  ],
+
+  // What each sequence means when the block names no service types.
+  // Basic/Major only claim the categories every plan puts there —
+  // endo/perio/oral surgery/implants vary by plan and are left for
+  // the LLM (or staff) to fill.
+  SEQ_DEFAULTS: {
+    "001": ["Diagnostic", "Preventive"],
+    "002": ["Restorative"],
+    "003": ["Crowns", "Prosthodontics, Removable", "Prosthodontics, Fixed"],
+  },
+
+  // Raw fields that, once filled, make an LLM pass unnecessary
+  CORE_FIELDS: {
+    payer: "Carrier / payer name",
+    deductibleIndividual: "Individual deductible",
+    annualMaxIndividual: "Annual maximum",
+    coverageDiagnostic: "Diagnostic coverage %",
+    coveragePreventive: "Preventive coverage %",
+    coverageRestorative: "Restorative coverage %",
+    coverageCrowns: "Crowns coverage %",
+    freqProphy: "Prophy frequency",
+    freqExam: "Exam frequency",
+    freqBwx: "BWX frequency",
+  },
+
+  /**
+   * Parse eligibility text (already PHI-redacted) into a raw object
+   * for normalize.benefitCard(). Never guesses: anything not found
+   * stays null.
+   */
+  parseText(text) {
+    const raw = {};
+    if (!text) return raw;
+
+    // Card path → source line, for provenance
+    const evidence = {};
+
+    // Coinsurance sequences
+    const coverage = this._parseCoinsurance(text, evidence);
+    raw.coverageTable = this.CATEGORIES.map(c => ({
+      category: c.category,
+      cdtRange: c.cdtRange,
+      inNetwork: coverage[c.category] ?? null,
+      outOfNetwork: null,
+    }));
+    for (const c of this.CATEGORIES) raw[c.key] = coverage[c.category] ?? null;
+
+    // Benefit period limits (deductible / max + remaining)
+    Object.assign(raw, this._parseBenefitPeriod(text, evidence));
+
+    // Everything else: reuse the broad text heuristics
+    const loose = this._extractFromText(text);
+    for (const key of ["payer", "planType", "groupNumber", "effectiveStart",
+                       "freqProphy", "freqExam", "freqBwx", "freqFmx", "freqPano",
+                       "waitingPeriods", "notes"]) {
+      if (loose[key] !== undefined && loose[key] !== null) raw[key] = loose[key];
+    }
+    for (const key of ["deductibleIndividual", "deductibleFamily", "annualMaxIndividual"]) {
+      raw[key] = raw[key] ?? loose[key] ?? null;
+    }
+
+    const missing = this.missingFields(raw);
+    raw.confidence = {
+      overall: missing.length === 0 ? "high" : coverage.found ? "medium" : "low",
+      source: "parser",
+    };
+    raw._evidence = evidence;
+    return raw;
+  },
+
+  /**
+   * Core fields the parser couldn't fill, as { key: label } entries.
+   */
+  missingFields(raw) {
+    return Object.entries(this.CORE_FIELDS)
+      .filter(([key]) => raw[key] === null || raw[key] === undefined || raw[key] === "")
+      .map(([key, label]) => ({ key, label }));
+  },
+
+  /**
+   * Fill gaps in `primary` from `secondary` — primary wins wherever it
+   * has a value. Coverage rows are merged per category.
+   */
+  mergeRaw(primary, secondary) {
+    const merged = { ...secondary };
+    for (const [key, value] of Object.entries(primary)) {
+      if (value === null || value === undefined || value === "") continue;
+      if (Array.isArray(value) && !value.length) continue;
+      merged[key] = value;
+    }
+
+    if (primary.coverageTable && secondary.coverageTable) {
+      const fromSecondary = {};
+      for (const row of secondary.coverageTable) fromSecondary[row.category] = row;
+      merged.coverageTable = primary.coverageTable.map(row => ({
+        ...row,
+        inNetwork: row.inNetwork ?? fromSecondary[row.category]?.inNetwork ?? null,
+        outOfNetwork: row.outOfNetwork ?? fromSecondary[row.category]?.outOfNetwork ?? null,
+      }));
+    }
+    return merged;
+  },
+
+  /**
+   * Split text on "Seq#NNN" markers and read the insurance-pays % from
+   * each block. Returns { [category]: pct, found: boolean } and records
+   * the block's text in `evidence` under "coverageTable.<category>".
+   */
+  _parseCoinsurance(text, evidence = {}) {
+    const result = { found: false };
+    const markers = [...text.matchAll(/Seq\s*#?\s*(\d{3})/gi)];
+
+    markers.forEach((m, i) => {
+      const block = text.slice(m.index, markers[i + 1]?.index ?? m.index + 600);
+      const seq = m[1];
+
+      // Seq#004 is normally "coinsurance after annual max" — not a coverage rate
+      if (/after\s+(?:the\s+)?(?:annual\s+)?max/i.test(block)) return;
+
+      const pct = this._insurancePct(block);
+      if (pct === null) return;
+
+      const named = this.SERVICE_TYPES
+        .filter(([re]) => re.test(block))
+        .flatMap(([, cats]) => cats);
+      const categories = named.length ? named : (this.SEQ_DEFAULTS[seq] || []);
+
+      const snippet = block.replace(/\s+/g, " ").trim().slice(0, 200);
+      for (const cat of categories) {
+        if (result[cat] === undefined) {
+          result[cat] = pct;
+          evidence[`coverageTable.${cat}`] = snippet;
+        }
+      }
+      if (categories.length) result.found = true;
+    });
+
+    return result;
+  },
+
+  /**
+   * Insurance-pays percentage from a coinsurance block.
+   * "Pat% / Ins%  20% / 80%" → 80; a lone "COINSURANCE 80%" → 80.
+   */
+  _insurancePct(block) {
+    const pair = block.match(/(\d{1,3})\s*%\s*\/\s*(\d{1,3})\s*%/);
+    if (pair) {
+      const patFirst = !/ins\w*\s*%?\s*\/\s*pat/i.test(block);
+      return Number(patFirst ? pair[2] : pair[1]);
+    }
+    const ins = block.match(/ins(?:urance)?\s*%?\s*:?\s*(\d{1,3})\s*%/i);
+    if (ins) return Number(ins[1]);
+    const single = block.match(/(\d{1,3})\s*%/);
+    return single ? Number(single[1]) : null;
+  },
+
+  /**
+   * Deductible / annual max amounts from the Benefit Period and
+   * Limitations and Maximums sections. Each line is classified by
+   * the nearest heading above it plus its own wording
+   * (individual / family / remaining).
+   */
+  _parseBenefitPeriod(text, evidence = {}) {
+    const out = {};
+    let heading = null;
+
+    for (const line of text.split("\n")) {
+      if (/deductible/i.test(line)) heading = "deductible";
+      else if (/annual\s*max|dental\s*care|calendar\s*year\s*max|plan\s*max/i.test(line)) heading = "annualMax";
+      else if (/lifetime|orthodont/i.test(line)) heading = null;
+      else if (/^\s*seq\s*#/i.test(line)) heading = null;
+
+      const amounts = [...line.matchAll(/\$\s*([0-9,]+(?:\.\d{2})?)/g)].map(m => m[1].replace(/,/g, ""));
+      if (!heading || !amounts.length) continue;
+
+      const who = /family|fam\b/i.test(line) ? "Family" : "Individual";
+      const set = (field, amount) => {
+        if (out[field] !== undefined) return;
+        out[field] = amount;
+        // "deductibleIndividual" → "deductible.individual"
+        const [, section, part] = field.match(/^(deductible|annualMax)(\w+)$/);
+        evidence[`${section}.${part.toLowerCase()}`] = line.trim();
+      };
+
+      if (/remaining|left|available/i.test(line)) {
+        // "Individual $50.00  Remaining $25.00" carries both on one line.
+        // Family remaining isn't tracked on the card.
+        if (amounts.length > 1) set(`${heading}${who}`, amounts[0]);
+        if (who === "Individual") set(`${heading}Remaining`, amounts[amounts.length - 1]);
+      } else {
+        set(`${heading}${who}`, amounts[0]);
+      }
+    }
+    return out;
+  },
+
   // ── Text-based extraction (regex over innerText) ────────
 
-  _extractFromText() {
-    const text = document.body?.innerText || "";
+  _extractFromText(text = document.body?.innerText || "") {
     const data = {};
 
     // Plan type
@@ -196,12 +431,16 @@ PracticePilot.eligibilityParser = {
   },
 
   /**
-   * Try to find a frequency value near a keyword.
+   * Try to find a frequency value near a keyword — the whole
+   * "1 per 12 months" / "2x per year" / "1 every 6 months" phrase.
+   * A count without its window ("1 per") is no match, so the LLM's
+   * value is kept rather than overwritten with half a rule.
    */
   _parseFrequencyText(text, keywordPattern) {
     const re = new RegExp(
-      `(?:${keywordPattern})\\s*(?:[:\\-–])?\\s*` +
-      `(\\d+\\s*(?:per|every|each|times|x)?\\s*(?:calendar|benefit)?\\s*(?:year|yr|months?|mo|mos)?)`,
+      `(?:${keywordPattern})\\w*[^\\d\\n]{0,30}?` +
+      `(\\d+\\s*(?:(?:x|times?)\\s*(?:per|every|each|in|a|\\/)?|per|every|each|in|\\/)\\s*` +
+      `(?:\\d+\\s*)?(?:consecutive\\s+|calendar\\s+|benefit\\s+|plan\\s+)?(?:years?|yrs?|months?|mos?)\\b)`,
       "i"
     );
     const m = text.match(re);
@@ -26,6 +26,8 @@
   let urlPollInterval = null;
   let domObserverRef = null;
   let updateTimer = null;
+  let isCapturing = false;      // payer adapter is clicking through the portal
+  let captureSession = null;    // Map page key → snapshot while the side panel runs a capture session
 
   /** Check if the extension context is still valid */
   function isContextValid() {
@@ -57,41 +59,122 @@
 
   // ── Text Capture ────────────────────────────────────────
 
-  function getPageText() {
-    const contentSelectors = [
-      "#eligibility-response", ".eligibility-response",
-      '[id*="eligibility"]', "#content", ".content-area",
-      "main", '[role="main"]', ".main-content", "#main-content",
-    ];
-
-    for (const sel of contentSelectors) {
+  // Where pages keep their content; first one with text wins
+  const CONTENT_SELECTORS = [
+    "#eligibility-response", ".eligibility-response",
+    '[id*="eligibility"]', "#content", ".content-area",
+    "main", '[role="main"]', ".main-content", "#main-content",
+  ];
+
+  // Page chrome left out when falling back to the whole body
+  const EXCLUDE_SELECTORS = [
+    "nav", "header", "footer",
+    '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]',
+    ".sidebar", "#sidebar", ".nav", ".navbar", ".footer",
+    ".header", "#header", "#footer",
+  ];
+
+  function contentElement() {
+    for (const sel of CONTENT_SELECTORS) {
       const el = document.querySelector(sel);
-      if (el && el.innerText && el.innerText.length > 100) {
-        return el.innerText;
-      }
+      if (el && el.innerText && el.innerText.length > 100) return el;
     }
+    return null;
+  }
 
-    // Fallback: clone body, remove noise
-    const excludeSelectors = [
-      "nav", "header", "footer",
-      '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]',
-      ".sidebar", "#sidebar", ".nav", ".navbar", ".footer",
-      ".header", "#header", "#footer",
-    ];
+  function getPageText() {
+    // Known insurer portal: its adapter knows where the benefits are
+    const adapter = PP.payerAdapters?.forHost(window.location.hostname);
+    if (adapter) {
+      const text = PP.payerAdapters.readContent(adapter);
+      if (text.length > 100) return text;
+    }
 
+    const el = contentElement();
+    if (el) return el.innerText;
+
+    // Fallback: clone body, remove noise
     const clone = document.body.cloneNode(true);
-    for (const sel of excludeSelectors) {
+    for (const sel of EXCLUDE_SELECTORS) {
       clone.querySelectorAll(sel).forEach(el => el.remove());
     }
 
     return clone.innerText || document.body?.innerText || "";
   }
 
+  /**
+   * The area getPageText() reads with tables, definition lists and
+   * label/value grids kept (structured-text.js) — what the LLM
+   * extractors read. null when the page has none.
+   */
+  function getStructuredText() {
+    if (!PP.structuredText) return null;
+
+    const adapter = PP.payerAdapters?.forHost(window.location.hostname);
+    if (adapter && PP.payerAdapters.readContent(adapter).length > 100) {
+      return PP.payerAdapters.readStructured(adapter);
+    }
+
+    const el = contentElement();
+    return el
+      ? PP.structuredText.serialize(el)
+      : PP.structuredText.serialize(document.body, { skip: EXCLUDE_SELECTORS });
+  }
+
+  /**
+   * Full capture for extraction: on a known insurer portal, open
+   * collapsed sections and read every benefit tab first.
+   * @returns {Promise<{pageText: string, structuredText: string|null}>}
+   */
+  async function capturePage() {
+    const adapter = PP.payerAdapters?.forHost(window.location.hostname);
+    if (adapter) {
+      isCapturing = true;
+      try {
+        const { text, structuredText } = await PP.payerAdapters.capture(adapter);
+        if (text.length > 100) return { pageText: text, structuredText };
+      } catch (e) {
+        console.warn(`[PracticePilot] ${adapter.name} capture failed, using page text:`, e);
+      } finally {
+        isCapturing = false;
+      }
+    }
+    return { pageText: getPageText(), structuredText: getStructuredText() };
+  }
+
   function getSelectionText() {
     const sel = window.getSelection();
     return sel ? sel.toString().trim() : "";
   }
 
+  // ── Capture Session ─────────────────────────────────────
+  // While the side panel runs a multi-page capture session, every
+  // page update also records a snapshot of the page — one per URL +
+  // selected tab, keeping the fuller text when a page is revisited.
+
+  function sessionSnapshot() {
+    const tab = document.querySelector('[role="tab"][aria-selected="true"], .nav-tabs .active');
+    const tabLabel = (tab?.innerText || "").replace(/\s+/g, " ").trim().slice(0, 60);
+    return {
+      key: `${location.host}${location.pathname}${location.hash}|${tabLabel}`,
+      label: tabLabel || document.title || location.pathname,
+      url: location.href,
+      text: getPageText(),
+      structuredText: getStructuredText(),
+    };
+  }
+
+  /** Snapshot the current page into the session; returns the snapshot kept for it. */
+  function recordSessionPage() {
+    if (!captureSession) return null;
+    const page = sessionSnapshot();
+    if (page.text.length < 50) return null;
+    const existing = captureSession.get(page.key);
+    if (existing && existing.text.length >= page.text.length) return existing;
+    captureSession.set(page.key, page);
+    return page;
+  }
+
   // ── Send page data to the side panel ────────────────────
 
   function sendPageUpdate() {
@@ -109,6 +192,8 @@
         pageText,
         insurerName,
         url: window.location.href,
+        sessionActive: !!captureSession,
+        sessionPage: recordSessionPage(),
       });
     } catch (e) {
       if (/context invalidated/i.test(e.message)) {
@@ -119,7 +204,7 @@
 
   /** Debounced page update — 500ms after DOM settles */
   function scheduleUpdate() {
-    if (!guardContext()) return;
+    if (!guardContext() || isCapturing) return;
     if (updateTimer) clearTimeout(updateTimer);
     updateTimer = setTimeout(sendPageUpdate, 500);
   }
@@ -134,11 +219,40 @@
         sendResponse({
           pageType: currentPageType || PP.pageDetector?.detect() || "unknown",
           pageText: getPageText(),
+          // Only for an explicit scan — the side panel also polls with this message
+          structuredText: msg.structured ? getStructuredText() : null,
           insurerName: PP.pageDetector.getInsurerName?.() || null,
           url: window.location.href,
+          sessionActive: !!captureSession,
+          sessionPage: recordSessionPage(),
         });
         break;
 
+      case "PP_SESSION_START":
+        if (!captureSession) captureSession = new Map();
+        sendResponse({ ok: true, page: recordSessionPage() });
+        break;
+
+      case "PP_SESSION_PAGES":
+        recordSessionPage();
+        sendResponse({ pages: captureSession ? [...captureSession.values()] : [] });
+        break;
+
+      case "PP_SESSION_END":
+        captureSession = null;
+        sendResponse({ ok: true });
+        break;
+
+      case "PP_CAPTURE_PAGE":
+        capturePage().then(({ pageText, structuredText }) => sendResponse({
+          pageType: currentPageType || PP.pageDetector?.detect() || "unknown",
+          pageText,
+          structuredText,
+          insurerName: PP.pageDetector.getInsurerName?.() || null,
+          url: window.location.href,
+        }));
+        break;
+
       case "PP_GET_SELECTION":
         sendResponse({
           selectionText: getSelectionText(),
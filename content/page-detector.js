@@ -162,6 +162,9 @@ PracticePilot.pageDetector = {
   getInsurerName() {
     const url = window.location.href.toLowerCase();
     const hostname = new URL(url).hostname;
+    const adapter = PracticePilot.payerAdapters?.forHost(hostname);
+    if (adapter) return adapter.name;
+
     const mappings = {
       "humana":         "Humana",
       "cigna":          "Cigna",
@@ -0,0 +1,268 @@
+// ============================================================
+// PracticePilot — Insurer Portal Adapters
+// ============================================================
+// Per-payer capture profiles for insurer portals, keyed by the
+// domains in pageDetector.INSURER_DOMAINS. The generic capture
+// in main.js takes the first big <main>-like element or the whole
+// body, which on most portals means navigation, cookie banners
+// and footers — and misses benefits hidden behind "Show more"
+// toggles or on a second tab.
+//
+// An adapter describes:
+//
+//   name      display name (pageDetector.getInsurerName)
+//   frame     same-origin iframe holding the app, if any
+//   content   selectors for the benefits area; first with text wins
+//   noise     selectors left out of the captured text
+//   expand    collapsed sections to open before reading
+//   tabs      { selector, match } benefit tabs read one after
+//             another and stitched into one text
+//
+// readContent() / readStructured() are passive (selectors + noise
+// only) and are what page updates use. capture() also clicks —
+// expand toggles, then each benefit tab — and is only run on an
+// explicit Capture / Scan (PP_CAPTURE_PAGE). When a portal redesign leaves no content
+// selector matching, main.js falls back to the generic capture.
+//
+// Content script, injected before main.js.
+// ============================================================
+
+(function() {
+var PracticePilot = window.PracticePilot || {};
+
+PracticePilot.payerAdapters = {
+
+  // Left out on every portal, on top of the adapter's own noise
+  COMMON_NOISE: [
+    "nav", '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]',
+    "#onetrust-consent-sdk", '[id*="cookie"]', '[class*="cookie-banner"]',
+    '[class*="chat-widget"]', '[id*="chat-widget"]', ".skip-link", ".breadcrumb", ".breadcrumbs",
+  ],
+
+  // Collapsed-section toggles worth opening on any portal (not menus or dropdowns)
+  COMMON_EXPAND: [
+    '[aria-expanded="false"]:not([aria-haspopup]):not([role="combobox"])',
+    "details:not([open]) > summary",
+  ],
+
+  MIN_TEXT: 100,          // a content match shorter than this is a placeholder
+  MAX_CLICKS: 30,         // per capture — guards against toggles that re-collapse
+  SETTLE_MS: 300,         // quiet time after a click before reading
+  SETTLE_MAX_MS: 3000,
+
+  ADAPTERS: {
+    "deltadental.com": {
+      name: "Delta Dental",
+      content: ["#benefits-content", '[data-testid*="benefit"]', ".benefits-summary", ".eligibility-benefits", "main"],
+      noise: [".dd-header", ".dd-footer", ".site-header", ".site-footer", ".feedback-tab", ".print-options"],
+      expand: [".accordion-toggle.collapsed", ".expand-all"],
+      tabs: { selector: '[role="tab"]', match: /benefit|coverage|maximum|deductible|frequenc|limitation|history/i },
+    },
+    "metlife.com": {
+      name: "MetLife",
+      content: ["#planDetails", ".plan-details", '[id*="benefitDetail"]', ".coverage-details", "main"],
+      noise: [".mlf-header", ".mlf-footer", ".global-header", ".global-footer", ".feedback"],
+      expand: [".collapsible-header:not(.active)", ".show-more"],
+      tabs: { selector: '[role="tab"], .nav-tabs a', match: /benefit|coverage|frequenc|limitation|history|waiting/i },
+    },
+    "cigna.com": {
+      name: "Cigna",
+      content: ["#patient-benefits", ".benefits-container", '[data-test*="benefit"]', ".patient-detail", "main"],
+      noise: [".cigna-header", ".cigna-footer", ".cg-header", ".cg-footer", ".alert-banner"],
+      expand: [".accordion__button[aria-expanded='false']", ".show-more-link"],
+      tabs: { selector: '[role="tab"]', match: /benefit|coverage|frequenc|maximum|deductible|accumulator|history/i },
+    },
+    "availity.com": {
+      name: "Availity",
+      frame: "#newBodyFrame",
+      content: ['[data-testid*="coverage"]', ".coverage-details", "#eligibility-results", ".eligibility-response", "main"],
+      noise: [".av-header", ".av-footer", ".topnav", ".spaces-banner", ".av-feedback"],
+      expand: [".card-header.collapsed", '[data-testid*="expand"]'],
+      tabs: { selector: '[role="tab"]', match: /benefit|coverage|dental|frequenc|plan/i },
+    },
+  },
+
+  // ── Lookup ─────────────────────────────────────────────
+
+  /**
+   * Adapter for a hostname — "www.deltadental.com" and
+   * "provider.deltadental.com" both match "deltadental.com".
+   * @returns {Object|null}
+   */
+  forHost(hostname) {
+    const host = String(hostname || "").toLowerCase();
+    for (const [domain, adapter] of Object.entries(this.ADAPTERS)) {
+      if (host === domain || host.endsWith("." + domain)) return { domain, ...adapter };
+    }
+    return null;
+  },
+
+  // ── Capture ────────────────────────────────────────────
+
+  /**
+   * Benefits text as the page shows it now — no clicks.
+   * @returns {string} "" when no content selector matched
+   */
+  readContent(adapter, doc = this._document(adapter)) {
+    return this._read(adapter, doc, root => this._clean(root.innerText || "")) || "";
+  },
+
+  /**
+   * Same area as readContent(), tables and label/value grids kept
+   * (structuredText.serialize).
+   * @returns {string|null} null when there's no structure or no match
+   */
+  readStructured(adapter, doc = this._document(adapter)) {
+    return this._read(adapter, doc, root => PracticePilot.structuredText?.serialize(root)) || null;
+  },
+
+  /**
+   * Open collapsed sections, read each benefit tab and stitch them
+   * together. Restores the tab that was selected.
+   * @returns {Promise<{text: string, structuredText: string|null}>} text "" when nothing matched
+   */
+  async capture(adapter) {
+    const doc = this._document(adapter);
+    if (!doc) return { text: "", structuredText: null };
+
+    await this._expand(adapter, doc);
+
+    const tabs = this._benefitTabs(adapter, doc);
+    if (tabs.length < 2) {
+      return { text: this.readContent(adapter, doc), structuredText: this.readStructured(adapter, doc) };
+    }
+
+    const selected = tabs.find(t => t.getAttribute("aria-selected") === "true" || t.classList.contains("active"));
+    const parts = [];
+    const structured = [];
+    let found = false;        // any tab with a table / grid
+    const seen = new Set();
+    for (const tab of tabs) {
+      tab.click();
+      await this._settle(doc);
+      await this._expand(adapter, doc);
+      const text = this.readContent(adapter, doc);
+      if (!text || seen.has(text)) continue;
+      seen.add(text);
+      const heading = `── ${this._clean(tab.innerText || tab.textContent)} ──`;
+      const tabStructured = this.readStructured(adapter, doc);
+      found = found || !!tabStructured;
+      parts.push(`${heading}\n${text}`);
+      structured.push(`${heading}\n${tabStructured || text}`);
+    }
+    if (selected) {
+      selected.click();
+      await this._settle(doc);
+    }
+    return {
+      text: parts.join("\n\n"),
+      structuredText: found ? structured.join("\n\n") : null,
+    };
+  },
+
+  // ── Helpers ────────────────────────────────────────────
+
+  /** The adapter's iframe document when it has one (same-origin only), else the page. */
+  _document(adapter) {
+    if (!adapter.frame) return document;
+    try {
+      return document.querySelector(adapter.frame)?.contentDocument || document;
+    } catch (_) {
+      return document;     // cross-origin frame — read what the top page shows
+    }
+  },
+
+  /**
+   * read(root) on the adapter's content area with noise hidden in
+   * place rather than read from a detached clone — innerText (and
+   * computed styles) only work on rendered elements.
+   */
+  _read(adapter, doc, read) {
+    if (!doc) return null;
+    const root = this._contentRoot(adapter, doc);
+    if (!root) return null;
+
+    const hidden = [...root.querySelectorAll([...this.COMMON_NOISE, ...(adapter.noise || [])].join(","))]
+      .map(el => [el, el.style.display]);
+    for (const [el] of hidden) el.style.display = "none";
+    try {
+      return read(root);
+    } finally {
+      for (const [el, display] of hidden) el.style.display = display;
+    }
+  },
+
+  _contentRoot(adapter, doc) {
+    for (const sel of adapter.content || []) {
+      const el = doc.querySelector(sel);
+      if (el && (el.innerText || el.textContent || "").trim().length >= this.MIN_TEXT) return el;
+    }
+    return null;
+  },
+
+  _benefitTabs(adapter, doc) {
+    if (!adapter.tabs) return [];
+    return [...doc.querySelectorAll(adapter.tabs.selector)]
+      .filter(t => adapter.tabs.match.test(t.innerText || t.textContent || "") && this._clickable(t));
+  },
+
+  /**
+   * Click every collapsed toggle (adapter + common selectors) in the
+   * content area once. Nothing outside the content root is ever
+   * clicked — no content root, no clicks.
+   */
+  async _expand(adapter, doc) {
+    const scope = this._contentRoot(adapter, doc);
+    if (!scope) return;
+    const clicked = new Set();
+
+    for (let round = 0; round < 3 && clicked.size < this.MAX_CLICKS; round++) {
+      const toggles = [...scope.querySelectorAll([...(adapter.expand || []), ...this.COMMON_EXPAND].join(","))]
+        .filter(el => !clicked.has(el) && this._clickable(el) && !el.matches('[role="tab"]'));
+      if (!toggles.length) return;
+
+      for (const el of toggles.slice(0, this.MAX_CLICKS - clicked.size)) {
+        clicked.add(el);
+        el.click();
+      }
+      await this._settle(doc);
+    }
+  },
+
+  /** Never follow a real link or submit a form — only in-page toggles. */
+  _clickable(el) {
+    if (el.disabled || el.getAttribute("aria-disabled") === "true") return false;
+    if (el.matches('[type="submit"], [type="image"]')) return false;
+    // A <button> in a form submits unless it says otherwise
+    if (el.tagName === "BUTTON" && el.closest("form") && el.getAttribute("type")?.toLowerCase() !== "button") return false;
+    const link = el.closest("a[href]");
+    if (!link) return true;
+    const href = link.getAttribute("href").trim();
+    return href === "" || href.startsWith("#") || /^javascript:/i.test(href);
+  },
+
+  /** Resolve once the DOM has been quiet for SETTLE_MS (at most SETTLE_MAX_MS). */
+  _settle(doc) {
+    return new Promise(resolve => {
+      let quiet;
+      const done = () => { observer.disconnect(); clearTimeout(quiet); clearTimeout(limit); resolve(); };
+      const observer = new MutationObserver(() => {
+        clearTimeout(quiet);
+        quiet = setTimeout(done, this.SETTLE_MS);
+      });
+      observer.observe(doc.body || doc.documentElement, { childList: true, subtree: true, attributes: true, characterData: true });
+      quiet = setTimeout(done, this.SETTLE_MS);
+      const limit = setTimeout(done, this.SETTLE_MAX_MS);
+    });
+  },
+
+  _clean(text) {
+    return String(text || "")
+      .replace(/[ \t]+\n/g, "\n")
+      .replace(/\n{3,}/g, "\n\n")
+      .trim();
+  },
+};
+
+window.PracticePilot = PracticePilot;
+})();
@@ -0,0 +1,147 @@
+// ============================================================
+// PracticePilot — Schedule Page Parser
+// ============================================================
+// Reads the day's appointments from the visible text of Curve's
+// scheduler (pageDetector SCHEDULE). Deterministic, no LLM.
+//
+// Curve lists appointments as blocks that start with a time;
+// the rest of the block holds the patient, provider, CDT codes
+// and status, on one tab-separated line or spread over several:
+//
+//   8:00 AM - 9:00 AM   Smith, John   Dr. Patel   D0120, D1110   Confirmed
+//
+//   10:30 AM
+//   Jane Doe (NP)
+//   Hyg - Maria RDH
+//   D0150 D0210
+//
+// parseText() → { date, appointments: [{ time, endTime, minutes,
+//   patientName, provider, codes, status, type, isNewPatient }] }
+// sorted by start time. Blocks without a recognizable patient
+// (lunch, blocked time) are skipped.
+//
+// Loaded by the side panel (not injected into pages), like
+// eligibility-parser.js.
+// ============================================================
+
+(function() {
+var PracticePilot = window.PracticePilot || {};
+
+PracticePilot.scheduleParser = {
+
+  TIME_START: /^(\d{1,2}:\d{2})\s*([ap]\.?m\.?)?/i,
+  END_TIME: /^\s*(?:-|–|to)\s*(\d{1,2}:\d{2})\s*([ap]\.?m\.?)?/i,
+  CODE: /\bD\d{4}\b/g,
+  STATUS: /\b(unconfirmed|confirmed|checked[ -]?in|arrived|seated|in chair|completed|checked[ -]?out|broken|cancell?ed|no[ -]?show|scheduled|left message)\b/i,
+  PROVIDER: /^(?:dr\.?\s+\S.*|.*\b(?:dds|dmd|rdh|hyg(?:ienist)?|provider)\b.*)$/i,
+  TYPE: /\b(new patient|recall|recare|hygiene|prophy|perio maint\w*|srp|emergency|limited exam|consult\w*|crown|seat|prep|extraction|filling|restorative|root canal|endo|implant|ortho)\b/i,
+  NEW_PATIENT: /\bnew patient\b|\(np\)|\bnp\b/i,
+
+  // Capitalized words that look like names but are schedule furniture
+  NOT_NAMES: /\b(lunch|break|block(?:ed)?|meeting|huddle|operatory|op|chair|column|room|hygiene|recall|recare|emergency|new|patient|appointment|schedule|today|am|pm|open|available|confirmed|unconfirmed|scheduled)\b/i,
+
+  /**
+   * Parse scheduler page text.
+   * @param {string} text - page text from the content script
+   * @returns {{date: string|null, appointments: Object[]}}
+   */
+  parseText(text) {
+    const lines = String(text || "").split("\n").map(l => l.trim()).filter(Boolean);
+    const blocks = [];
+    for (const line of lines) {
+      if (this.TIME_START.test(line)) blocks.push([line]);
+      else if (blocks.length) blocks[blocks.length - 1].push(line);
+    }
+
+    const seen = new Set();
+    const appointments = [];
+    for (const block of blocks) {
+      const appt = this._parseBlock(block);
+      if (!appt) continue;
+      const key = `${appt.minutes}|${appt.patientName.toLowerCase()}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      appointments.push(appt);
+    }
+    appointments.sort((a, b) => a.minutes - b.minutes);
+
+    return { date: this._extractDate(text), appointments };
+  },
+
+  // ── Blocks ─────────────────────────────────────────────
+
+  _parseBlock(lines) {
+    const first = lines[0];
+    const start = first.match(this.TIME_START);
+    let rest = first.slice(start[0].length);
+    const end = rest.match(this.END_TIME);
+    if (end) rest = rest.slice(end[0].length);
+
+    const segments = [rest, ...lines.slice(1)]
+      .flatMap(l => l.split(/\t| {2,}|\s[|·•]\s/))
+      .map(s => s.trim())
+      .filter(Boolean);
+    const blockText = segments.join("\n");
+
+    const labeled = (label) => blockText.match(new RegExp(`^${label}\\s*:\\s*(.+)$`, "im"))?.[1].trim() || null;
+
+    const patientName = labeled("Patient") || this._findPatient(segments);
+    if (!patientName) return null;   // lunch, blocked time, a bare grid-row time
+
+    const status = labeled("Status") || blockText.match(this.STATUS)?.[1] || null;
+    const type = labeled("Type") || blockText.match(this.TYPE)?.[1] || null;
+
+    return {
+      time: this._formatTime(start[1], start[2]),
+      endTime: end ? this._formatTime(end[1], end[2] || start[2]) : null,
+      minutes: this._minutes(start[1], start[2]),
+      patientName,
+      provider: labeled("Provider") || segments.find(s => this.PROVIDER.test(s) && !/^provider\s*:/i.test(s)) || null,
+      codes: [...new Set(blockText.match(this.CODE) || [])],
+      status: status ? status.replace(/\b\w/g, c => c.toUpperCase()) : null,
+      type,
+      isNewPatient: this.NEW_PATIENT.test(blockText),
+    };
+  },
+
+  /** First segment shaped like "Last, First" or "First [M.] Last". */
+  _findPatient(segments) {
+    for (const raw of segments) {
+      const s = raw
+        .replace(/\([^)]*\)/g, " ")          // (NP), (34y)
+        .replace(/\s+[-–]\s+.*$/, "")        // "Jane Doe - Recall"
+        .replace(/\s+/g, " ")
+        .trim();
+      if (/\d/.test(s) || /:/.test(s)) continue;
+      if (this.PROVIDER.test(s) || this.NOT_NAMES.test(s)) continue;
+      if (/^[A-Z][A-Za-z'’-]+,\s*[A-Z][A-Za-z'’-]+(?:\s+[A-Z]\.?)?$/.test(s)) return s;
+      if (/^[A-Z][A-Za-z'’-]+(?:\s+[A-Z]\.?)?(?:\s+[A-Z][A-Za-z'’-]+){1,2}$/.test(s)) return s;
+    }
+    return null;
+  },
+
+  // ── Helpers ────────────────────────────────────────────
+
+  /** "Monday, October 19, 2026" or "10/19/2026" from the page header. */
+  _extractDate(text) {
+    const long = String(text).match(/\b(?:Mon|Tues|Wednes|Thurs|Fri|Satur|Sun)day,?\s+[A-Z][a-z]+\.?\s+\d{1,2},?\s+\d{4}\b/);
+    if (long) return long[0];
+    return String(text).match(/\b\d{1,2}\/\d{1,2}\/\d{4}\b/)?.[0] || null;
+  },
+
+  /** Minutes since midnight; times without AM/PM before 7:00 are read as afternoon. */
+  _minutes(hhmm, meridiem) {
+    let [h, m] = hhmm.split(":").map(Number);
+    const pm = meridiem ? /^p/i.test(meridiem) : h < 7;
+    if (pm && h < 12) h += 12;
+    if (!pm && meridiem && h === 12) h = 0;
+    return h * 60 + m;
+  },
+
+  _formatTime(hhmm, meridiem) {
+    return meridiem ? `${hhmm} ${meridiem.replace(/\./g, "").toUpperCase()}` : hhmm;
+  },
+};
+
+window.PracticePilot = PracticePilot;
+})();
@@ -0,0 +1,244 @@
+// ============================================================
+// PracticePilot — Structured Page Text
+// ============================================================
+// innerText flattens tables into runs of tabs and newlines: a
+// Seq# coinsurance table or a billing aging grid comes out as a
+// column of loose values, and which percentage belongs to which
+// category is anyone's guess. serialize() walks the same DOM and
+// keeps the structure:
+//
+//   <table>, [role=table|grid]  → Markdown table (colspan / rowspan
+//                                 repeated so columns stay aligned)
+//   <dl>                        → "Term: Definition" lines
+//   label / value rows          → "Label: Value" lines — two short
+//                                 children where the first reads as
+//                                 a label, or a two-column CSS grid
+//   headings, list items        → "## Heading", "- item"
+//   everything else             → text lines, as innerText has them
+//
+// The plain innerText capture (pageText) is still what the
+// deterministic parsers read; this is the text the LLM extractors
+// read when a page has any structure. serialize() returns null
+// when it found none — the plain text says it as well.
+//
+// Content script, injected before main.js.
+// ============================================================
+
+(function() {
+var PracticePilot = window.PracticePilot || {};
+
+PracticePilot.structuredText = {
+
+  // Never part of the capture
+  SKIP: ["script", "style", "noscript", "template", "svg", "canvas", "iframe", "#pp-panel"],
+
+  ARIA_TABLE: '[role="table"], [role="grid"], [role="treegrid"]',
+  ARIA_ROW: '[role="row"]',
+  ARIA_CELL: '[role="cell"], [role="gridcell"], [role="columnheader"], [role="rowheader"]',
+
+  MAX_LABEL: 60,          // longer first cells aren't labels
+  MAX_VALUE: 200,
+  MAX_CELL: 300,          // a cell this long means a layout table
+  MIN_PAIRS: 3,           // label/value lines needed on their own to count as structure
+  LABEL_CLASS: /label|key|term|caption|title|name/i,
+
+  /**
+   * Structured text of `root` and everything under it.
+   * @param {Element} root
+   * @param {{skip?: string[]}} [options] - extra selectors left out (page chrome)
+   * @returns {string|null} null when no table, list or label/value grid was found
+   */
+  serialize(root, { skip = [] } = {}) {
+    if (!root) return null;
+    const out = { lines: [], line: "", tables: 0, pairs: 0 };
+    this._walk(root, out, [...this.SKIP, ...skip].join(","));
+    this._newline(out);
+    if (!out.tables && out.pairs < this.MIN_PAIRS) return null;
+    return out.lines.join("\n").replace(/\n{3,}/g, "\n\n").trim();
+  },
+
+  // ── Walk ───────────────────────────────────────────────
+
+  _walk(node, out, skip) {
+    for (const child of node.childNodes) {
+      if (child.nodeType === Node.TEXT_NODE) {
+        out.line += child.nodeValue;
+        continue;
+      }
+      if (child.nodeType !== Node.ELEMENT_NODE || child.matches(skip)) continue;
+
+      const style = getComputedStyle(child);
+      if (style.display === "none" || style.visibility === "hidden") continue;
+      if (child.tagName === "BR") {
+        this._newline(out);
+        continue;
+      }
+
+      const block = !style.display.startsWith("inline") && style.display !== "contents";
+      const structured = block && this._structured(child, style);
+      if (structured) {
+        this._newline(out);
+        if (structured.table) out.lines.push("", ...structured.lines, "");
+        else out.lines.push(...structured.lines);
+        out.tables += structured.table ? 1 : 0;
+        out.pairs += structured.table ? 0 : structured.lines.length;
+        continue;
+      }
+
+      if (block) this._newline(out);
+      const heading = child.tagName.match(/^H([1-6])$/);
+      if (heading) out.line += "#".repeat(+heading[1]) + " ";
+      else if (child.tagName === "LI") out.line += "- ";
+      this._walk(child, out, skip);
+      if (block) this._newline(out);
+    }
+  },
+
+  /** { table, lines } when `el` is a table, definition list or label/value grid. */
+  _structured(el, style) {
+    if (el.tagName === "TABLE" || el.matches(this.ARIA_TABLE)) {
+      const lines = this._table(el);
+      if (lines) return { table: true, lines };
+    }
+    if (el.tagName === "DL") {
+      const lines = this._definitionList(el);
+      if (lines.length) return { table: false, lines };
+    }
+    const lines = this._labelValues(el, style);
+    return lines.length ? { table: false, lines } : null;
+  },
+
+  _newline(out) {
+    const line = out.line.replace(/\s+/g, " ").trim();
+    if (line && !/^(#+|-)$/.test(line)) out.lines.push(line);
+    out.line = "";
+  },
+
+  // ── Tables ─────────────────────────────────────────────
+
+  /**
+   * Markdown lines for a data table; null for layout tables (one
+   * row or column, or cells holding whole page sections).
+   */
+  _table(table) {
+    const rows = this._tableRows(table);
+    const grid = [];
+    const carry = [];         // column → { text, left } from rowspans above
+    let header = false;
+
+    for (const [i, cells] of rows.entries()) {
+      const row = [];
+      const fill = () => {
+        while (carry[row.length]?.left > 0) {
+          carry[row.length].left--;
+          row.push(carry[row.length].text);
+        }
+      };
+      for (const cell of cells) {
+        fill();
+        const text = this._cellText(cell);
+        if (text.length > this.MAX_CELL) return null;
+        const across = this._span(cell, "colspan", 20);
+        const down = this._span(cell, "rowspan", 50);
+        for (let n = 0; n < across; n++) {
+          if (down > 1) carry[row.length] = { text, left: down - 1 };
+          row.push(text);
+        }
+      }
+      fill();
+      if (!row.some(Boolean)) continue;
+      if (!grid.length) header = i === 0 && cells.every(c => this._isHeaderCell(c));
+      grid.push(row);
+    }
+
+    const width = Math.max(0, ...grid.map(r => r.length));
+    if (width < 2 || grid.length < 2) return null;
+
+    const line = r => `| ${[...r, ...Array(width - r.length).fill("")].join(" | ")} |`;
+    const head = header ? grid.shift() : Array(width).fill("");
+    const lines = [line(head), `|${" --- |".repeat(width)}`, ...grid.map(line)];
+
+    const caption = table.caption ? this._text(table.caption) : table.getAttribute("aria-label");
+    return caption ? [caption, ...lines] : lines;
+  },
+
+  /** [[cell, …], …] for the rows of this table, not of tables nested in it. */
+  _tableRows(table) {
+    const rows = table.tagName === "TABLE"
+      ? [...table.rows].map(r => [r, [...r.cells]])
+      : [...table.querySelectorAll(this.ARIA_ROW)]
+          .filter(r => r.closest(`${this.ARIA_TABLE}, table`) === table)
+          .map(r => [r, [...r.querySelectorAll(this.ARIA_CELL)].filter(c => c.closest(this.ARIA_ROW) === r)]);
+    return rows.filter(([r]) => r.getClientRects().length).map(([, cells]) => cells);
+  },
+
+  _isHeaderCell(cell) {
+    return cell.tagName === "TH" || /^(columnheader|rowheader)$/.test(cell.getAttribute("role") || "") ||
+      !!cell.closest("thead");
+  },
+
+  _span(cell, attr, max) {
+    const n = parseInt(cell.getAttribute(attr) || cell.getAttribute(`aria-${attr}`), 10);
+    return Math.min(max, Math.max(1, n || 1));
+  },
+
+  _cellText(cell) {
+    return String(cell.innerText || cell.textContent || "").replace(/\s+/g, " ").trim().replace(/\|/g, "\\|");
+  },
+
+  // ── Definition lists ───────────────────────────────────
+
+  _definitionList(dl) {
+    const lines = [];
+    let term = null;
+    for (const el of dl.querySelectorAll("dt, dd")) {
+      if (el.closest("dl") !== dl || !el.getClientRects().length) continue;
+      const text = this._text(el);
+      if (el.tagName === "DT") term = text.replace(/:$/, "");
+      else if (text) lines.push(term ? `${term}: ${text}` : text);
+    }
+    return lines;
+  },
+
+  // ── Label / value grids ────────────────────────────────
+
+  /**
+   * "Label: Value" lines for a row of two short children where the
+   * first is a label (ends with ":", has a label-like class, or the
+   * row is laid out with flex / grid), or for a two-column CSS grid
+   * of such pairs.
+   */
+  _labelValues(el, style) {
+    if ([...el.childNodes].some(n => n.nodeType === Node.TEXT_NODE && n.nodeValue.trim())) return [];
+    const kids = [...el.children].filter(k => k.getClientRects().length);
+    const layout = /flex|grid/.test(style.display);
+
+    let pairs;
+    if (kids.length === 2) pairs = [kids];
+    else if (/grid/.test(style.display) && kids.length >= 4 && kids.length % 2 === 0 &&
+      style.gridTemplateColumns.trim().split(/\s+/).length === 2) {
+      pairs = [];
+      for (let i = 0; i < kids.length; i += 2) pairs.push([kids[i], kids[i + 1]]);
+    } else return [];
+
+    const lines = [];
+    for (const [labelEl, valueEl] of pairs) {
+      if (labelEl.textContent.length > this.MAX_LABEL * 2 || valueEl.textContent.length > this.MAX_VALUE * 2) return [];
+      const label = this._text(labelEl);
+      const value = this._text(valueEl);
+      if (!label || !value || label.length > this.MAX_LABEL || value.length > this.MAX_VALUE) return [];
+      if (/\n/.test(labelEl.innerText.trim()) || /\n/.test(valueEl.innerText.trim()) || !/[a-z]/i.test(label)) return [];
+      const labelled = /:$/.test(label) || layout || this.LABEL_CLASS.test(labelEl.getAttribute("class") || "");
+      if (!labelled) return [];
+      lines.push(`${label.replace(/:$/, "")}: ${value}`);
+    }
+    return lines;
+  },
+
+  _text(el) {
+    return String(el.innerText || el.textContent || "").replace(/\s+/g, " ").trim();
+  },
+};
+
+window.PracticePilot = PracticePilot;
+})();
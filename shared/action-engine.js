@@ -157,6 +157,19 @@ PracticePilot.actionEngine = {
       }
     }
 
+    // ── Benefit changes since last verification ──────────
+
+    for (const a of benefitCard ? this.changeActions(benefitCard) : []) {
+      add(a.priority, a.icon, a.title, a.detail, "insurance");
+    }
+
+    // ── Frequency limits ─────────────────────────────────
+
+    const freqActions = benefitCard ? this.frequencyActions(ctx, benefitCard) : [];
+    for (const a of freqActions) {
+      add(a.priority, a.icon, a.title, a.detail, "coverage");
+    }
+
     // ── Charting checks ──────────────────────────────────
 
     if (ctx.tabsScanned.includes("charting")) {
@@ -180,8 +193,9 @@ PracticePilot.actionEngine = {
 
       if (age >= 18 && this._codesInclude(ctx.todayAppt?.codes, "D1206")) {
         // Fluoride for adults — many plans don't cover over 18
-        if (benefitCard) {
-          const freqFluoride = benefitCard.frequencies?.fluoride || "";
+        if (freqActions.some(a => a.key === "fluoride")) {
+          // Already flagged by the frequency check above
+        } else if (benefitCard) {
           const ageLimits = benefitCard.ageLimits || [];
           const fluorideLimit = ageLimits.find(a =>
             /fluoride/i.test(a.service)
@@ -229,6 +243,93 @@ PracticePilot.actionEngine = {
     return actions;
   },
 
+  // ── Frequency limits ───────────────────────────────────
+
+  /**
+   * Compare the card's frequency limits with the patient's procedure
+   * history. Scheduled-today services that won't be paid are critical;
+   * other exhausted limits are informational so the front desk knows
+   * before booking.
+   * @returns {Array<{key, priority, icon, title, detail}>}
+   */
+  frequencyActions(ctx, card) {
+    const tracker = PracticePilot.frequencyTracker;
+    if (!tracker || !card?.frequencies) return [];
+
+    const scheduled = ctx?.todayAppt?.codes || [];
+    const results = tracker.check(card, ctx?.procedureHistory || [], { age: ctx?.profile?.age });
+    const actions = [];
+
+    for (const r of results) {
+      if (r.eligible) continue;
+      const isScheduled = r.codes.some(c => scheduled.includes(c));
+      const byAge = r.reason?.startsWith("age limit");
+
+      // Age limits only matter when the service is actually on the books
+      if (byAge && !isScheduled) continue;
+
+      const title = byAge
+        ? `${r.label} not covered at age ${ctx.profile.age}`
+        : r.nextEligible
+          ? `${r.label} not eligible until ${r.nextEligible}`
+          : `${r.label} limit reached`;
+      const last = r.lastDate ? ` Last done ${r.lastDate}.` : "";
+      const detail = byAge
+        ? `Plan limit: ${r.rule.text} — ${r.reason}.`
+        : `Plan allows ${r.rule.text}; ${r.reason}.${last}`;
+
+      actions.push({
+        key: r.key,
+        priority: isScheduled ? this.PRIORITY.CRITICAL : this.PRIORITY.INFO,
+        icon: isScheduled ? "🚫" : "⏳",
+        title,
+        detail: isScheduled ? `${detail} Scheduled today — insurance will likely deny.` : detail,
+      });
+    }
+    return actions;
+  },
+
+  // ── Benefit changes ────────────────────────────────────
+
+  /**
+   * Turn card.lastChanges into actions. A coverage cut is critical —
+   * the patient's estimate and treatment plan are now wrong.
+   * @returns {Array<{key, priority, icon, title, detail}>}
+   */
+  changeActions(card) {
+    const diff = PracticePilot.cardDiff;
+    const changes = card?.lastChanges;
+    if (!diff || !changes?.changes?.length) return [];
+
+    const since = changes.comparedTo ? ` (verified ${new Date(changes.comparedTo).toLocaleDateString()})` : "";
+    const actions = [];
+
+    const drops = diff.coverageDrops(changes);
+    if (drops.length) {
+      actions.push({
+        key: "coverage-drop",
+        priority: this.PRIORITY.CRITICAL,
+        icon: "📉",
+        title: "Coverage dropped since last verification",
+        detail: drops.map(c => `${c.label}: ${diff.formatValue(c, c.from)} → ${diff.formatValue(c, c.to)}`).join("; ")
+          + `${since}. Update treatment estimates.`,
+      });
+    }
+
+    if (diff.planChanged(changes)) {
+      const planChanges = changes.changes.filter(c => diff.PLAN_FIELDS.includes(c.field) && c.direction === "changed");
+      actions.push({
+        key: "plan-change",
+        priority: this.PRIORITY.ACTION,
+        icon: "🔀",
+        title: "Plan changed",
+        detail: planChanges.map(c => `${c.label}: ${diff.formatValue(c, c.from)} → ${diff.formatValue(c, c.to)}`).join("; ")
+          + " — update the insurance record in Curve.",
+      });
+    }
+    return actions;
+  },
+
   // ── Coverage cross-reference ───────────────────────────
 
   _checkCodeCoverage(codes, card, patientAge) {
@@ -248,11 +349,15 @@ PracticePilot.actionEngine = {
           detail: `${cdtEntry.name} — insurance pays 0%. Discuss cost with patient.`,
         });
       } else if (covPct !== null && covPct < 80) {
+        const fee = PracticePilot.feeSchedule?.feeFor(code, card.payer);
+        const dollars = fee !== null && fee !== undefined
+          ? ` (~$${(fee * (100 - covPct) / 100).toFixed(2)} of $${fee.toFixed(2)})`
+          : "";
         issues.push({
           priority: this.PRIORITY.ACTION,
           icon: "💲",
           title: `${code} only ${covPct}% covered`,
-          detail: `${cdtEntry.name} — patient pays ${100 - covPct}%. Confirm patient is aware.`,
+          detail: `${cdtEntry.name} — patient pays ${100 - covPct}%${dollars}. Confirm patient is aware.`,
         });
       }
 
@@ -0,0 +1,120 @@
+// ============================================================
+// PracticePilot — Outbound LLM Audit Log
+// ============================================================
+// One entry per request that leaves the browser for an LLM API,
+// recorded by llmProvider as the request is sent — and per attempt
+// the PHI guard stopped:
+//
+//   { at, module, provider, model, host, chars,
+//     redactions: { patient_name: 1, phone: 2, … },
+//     outcome: "sent" | "confirmed" | "blocked" | "declined",
+//     risk: 0–100, residual: { ssn: 1, … } }    // see phi-guard.js
+//
+// `chars` is the size of the request body as sent. No PHI is
+// stored: never the text, never the redacted values — only
+// metadata and redaction counts by type. Kept in
+// chrome.storage.local (newest MAX_ENTRIES, RETENTION_DAYS) and
+// exported as CSV from Settings.
+//
+// Also holds the optional pre-send review hook: the side panel
+// sets `reviewer`, and the extractors await confirmSend() with
+// the protected text before calling the LLM.
+//
+// Loaded with importScripts() by the service worker (connection
+// tests are logged too), so this file uses `self`.
+// ============================================================
+
+(function() {
+var PracticePilot = self.PracticePilot || {};
+
+PracticePilot.auditLog = {
+
+  STORAGE_KEY: "pp:auditLog",
+  MAX_ENTRIES: 1000,
+  RETENTION_DAYS: 90,
+
+  // async ({ module, label, text, redactions }) → true to send
+  reviewer: null,
+
+  _pending: Promise.resolve(),
+
+  // ── Log ────────────────────────────────────────────────
+
+  /**
+   * Append one entry. Writes are serialized so concurrent requests
+   * don't overwrite each other; failures are logged, never thrown.
+   */
+  record(entry) {
+    this._pending = this._pending
+      .then(async () => {
+        const entries = await this.list();
+        entries.push({ at: new Date().toISOString(), ...entry });
+        await chrome.storage.local.set({ [this.STORAGE_KEY]: this._prune(entries) });
+      })
+      .catch(e => console.warn("[PracticePilot] Audit log write failed:", e));
+    return this._pending;
+  },
+
+  /** All entries, oldest first. */
+  async list() {
+    const result = await chrome.storage.local.get(this.STORAGE_KEY);
+    return result[this.STORAGE_KEY] || [];
+  },
+
+  async clear() {
+    await this._pending;
+    await chrome.storage.local.remove(this.STORAGE_KEY);
+  },
+
+  /** redactions[] from phiRedactor → { type: count } */
+  countByType(redactions = []) {
+    const counts = {};
+    for (const r of redactions) counts[r.type] = (counts[r.type] || 0) + 1;
+    return counts;
+  },
+
+  /**
+   * CSV with one column per redaction type seen in `entries`.
+   *   Timestamp,Module,Outcome,Risk,Residual,Provider,Model,Host,Characters,Redactions,patient_name,…
+   */
+  exportCSV(entries) {
+    const types = [...new Set(entries.flatMap(e => Object.keys(e.redactions || {})))].sort();
+    const cell = (v) => /[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v);
+    const total = (e) => Object.values(e.redactions || {}).reduce((sum, n) => sum + n, 0);
+    const residual = (e) => Object.entries(e.residual || {}).map(([t, n]) => `${t}:${n}`).join("; ");
+
+    const rows = [["Timestamp", "Module", "Outcome", "Risk", "Residual", "Provider", "Model", "Host", "Characters", "Redactions", ...types]];
+    for (const e of entries) {
+      rows.push([
+        e.at, e.module || "", e.outcome || "sent", e.risk ?? "", residual(e),
+        e.provider || "", e.model || "", e.host || "", e.chars ?? "",
+        total(e), ...types.map(t => e.redactions?.[t] || 0),
+      ]);
+    }
+    return rows.map(r => r.map(cell).join(",")).join("\n") + "\n";
+  },
+
+  // ── Pre-send review ────────────────────────────────────
+
+  /**
+   * Ask the reviewer (if one is registered) whether protected text
+   * may be sent. Resolves true when there is no reviewer.
+   * @param {{module: string, label: string, text: string, redactions: Object[]}} request
+   */
+  async confirmSend(request) {
+    if (!this.reviewer) return true;
+    return !!(await this.reviewer(request));
+  },
+
+  // ── Helpers ────────────────────────────────────────────
+
+  _prune(entries) {
+    const cutoff = Date.now() - this.RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    return entries
+      .filter(e => new Date(e.at).getTime() >= cutoff)
+      .slice(-this.MAX_ENTRIES);
+  },
+};
+
+self.PracticePilot = PracticePilot;
+})();
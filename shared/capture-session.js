@@ -0,0 +1,119 @@
+// ============================================================
+// PracticePilot — Multi-page Capture Session
+// ============================================================
+// Payer portals often split one plan across "Summary",
+// "Frequencies" and "History" tabs. A capture session collects a
+// snapshot of each tab the user opens and merges them into one
+// document, so a single extraction covers the whole plan.
+//
+// content/main.js records the snapshots — one per page (URL +
+// selected tab), keeping the fuller one when a page is seen again —
+// and the side panel collects them here across page loads:
+//
+//   page = { key, label, url, text, structuredText }
+//
+// merge() stitches the pages in the order they were first seen,
+// under "── label ──" headings, dropping runs of lines an earlier
+// page already had (portal header, member banner, sidebar) so the
+// repeated chrome isn't extracted several times. merge(session,
+// "structuredText") does the same for the structured captures
+// (tables kept), falling back to a page's plain text. Merged text
+// is raw page text; llmExtractor.extract() redacts it as usual.
+//
+// Memory only — nothing is stored.
+// ============================================================
+
+(function() {
+var PracticePilot = window.PracticePilot || {};
+
+PracticePilot.captureSession = {
+
+  MAX_PAGES: 12,
+  MAX_CHARS: 60000,      // merged text cap — well past any single benefits page
+  REPEAT_RUN: 3,         // consecutive already-seen lines dropped as repeated chrome
+
+  /** New session for the tab being captured. */
+  create(tabId) {
+    return { tabId, startedAt: new Date().toISOString(), pages: [] };
+  },
+
+  /**
+   * Add a page snapshot, or replace an earlier snapshot of the same
+   * page when this one has more text.
+   * @returns {boolean} true if the session changed
+   */
+  addPage(session, page) {
+    if (!page?.key || !page.text) return false;
+    const existing = session.pages.find(p => p.key === page.key);
+    if (existing) {
+      if (existing.text.length >= page.text.length) return false;
+      Object.assign(existing, page);
+      return true;
+    }
+    if (session.pages.length >= this.MAX_PAGES) return false;
+    session.pages.push({
+      key: page.key, label: page.label, url: page.url,
+      text: page.text, structuredText: page.structuredText || null,
+    });
+    return true;
+  },
+
+  /** { pages, chars } for the progress line. */
+  stats(session) {
+    return {
+      pages: session.pages.length,
+      chars: session.pages.reduce((n, p) => n + p.text.length, 0),
+    };
+  },
+
+  /**
+   * One document from every page, repeated chrome removed.
+   * @param {"text"|"structuredText"} [field]
+   * @returns {string} "" for structuredText when no page had any
+   */
+  merge(session, field = "text") {
+    if (!session.pages.some(p => p[field])) return "";
+    const seen = new Set();
+    const parts = [];
+
+    for (const page of session.pages) {
+      const lines = (page[field] || page.text).split("\n").map(l => l.trim());
+      const kept = this._dropRepeats(lines, seen);
+      for (const line of lines) if (line) seen.add(line);
+      if (!kept.some(Boolean)) continue;
+      parts.push(`── ${page.label || "Page"} ──\n${kept.join("\n").replace(/\n{3,}/g, "\n\n").trim()}`);
+    }
+
+    const text = parts.join("\n\n");
+    return text.length > this.MAX_CHARS ? text.slice(0, this.MAX_CHARS) : text;
+  },
+
+  // ── Helpers ────────────────────────────────────────────
+
+  /**
+   * Lines minus runs of REPEAT_RUN+ lines that all appeared on an
+   * earlier page. Shorter repeats ("100%", "2 per year") are table
+   * values and stay.
+   */
+  _dropRepeats(lines, seen) {
+    const kept = [];
+    let run = [];
+    const flush = () => {
+      if (run.filter(Boolean).length < this.REPEAT_RUN) kept.push(...run);
+      run = [];
+    };
+    for (const line of lines) {
+      if (!line || seen.has(line)) {
+        run.push(line);
+      } else {
+        flush();
+        kept.push(line);
+      }
+    }
+    flush();
+    return kept;
+  },
+};
+
+window.PracticePilot = PracticePilot;
+})();
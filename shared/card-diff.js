@@ -0,0 +1,170 @@
+// ============================================================
+// PracticePilot — Benefit Change Detection
+// ============================================================
+// Compares a freshly extracted BenefitCard with the previous
+// verification for the same patient (same storage cache key)
+// so plan changes — an employer switching carriers, coverage
+// cut from 80% to 50% — are caught at the front desk instead
+// of on the EOB.
+//
+// The result is stored on the new card as `card.lastChanges`:
+//
+//   {
+//     comparedTo: ISO capturedAt of the previous card,
+//     changes: [{ field, label, kind, from, to, direction, severity }]
+//   }
+//
+// direction: "up" | "down" | "added" | "removed" | "changed"
+// severity:  "critical" (coverage dropped) | "warning" | "info"
+//
+// "Remaining" amounts are skipped — they fall with normal use
+// and would flag every patient who had treatment.
+// ============================================================
+
+(function() {
+var PracticePilot = window.PracticePilot || {};
+
+PracticePilot.cardDiff = {
+
+  // [path, label, kind] — kind decides how values compare
+  FIELDS: [
+    ["payer",                 "Carrier",              "text"],
+    ["planName",              "Plan",                 "text"],
+    ["planType",              "Plan type",            "text"],
+    ["groupNumber",           "Group #",              "text"],
+    ["effective.start",       "Effective date",       "date"],
+    ["effective.end",         "Termination date",     "date"],
+    ["annualMax.individual",  "Annual max",           "money"],
+    ["annualMax.family",      "Annual max (family)",  "money"],
+    ["deductible.individual", "Deductible",           "money"],
+    ["deductible.family",     "Deductible (family)",  "money"],
+    ["frequencies.prophy",    "Prophy frequency",     "text"],
+    ["frequencies.exam",      "Exam frequency",       "text"],
+    ["frequencies.bwx",       "BWX frequency",        "text"],
+    ["frequencies.fmx",       "FMX frequency",        "text"],
+    ["frequencies.pano",      "Pano frequency",       "text"],
+    ["frequencies.sealants",  "Sealant frequency",    "text"],
+    ["frequencies.fluoride",  "Fluoride frequency",   "text"],
+  ],
+
+  // A different plan or group usually means the employer changed plans
+  PLAN_FIELDS: ["payer", "planName", "groupNumber"],
+
+  SEVERITY_ORDER: { critical: 0, warning: 1, info: 2 },
+
+  /**
+   * Compare two cards.
+   * @param {Object} previous - earlier BenefitCard for the same patient
+   * @param {Object} current - newly extracted BenefitCard
+   * @returns {{comparedTo: string|null, changes: Array}}
+   */
+  compare(previous, current) {
+    const changes = [];
+    if (!previous || !current) return { comparedTo: null, changes };
+
+    for (const [path, label, kind] of this.FIELDS) {
+      const change = this._compareValue(path, label, kind, this._valueAt(previous, path), this._valueAt(current, path));
+      if (change) changes.push(change);
+    }
+
+    const categories = new Set([
+      ...(previous.coverageTable || []).map(r => r.category),
+      ...(current.coverageTable || []).map(r => r.category),
+    ]);
+    for (const category of categories) {
+      const from = (previous.coverageTable || []).find(r => r.category === category)?.inNetwork ?? null;
+      const to = (current.coverageTable || []).find(r => r.category === category)?.inNetwork ?? null;
+      const change = this._compareValue(`coverageTable.${category}`, `${category} coverage`, "pct", from, to);
+      if (change) changes.push(change);
+    }
+
+    changes.sort((a, b) => this.SEVERITY_ORDER[a.severity] - this.SEVERITY_ORDER[b.severity]);
+    return { comparedTo: previous.capturedAt || null, changes };
+  },
+
+  /** Coverage rows whose in-network % went down. */
+  coverageDrops(diff) {
+    return (diff?.changes || []).filter(c => c.kind === "pct" && c.direction === "down");
+  },
+
+  /** True when the carrier, plan name or group number changed. */
+  planChanged(diff) {
+    return (diff?.changes || []).some(c => this.PLAN_FIELDS.includes(c.field) && c.direction === "changed");
+  },
+
+  /** "50%", "$1,500", plain text otherwise. */
+  formatValue(change, value) {
+    if (value === null || value === undefined || value === "") return "—";
+    if (change.kind === "pct") return `${value}%`;
+    if (change.kind === "money") {
+      const n = this._number(value);
+      return n === null ? String(value) : `$${n.toLocaleString("en-US")}`;
+    }
+    return String(value);
+  },
+
+  // ── Comparison ─────────────────────────────────────────
+
+  _compareValue(field, label, kind, from, to) {
+    const present = v => v !== null && v !== undefined && String(v).trim() !== "";
+    if (!present(from) && !present(to)) return null;
+
+    const change = { field, label, kind, from: from ?? null, to: to ?? null, direction: null, severity: "info" };
+
+    if (!present(from)) {
+      change.direction = "added";
+      return change;
+    }
+    if (!present(to)) {
+      // Usually the extraction missed it rather than the plan dropping it
+      change.direction = "removed";
+      change.severity = "warning";
+      return change;
+    }
+
+    if (kind === "pct" || kind === "money") {
+      const a = this._number(from);
+      const b = this._number(to);
+      if (a !== null && b !== null) {
+        if (a === b) return null;
+        change.direction = b > a ? "up" : "down";
+        change.severity = this._severity(field, kind, change.direction);
+        return change;
+      }
+    }
+
+    if (this._text(from, kind) === this._text(to, kind)) return null;
+    change.direction = "changed";
+    change.severity = this.PLAN_FIELDS.includes(field) || field.startsWith("frequencies.") ? "warning" : "info";
+    return change;
+  },
+
+  _severity(field, kind, direction) {
+    if (kind === "pct") return direction === "down" ? "critical" : "info";
+    if (field.startsWith("annualMax.")) return direction === "down" ? "warning" : "info";
+    if (field.startsWith("deductible.")) return direction === "up" ? "warning" : "info";
+    return "info";
+  },
+
+  _valueAt(card, path) {
+    return path.split(".").reduce((obj, key) => obj?.[key], card) ?? null;
+  },
+
+  _number(v) {
+    if (typeof v === "number") return v;
+    const n = parseFloat(String(v).replace(/[$,%\s]/g, ""));
+    return isNaN(n) ? null : n;
+  },
+
+  /** Normalize text for comparison; dates compare as YYYY-MM-DD when parseable. */
+  _text(v, kind) {
+    if (kind === "date") {
+      const d = PracticePilot.frequencyTracker?._parseDate(v);
+      if (d) return PracticePilot.frequencyTracker.formatDate(d);
+    }
+    return String(v).toLowerCase().replace(/\s+/g, " ").trim();
+  },
+};
+
+window.PracticePilot = PracticePilot;
+})();
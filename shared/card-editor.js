@@ -0,0 +1,194 @@
+// ============================================================
+// PracticePilot — Manual BenefitCard Corrections
+// ============================================================
+// Applies staff corrections to a BenefitCard and keeps an
+// audit trail of who changed what and when.
+//
+// Every corrected field is flagged in card.provenance with
+// source "manual" (plus `by`), and each change is appended to
+// card.editHistory:
+//
+//   { at: ISO string, by: "Maria", field: "deductible.individual",
+//     from: "75", to: "50" }
+//
+// Field paths match provenance.js ("coverageTable.Crowns" is the
+// in-network %). List fields (waitingPeriods, coverageExceptions,
+// ageLimits, notes) are corrected as a whole.
+//
+// On re-extraction, preserve() carries manual values over to the
+// fresh card and reports any the new extraction disagrees with,
+// so a correction is never overwritten silently.
+// ============================================================
+
+(function() {
+var PracticePilot = window.PracticePilot || {};
+
+PracticePilot.cardEditor = {
+
+  LIST_FIELDS: ["waitingPeriods", "coverageExceptions", "ageLimits", "notes"],
+
+  HISTORY_MAX: 200,
+
+  LABELS: {
+    payer: "Carrier",
+    planName: "Plan",
+    planType: "Plan type",
+    groupNumber: "Group #",
+    subscriberId: "Subscriber ID",
+    "effective.start": "Effective date",
+    "effective.end": "Termination date",
+    "deductible.individual": "Deductible (individual)",
+    "deductible.family": "Deductible (family)",
+    "deductible.remaining": "Deductible remaining",
+    "deductible.appliesTo": "Deductible applies to",
+    "annualMax.individual": "Annual max (individual)",
+    "annualMax.family": "Annual max (family)",
+    "annualMax.remaining": "Annual max remaining",
+    "frequencies.prophy": "Prophy frequency",
+    "frequencies.exam": "Exam frequency",
+    "frequencies.bwx": "BWX frequency",
+    "frequencies.fmx": "FMX frequency",
+    "frequencies.pano": "Pano frequency",
+    "frequencies.sealants": "Sealant frequency",
+    "frequencies.fluoride": "Fluoride frequency",
+    waitingPeriods: "Waiting periods",
+    coverageExceptions: "Coverage exceptions",
+    ageLimits: "Age limits",
+    notes: "Notes",
+  },
+
+  // ── Editing ────────────────────────────────────────────
+
+  /**
+   * Apply corrections to a card in place.
+   * @param {Object} card - BenefitCard
+   * @param {Object} edits - { fieldPath: newValue }
+   * @param {string} by - staff name for the audit trail
+   * @returns {Array} the history entries recorded (empty if nothing changed)
+   */
+  apply(card, edits, by) {
+    const at = new Date().toISOString();
+    const changes = [];
+
+    for (const [path, value] of Object.entries(edits)) {
+      const from = this.valueAt(card, path);
+      const to = this._clean(value);
+      if (this._same(from, to)) continue;
+
+      this._setAt(card, path, to);
+      PracticePilot.provenance.set(card, path, PracticePilot.provenance.SOURCES.MANUAL, null, by);
+      changes.push({ at, by, field: path, from: from ?? null, to });
+    }
+
+    if (changes.length) {
+      card.editHistory = [...(card.editHistory || []), ...changes].slice(-this.HISTORY_MAX);
+    }
+    return changes;
+  },
+
+  valueAt(card, path) {
+    return PracticePilot.provenance.valueAt(card, path);
+  },
+
+  /** Paths staff have corrected on this card. */
+  manualPaths(card) {
+    return Object.entries(card?.provenance || {})
+      .filter(([, p]) => p?.source === PracticePilot.provenance.SOURCES.MANUAL)
+      .map(([path]) => path);
+  },
+
+  /**
+   * Carry manual corrections from a previous card onto a freshly
+   * extracted one. The correction wins; disagreements are returned
+   * so the UI can surface them.
+   * @returns {{card, kept: string[], conflicts: Array<{field, kept, extracted}>}}
+   */
+  preserve(fresh, previous) {
+    const kept = [];
+    const conflicts = [];
+    if (!fresh || !previous) return { card: fresh, kept, conflicts };
+
+    for (const path of this.manualPaths(previous)) {
+      const manual = this.valueAt(previous, path);
+      const extracted = this.valueAt(fresh, path);
+
+      if (!this._same(extracted, manual)) {
+        if (this._present(extracted)) conflicts.push({ field: path, kept: manual, extracted });
+        this._setAt(fresh, path, this._clone(manual));
+      }
+      fresh.provenance = fresh.provenance || {};
+      fresh.provenance[path] = { ...previous.provenance[path] };
+      kept.push(path);
+    }
+
+    fresh.editHistory = [...(previous.editHistory || [])];
+    return { card: fresh, kept, conflicts };
+  },
+
+  /** Human label for a field path ("coverageTable.Crowns" → "Crowns coverage"). */
+  label(path) {
+    if (path.startsWith("coverageTable.")) return `${path.slice("coverageTable.".length)} coverage`;
+    return this.LABELS[path] || path;
+  },
+
+  /** Short display form of a value for history lists. */
+  formatValue(path, value) {
+    if (!this._present(value)) return "—";
+    if (Array.isArray(value)) return `${value.length} item${value.length === 1 ? "" : "s"}`;
+    if (path.startsWith("coverageTable.")) return `${value}%`;
+    return String(value);
+  },
+
+  // ── Helpers ────────────────────────────────────────────
+
+  /** Write a value at a field path, keeping the legacy flat coverage in step. */
+  _setAt(card, path, value) {
+    if (path.startsWith("coverageTable.")) {
+      const category = path.slice("coverageTable.".length);
+      card.coverageTable = card.coverageTable || [];
+      let row = card.coverageTable.find(r => r.category === category);
+      if (!row) {
+        const legacy = PracticePilot.normalize.LEGACY_COVERAGE_ROWS.find(([, c]) => c === category);
+        row = { category, cdtRange: legacy?.[2] ?? null, inNetwork: null, outOfNetwork: null };
+        card.coverageTable.push(row);
+      }
+      row.inNetwork = value;
+
+      const legacy = PracticePilot.normalize.LEGACY_COVERAGE_ROWS.find(([, c]) => c === category);
+      if (legacy) {
+        card.coverage = card.coverage || {};
+        card.coverage[legacy[0]] = value;
+      }
+      return;
+    }
+
+    const keys = path.split(".");
+    let obj = card;
+    for (const key of keys.slice(0, -1)) {
+      if (!obj[key] || typeof obj[key] !== "object") obj[key] = {};
+      obj = obj[key];
+    }
+    obj[keys[keys.length - 1]] = value;
+  },
+
+  /** Empty strings become null; strings are trimmed. */
+  _clean(value) {
+    if (typeof value === "string") return value.trim() || null;
+    return value ?? null;
+  },
+
+  _same(a, b) {
+    return JSON.stringify(this._clean(a)) === JSON.stringify(this._clean(b));
+  },
+
+  _present(v) {
+    return v !== null && v !== undefined && v !== "" && !(Array.isArray(v) && !v.length);
+  },
+
+  _clone(v) {
+    return v && typeof v === "object" ? JSON.parse(JSON.stringify(v)) : v;
+  },
+};
+
+window.PracticePilot = PracticePilot;
+})();
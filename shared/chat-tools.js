@@ -0,0 +1,247 @@
+// ============================================================
+// PracticePilot — Chat Assistant Tools
+// ============================================================
+// Tools the side panel chat model can call, so answers about
+// codes, coverage and cost come from our own data (CDT table,
+// BenefitCard, fee schedule, patient context, action engine)
+// instead of the model's guesses.
+//
+// definitions() → [{ name, description, parameters }] in the
+// provider-neutral form llmProvider.runTools() expects.
+// run(name, input, env) executes one call against
+//   env = { card: BenefitCard|null, ctx: patient context|null }
+// and returns a JSON-safe result ({ error } on bad input).
+//
+// Identifiers (name, DOB, subscriber ID, contact details) are
+// stripped from everything returned — the model never needs them.
+// That's a first pass only: the side panel still redacts every
+// result like a chat message before it's sent.
+// ============================================================
+
+(function() {
+var PracticePilot = window.PracticePilot || {};
+
+PracticePilot.chatTools = {
+
+  CONTEXT_SECTIONS: [
+    "profile", "insurance", "billing", "recare", "charting", "forms",
+    "claims", "todayAppt", "perio", "appointments", "procedureHistory",
+  ],
+
+  // Keys dropped (at any depth) from tool results
+  PHI_KEYS: [
+    "patientName", "firstName", "lastName", "dob", "dateOfBirth",
+    "subscriberId", "memberId", "ssn", "address", "phone", "email", "hoh",
+  ],
+
+  MAX_SEARCH_RESULTS: 15,
+
+  // ── Definitions ────────────────────────────────────────
+
+  definitions() {
+    const code = { type: "string", description: "CDT code, e.g. D2740" };
+    return [
+      {
+        name: "lookup_cdt_code",
+        description: "Look up one CDT procedure code: name, plain-English description, category and CDT range.",
+        parameters: { type: "object", properties: { code }, required: ["code"] },
+      },
+      {
+        name: "search_cdt_codes",
+        description: "Search CDT codes by keyword (e.g. \"crown\", \"night guard\", \"fluoride\").",
+        parameters: {
+          type: "object",
+          properties: {
+            query: { type: "string", description: "Keyword to search names, nicknames and notes" },
+            limit: { type: "integer", description: `Max results (default 8, max ${this.MAX_SEARCH_RESULTS})` },
+          },
+          required: ["query"],
+        },
+      },
+      {
+        name: "get_coverage",
+        description: "This patient's in-network coverage % for a CDT code, from their verified benefits. Includes code-specific exceptions (downgrades, reduced rates).",
+        parameters: { type: "object", properties: { code }, required: ["code"] },
+      },
+      {
+        name: "estimate_cost",
+        description: "Estimate insurance vs. patient portion for one or more CDT codes using the practice fee schedule, remaining deductible and remaining annual max. Codes are adjudicated in the order given.",
+        parameters: {
+          type: "object",
+          properties: {
+            codes: { type: "array", items: { type: "string" }, description: "CDT codes, e.g. [\"D2740\", \"D2950\"]" },
+            fees: { type: "object", description: "Optional fee overrides per code, e.g. {\"D2740\": 1250}", additionalProperties: { type: "number" } },
+          },
+          required: ["codes"],
+        },
+      },
+      {
+        name: "get_benefits",
+        description: "This patient's verified plan benefits: carrier, plan type, deductible, annual max (and remaining), coverage table, exceptions, frequencies, waiting periods, age limits and notes.",
+        parameters: { type: "object", properties: {} },
+      },
+      {
+        name: "get_patient_context",
+        description: "One section of what was read from the practice management system for this patient.",
+        parameters: {
+          type: "object",
+          properties: { section: { type: "string", enum: this.CONTEXT_SECTIONS } },
+          required: ["section"],
+        },
+      },
+      {
+        name: "get_actions",
+        description: "The prioritized front-desk to-do list for this patient (insurance, billing, recare, frequency limits, coverage changes).",
+        parameters: { type: "object", properties: {} },
+      },
+    ];
+  },
+
+  /** Short status line shown while a tool runs ("Checking coverage for D2740…"). */
+  describe(call) {
+    const input = call.input || {};
+    switch (call.name) {
+      case "lookup_cdt_code":     return `Looking up ${input.code || "code"}…`;
+      case "search_cdt_codes":    return `Searching codes for "${input.query || ""}"…`;
+      case "get_coverage":        return `Checking coverage for ${input.code || "code"}…`;
+      case "estimate_cost":       return `Estimating cost for ${(input.codes || []).join(", ") || "codes"}…`;
+      case "get_benefits":        return "Reading benefits…";
+      case "get_patient_context": return `Reading ${input.section || "patient"} details…`;
+      case "get_actions":         return "Checking action items…";
+      default:                    return "Working…";
+    }
+  },
+
+  // ── Execution ──────────────────────────────────────────
+
+  /**
+   * Run one tool call.
+   * @param {string} name
+   * @param {Object} input - arguments from the model
+   * @param {{card: Object|null, ctx: Object|null}} env
+   * @returns {Object} JSON-safe result
+   */
+  run(name, input = {}, env = {}) {
+    const cdt = PracticePilot.cdtCodes;
+    const { card = null, ctx = null } = env;
+
+    switch (name) {
+      case "lookup_cdt_code": {
+        const entry = cdt.lookup(input.code);
+        if (!entry) return { error: `Unknown CDT code "${input.code}" — not in our reference table.` };
+        return { code: String(input.code).toUpperCase().trim(), ...this._codeInfo(entry) };
+      }
+
+      case "search_cdt_codes": {
+        const limit = Math.min(Math.max(parseInt(input.limit, 10) || 8, 1), this.MAX_SEARCH_RESULTS);
+        const results = cdt.search(String(input.query || ""), limit);
+        return { results: results.map(r => ({ code: r.code, ...this._codeInfo(r) })) };
+      }
+
+      case "get_coverage": {
+        const entry = cdt.lookup(input.code);
+        if (!entry) return { error: `Unknown CDT code "${input.code}".` };
+        if (!card) return { error: "No benefits verified for this patient yet — scan their eligibility page first." };
+        const line = PracticePilot.costEstimator.estimate([input.code], card).lines[0];
+        return {
+          code: line.code,
+          name: line.name,
+          category: entry.category,
+          cdtRange: entry.cdtRange,
+          inNetworkPct: line.coveragePct,
+          source: line.coverageSource === "exception" ? "plan exception for this code" : line.coverageSource ? "category rate" : "not found",
+          notes: line.notes,
+        };
+      }
+
+      case "estimate_cost": {
+        if (!card) return { error: "No benefits verified for this patient yet — scan their eligibility page first." };
+        const codes = (Array.isArray(input.codes) ? input.codes : [input.codes]).filter(Boolean);
+        if (!codes.length) return { error: "No codes given." };
+        const result = PracticePilot.costEstimator.estimate(codes, card, input.fees || {});
+        return {
+          ...result,
+          disclaimer: "Estimate only — not a guarantee of payment.",
+          ...(result.missingFees.length ? { missingFeesHint: "No fee on file for these codes; ask the user for the office fee." } : {}),
+        };
+      }
+
+      case "get_benefits":
+        if (!card) return { error: "No benefits verified for this patient yet." };
+        return this._scrub({
+          payer: card.payer,
+          planName: card.planName,
+          planType: card.planType,
+          groupNumber: card.groupNumber,
+          effective: card.effective,
+          deductible: card.deductible,
+          annualMax: card.annualMax,
+          coverageTable: card.coverageTable,
+          coverageExceptions: card.coverageExceptions,
+          frequencies: card.frequencies,
+          waitingPeriods: card.waitingPeriods,
+          ageLimits: card.ageLimits,
+          notes: card.notes,
+          verifiedAt: card.capturedAt,
+        });
+
+      case "get_patient_context": {
+        if (!ctx) return { error: "No patient scanned yet." };
+        if (!this.CONTEXT_SECTIONS.includes(input.section)) {
+          return { error: `Unknown section "${input.section}". Use one of: ${this.CONTEXT_SECTIONS.join(", ")}.` };
+        }
+        const scanned = ctx.tabsScanned || [];
+        return {
+          section: input.section,
+          data: this._scrub(ctx[input.section] ?? null),
+          tabsScanned: scanned,
+        };
+      }
+
+      case "get_actions": {
+        if (!ctx) return { error: "No patient scanned yet." };
+        const actions = PracticePilot.actionEngine.generate(ctx, card);
+        return {
+          actions: actions.map(a => ({
+            priority: PracticePilot.actionEngine.PRIORITY_LABELS[a.priority] || a.priority,
+            title: a.title,
+            detail: a.detail,
+            category: a.category,
+          })),
+        };
+      }
+
+      default:
+        return { error: `Unknown tool "${name}".` };
+    }
+  },
+
+  // ── Helpers ────────────────────────────────────────────
+
+  _codeInfo(entry) {
+    return {
+      name: entry.name,
+      aka: entry.aka || null,
+      category: entry.category,
+      cdtRange: entry.cdtRange,
+      tier: entry.tier,
+      note: entry.note || null,
+    };
+  },
+
+  /** Deep copy without identifier keys. */
+  _scrub(value) {
+    if (Array.isArray(value)) return value.map(v => this._scrub(v));
+    if (value && typeof value === "object") {
+      const out = {};
+      for (const [k, v] of Object.entries(value)) {
+        if (!this.PHI_KEYS.includes(k)) out[k] = this._scrub(v);
+      }
+      return out;
+    }
+    return value ?? null;
+  },
+};
+
+window.PracticePilot = PracticePilot;
+})();
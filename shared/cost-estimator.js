@@ -0,0 +1,178 @@
+// ============================================================
+// PracticePilot — Patient Cost Estimator
+// ============================================================
+// Turns a list of scheduled CDT codes + a BenefitCard into a
+// dollar breakdown of what insurance pays vs. what the patient
+// pays, so the front desk can quote before the visit.
+//
+// Per code, in order:
+//   1. Remaining deductible (skipped for preventive/diagnostic
+//      unless the plan says otherwise)
+//   2. Coinsurance — coverageExceptions win over coverageTable
+//   3. Remaining annual maximum caps the insurance portion
+//
+// Deductible and max are drawn down across codes in the order
+// given, the same way a claim would adjudicate them.
+// All numbers are ESTIMATES — never a guarantee of payment.
+// ============================================================
+
+(function() {
+var PracticePilot = window.PracticePilot || {};
+
+PracticePilot.costEstimator = {
+
+  // Tiers that usually bypass the deductible on PPO plans
+  DEDUCTIBLE_EXEMPT_TIERS: ["preventive"],
+
+  /**
+   * Estimate insurance vs. patient portions for a set of codes.
+   * @param {string[]} codes - CDT codes, in the order they'll be billed
+   * @param {Object} card - BenefitCard
+   * @param {Object} [fees] - { D2740: 1200, ... } fee overrides per code;
+   *   codes not listed fall back to the practice fee schedule
+   * @returns {{lines: Array, totals: Object, deductibleRemaining: number|null,
+   *            maxRemaining: number|null, missingFees: string[]}}
+   */
+  estimate(codes, card, fees = {}) {
+    const lines = [];
+    const missingFees = [];
+    const totals = { fee: 0, deductible: 0, insurance: 0, patient: 0 };
+
+    let dedRemaining = this._money(card?.deductible?.remaining ?? card?.deductible?.individual);
+    let maxRemaining = this._money(card?.annualMax?.remaining ?? card?.annualMax?.individual);
+
+    for (const rawCode of codes || []) {
+      const code = String(rawCode).toUpperCase().trim();
+      const entry = PracticePilot.cdtCodes?.lookup(code);
+      const fee = this._money(fees[code] ?? PracticePilot.feeSchedule?.feeFor(code, card?.payer));
+      const notes = [];
+
+      const line = {
+        code,
+        name: entry ? (entry.aka || entry.name) : "Unknown code",
+        fee,
+        coveragePct: null,
+        coverageSource: null,
+        deductible: 0,
+        insurance: null,
+        patient: null,
+        notes,
+      };
+
+      // Coinsurance: exception for this exact code beats the category rate
+      const exception = this._exceptionFor(code, card);
+      if (exception && exception.inNetwork !== null && exception.inNetwork !== undefined) {
+        line.coveragePct = Number(exception.inNetwork);
+        line.coverageSource = "exception";
+        if (exception.description || exception.note) {
+          notes.push(exception.description || exception.note);
+        }
+      } else {
+        const pct = PracticePilot.cdtCodes?.getCoverage(code, card);
+        if (pct !== null && pct !== undefined) {
+          line.coveragePct = Number(pct);
+          line.coverageSource = "table";
+        }
+      }
+
+      if (fee === null) {
+        missingFees.push(code);
+        lines.push(line);
+        continue;
+      }
+
+      // 1. Deductible
+      let allowed = fee;
+      if (dedRemaining > 0 && this._deductibleApplies(entry, card)) {
+        line.deductible = Math.min(dedRemaining, allowed);
+        dedRemaining = this._round(dedRemaining - line.deductible);
+        allowed -= line.deductible;
+      }
+
+      // 2. Coinsurance
+      let insurance = 0;
+      if (line.coveragePct === null) {
+        notes.push("Coverage % unknown — quoted as patient responsibility");
+      } else {
+        insurance = allowed * line.coveragePct / 100;
+      }
+
+      // 3. Annual max
+      if (maxRemaining !== null && insurance > maxRemaining) {
+        notes.push(maxRemaining > 0
+          ? `Annual max reached — insurance capped at $${maxRemaining.toFixed(2)}`
+          : "Annual max exhausted");
+        insurance = Math.max(maxRemaining, 0);
+      }
+      if (maxRemaining !== null) maxRemaining = this._round(maxRemaining - insurance);
+
+      line.insurance = this._round(insurance);
+      line.patient = this._round(fee - line.insurance);
+
+      totals.fee += fee;
+      totals.deductible += line.deductible;
+      totals.insurance += line.insurance;
+      totals.patient += line.patient;
+
+      lines.push(line);
+    }
+
+    for (const k of Object.keys(totals)) totals[k] = this._round(totals[k]);
+
+    return {
+      lines,
+      totals,
+      deductibleRemaining: dedRemaining,
+      maxRemaining,
+      missingFees,
+    };
+  },
+
+  // ── Helpers ────────────────────────────────────────────
+
+  /**
+   * Find a coverage exception whose cdtCodes mention this code,
+   * either directly ("D2740, D2750") or as a range ("D2700-D2799").
+   */
+  _exceptionFor(code, card) {
+    const num = parseInt(code.slice(1), 10);
+    for (const ex of card?.coverageExceptions || []) {
+      const spec = String(ex.cdtCodes || "").toUpperCase();
+      if (!spec) continue;
+      if (spec.includes(code)) return ex;
+
+      for (const m of spec.matchAll(/D(\d{4})\s*[-–]\s*D?(\d{4})/g)) {
+        if (num >= parseInt(m[1], 10) && num <= parseInt(m[2], 10)) return ex;
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Whether the deductible applies to this procedure.
+   * Honors the card's "appliesTo" text when present; otherwise
+   * assumes the common PPO rule (preventive/diagnostic exempt).
+   */
+  _deductibleApplies(entry, card) {
+    const appliesTo = (card?.deductible?.appliesTo || "").toLowerCase();
+    if (appliesTo && entry) {
+      if (/\ball\b|every/.test(appliesTo)) return true;
+      return appliesTo.includes(entry.tier) || appliesTo.includes(entry.category.toLowerCase());
+    }
+    return !entry || !this.DEDUCTIBLE_EXEMPT_TIERS.includes(entry.tier);
+  },
+
+  /** Parse "$1,500.00" / "1500" / 1500 → 1500, anything else → null */
+  _money(v) {
+    if (v === null || v === undefined || v === "") return null;
+    const n = parseFloat(String(v).replace(/[$,\s]/g, ""));
+    return isNaN(n) ? null : n;
+  },
+
+  _round(n) {
+    return Math.round(n * 100) / 100;
+  },
+};
+
+window.PracticePilot = PracticePilot;
+})();
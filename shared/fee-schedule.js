@@ -0,0 +1,239 @@
+// ============================================================
+// PracticePilot — Practice Fee Schedule
+// ============================================================
+// Office UCR fee + contracted (PPO allowed) fees per carrier for
+// each CDT code. Stored in chrome.storage.local under
+// PP.storage.KEYS.FEE_SCHEDULE and held in memory after load()
+// so lookups stay synchronous for the renderers and the action
+// engine.
+//
+// Stored shape:
+//   {
+//     ucr:    { D2740: 1250, ... },
+//     payers: { "deltadental": { name: "Delta Dental", fees: { D2740: 845 } } },
+//     updatedAt: ISO string
+//   }
+//
+// CSV format (import + export):
+//   Code,Description,UCR,Delta Dental,MetLife,...
+//   D2740,Porcelain/Ceramic Crown,1250,845,910
+// ============================================================
+
+(function() {
+var PracticePilot = window.PracticePilot || {};
+
+PracticePilot.feeSchedule = {
+
+  _table: null,
+
+  // ── Storage ────────────────────────────────────────────
+
+  /** Load the fee schedule into memory. Call once before using lookup(). */
+  async load() {
+    const key = PracticePilot.storage.KEYS.FEE_SCHEDULE;
+    const result = await chrome.storage.local.get(key);
+    this._table = result[key] ?? this._emptyTable();
+    return this._table;
+  },
+
+  async save(table) {
+    table.updatedAt = new Date().toISOString();
+    this._table = table;
+    await chrome.storage.local.set({ [PracticePilot.storage.KEYS.FEE_SCHEDULE]: table });
+  },
+
+  async clear() {
+    this._table = this._emptyTable();
+    await chrome.storage.local.remove(PracticePilot.storage.KEYS.FEE_SCHEDULE);
+  },
+
+  _emptyTable() {
+    return { ucr: {}, payers: {}, updatedAt: null };
+  },
+
+  // ── Lookup ─────────────────────────────────────────────
+
+  /**
+   * Fee info for a code, optionally for a specific carrier.
+   * Returns { ucr, allowed, payerName } or null if nothing is on file.
+   * `allowed` is the contracted fee for the matched carrier (null if
+   * the carrier has no row for this code or no carrier matched).
+   */
+  lookup(code, payer = null) {
+    if (!this._table || !code) return null;
+    const key = code.toUpperCase().replace(/\s/g, "");
+
+    const ucr = this._table.ucr[key] ?? null;
+    const payerEntry = this._matchPayer(payer);
+    const allowed = payerEntry?.fees[key] ?? null;
+
+    if (ucr === null && allowed === null) return null;
+    return { ucr, allowed, payerName: allowed !== null ? payerEntry.name : null };
+  },
+
+  /**
+   * The fee insurance will adjudicate against: contracted fee when
+   * the carrier is on file, otherwise the office UCR fee.
+   */
+  feeFor(code, payer = null) {
+    const info = this.lookup(code, payer);
+    if (!info) return null;
+    return info.allowed ?? info.ucr;
+  },
+
+  /** Summary counts for the settings screen. */
+  stats() {
+    const t = this._table || this._emptyTable();
+    return {
+      codes: new Set([
+        ...Object.keys(t.ucr),
+        ...Object.values(t.payers).flatMap(p => Object.keys(p.fees)),
+      ]).size,
+      payers: Object.values(t.payers).map(p => p.name),
+      updatedAt: t.updatedAt,
+    };
+  },
+
+  /**
+   * Find the carrier column for a payer name. Tolerates the usual
+   * spelling drift ("Delta Dental of CA" vs "Delta Dental"): an
+   * exact match wins, then the column name closest in length that
+   * contains, or is contained in, the payer name.
+   */
+  _matchPayer(payer) {
+    if (!payer || !this._table) return null;
+    const key = this._payerKey(payer);
+    if (!key) return null;
+    if (this._table.payers[key]) return this._table.payers[key];
+
+    let best = null;
+    for (const [k, entry] of Object.entries(this._table.payers)) {
+      if (!k || !(key.includes(k) || k.includes(key))) continue;
+      const gap = Math.abs(k.length - key.length);
+      if (!best || gap < best.gap) best = { gap, entry };
+    }
+    return best?.entry || null;
+  },
+
+  _payerKey(name) {
+    return String(name || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+  },
+
+  // ── CSV import / export ────────────────────────────────
+
+  /**
+   * Replace the fee schedule from CSV text.
+   * Columns: Code, [Description], UCR, then one column per carrier.
+   * Returns { codes, payers, skipped } counts.
+   */
+  async importCSV(text) {
+    const rows = this._parseCSV(text).filter(r => r.some(c => c.trim()));
+    if (rows.length < 2) throw new Error("CSV has no data rows.");
+
+    const header = rows[0].map(h => h.trim());
+    const codeCol = header.findIndex(h => /^(cdt\s*)?code$/i.test(h));
+    const ucrCol = header.findIndex(h => /^(ucr|office\s*fee|fee)$/i.test(h));
+    if (codeCol === -1) throw new Error('CSV needs a "Code" column.');
+
+    const skipCols = new Set([codeCol, ucrCol, header.findIndex(h => /^desc/i.test(h))]);
+    const payerCols = header
+      .map((name, i) => ({ name, i }))
+      .filter(c => this._payerKey(c.name) && !skipCols.has(c.i));     // "—" / "*" headers aren't carriers
+
+    const table = this._emptyTable();
+    for (const { name } of payerCols) {
+      table.payers[this._payerKey(name)] = { name, fees: {} };
+    }
+
+    let codes = 0;
+    let skipped = 0;
+    for (const row of rows.slice(1)) {
+      const code = (row[codeCol] || "").toUpperCase().replace(/\s/g, "");
+      if (!/^D\d{4}$/.test(code)) { skipped++; continue; }
+
+      let any = false;
+      if (ucrCol !== -1) {
+        const fee = this._parseFee(row[ucrCol]);
+        if (fee !== null) { table.ucr[code] = fee; any = true; }
+      }
+      for (const { name, i } of payerCols) {
+        const fee = this._parseFee(row[i]);
+        if (fee !== null) { table.payers[this._payerKey(name)].fees[code] = fee; any = true; }
+      }
+      if (any) codes++;
+    }
+
+    await this.save(table);
+    return { codes, payers: payerCols.length, skipped };
+  },
+
+  /**
+   * Export every code in the CDT reference (plus any extra codes on
+   * file) so the CSV doubles as a fill-in template.
+   */
+  exportCSV() {
+    const t = this._table || this._emptyTable();
+    const payers = Object.values(t.payers);
+
+    const codes = new Map();
+    for (const entry of PracticePilot.cdtCodes.allCodes()) codes.set(entry.code, entry.aka || entry.name);
+    for (const code of Object.keys(t.ucr)) if (!codes.has(code)) codes.set(code, "");
+    for (const p of payers) for (const code of Object.keys(p.fees)) if (!codes.has(code)) codes.set(code, "");
+
+    const lines = [["Code", "Description", "UCR", ...payers.map(p => p.name)]];
+    for (const code of [...codes.keys()].sort()) {
+      lines.push([
+        code,
+        codes.get(code),
+        t.ucr[code] ?? "",
+        ...payers.map(p => p.fees[code] ?? ""),
+      ]);
+    }
+    return lines.map(r => r.map(c => this._csvCell(c)).join(",")).join("\n");
+  },
+
+  _parseFee(v) {
+    if (v === undefined || v === null) return null;
+    const s = String(v).replace(/[$,\s]/g, "");
+    if (!s) return null;
+    const n = parseFloat(s);
+    return isNaN(n) ? null : n;
+  },
+
+  _csvCell(v) {
+    const s = String(v ?? "");
+    return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  },
+
+  /** Minimal RFC 4180 parser — handles quoted cells, escaped quotes, CRLF. */
+  _parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let cell = "";
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (inQuotes) {
+        if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+        else if (ch === '"') inQuotes = false;
+        else cell += ch;
+      } else if (ch === '"') {
+        inQuotes = true;
+      } else if (ch === ",") {
+        row.push(cell); cell = "";
+      } else if (ch === "\n" || ch === "\r") {
+        if (ch === "\r" && text[i + 1] === "\n") i++;
+        row.push(cell); rows.push(row);
+        row = []; cell = "";
+      } else {
+        cell += ch;
+      }
+    }
+    if (cell || row.length) { row.push(cell); rows.push(row); }
+    return rows;
+  },
+};
+
+window.PracticePilot = PracticePilot;
+})();
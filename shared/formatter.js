@@ -295,6 +295,63 @@ PracticePilot.formatter = {
     return lines.join("\n");
   },
 
+  /**
+   * Formats a side panel chat transcript as a note for the
+   * patient's chart.
+   * @param {string} patientName
+   * @param {Array<{role, content, at}>} messages
+   */
+  chatNote(patientName, messages) {
+    const lines = [];
+    const today = new Date().toLocaleDateString("en-US", {
+      month: "2-digit", day: "2-digit", year: "numeric",
+    });
+
+    lines.push(`PRACTICEPILOT Q&A — ${today}`);
+    lines.push("─".repeat(40));
+    if (patientName) lines.push(`Patient: ${patientName}`);
+
+    for (const msg of messages) {
+      const when = msg.at
+        ? new Date(msg.at).toLocaleString("en-US", { month: "2-digit", day: "2-digit", hour: "numeric", minute: "2-digit" })
+        : "";
+      lines.push("");
+      if (msg.role === "user") lines.push(`Q${when ? ` (${when})` : ""}: ${msg.content}`);
+      else lines.push(`A: ${msg.content}`);
+    }
+
+    lines.push("");
+    lines.push("AI-generated answers — verify against the plan before quoting to patients.");
+    return lines.join("\n");
+  },
+
+  /**
+   * Completion report for a verification queue (verifyQueue state).
+   */
+  verificationReport(queue) {
+    const VQ = PracticePilot.verifyQueue;
+    const lines = [];
+    const today = new Date().toLocaleDateString("en-US", {
+      month: "2-digit", day: "2-digit", year: "numeric",
+    });
+    const { total, byStatus } = VQ.progress(queue);
+
+    lines.push(`INSURANCE VERIFICATION REPORT — ${queue.date || today}`);
+    lines.push("─".repeat(40));
+    lines.push(`${byStatus.done} of ${total} verified` +
+      VQ.STATUSES.filter(s => s !== "done" && byStatus[s]).map(s => ` · ${byStatus[s]} ${VQ.LABELS[s].toLowerCase()}`).join(""));
+    lines.push("");
+
+    for (const item of queue.items) {
+      const head = [item.time, item.patientName].filter(Boolean).join("  ");
+      const detail = [item.payer, VQ.LABELS[item.status]].filter(Boolean).join(" — ");
+      lines.push(`${item.status === "done" ? "✓" : "•"} ${head} — ${detail}`);
+      if (item.note) lines.push(`    ${item.note}`);
+    }
+
+    return lines.join("\n");
+  },
+
   /**
    * Generates an internal checklist for staff.
    */
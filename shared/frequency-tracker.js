@@ -0,0 +1,285 @@
+// ============================================================
+// PracticePilot — Frequency Limit Tracker
+// ============================================================
+// Parses the free-text frequency limits on a BenefitCard
+// ("2 per calendar year", "1 per 36 months", "1 per 6 months
+// through age 18") into structured rules, then checks them
+// against the patient's procedure history to work out when
+// each service is next payable.
+//
+// Window types:
+//   calendar — resets Jan 1
+//   benefit  — resets on the plan's effective-date anniversary
+//              (falls back to calendar when no effective date)
+//   rolling  — N months back from the date of service
+//   lifetime — never resets
+//
+// Procedure history entries: { code: "D0210", date: "03/14/2022" }
+// ============================================================
+
+(function() {
+var PracticePilot = window.PracticePilot || {};
+
+PracticePilot.frequencyTracker = {
+
+  // BenefitCard.frequencies key → CDT codes that count against it
+  RULE_CODES: {
+    prophy:   ["D1110", "D1120"],
+    exam:     ["D0120", "D0150", "D0180"],
+    bwx:      ["D0270", "D0272", "D0273", "D0274", "D0277"],
+    fmx:      ["D0210"],
+    pano:     ["D0330"],
+    fluoride: ["D1206", "D1208"],
+  },
+
+  LABELS: {
+    prophy: "Prophy",
+    exam: "Exam",
+    bwx: "BWX",
+    fmx: "FMX",
+    pano: "Pano",
+    fluoride: "Fluoride",
+  },
+
+  WORD_COUNTS: { once: 1, one: 1, twice: 2, two: 2, three: 3, four: 4 },
+
+  // ── Rule parsing ───────────────────────────────────────
+
+  /**
+   * Parse a frequency string into a rule.
+   * @param {string} text - e.g. "1 per 36 months", "2x per calendar year"
+   * @returns {{count, months, windowType, minAge, maxAge, perTooth, text}|null}
+   */
+  parseRule(text) {
+    if (!text || typeof text !== "string") return null;
+    const t = text.toLowerCase().replace(/\s+/g, " ").trim();
+
+    const rule = {
+      count: null,
+      months: null,
+      windowType: null,
+      minAge: null,
+      maxAge: null,
+      perTooth: /per tooth|each tooth/.test(t),
+      text,
+    };
+
+    // Count: "2 per", "2x", "once", "twice", "one every"
+    const num = t.match(/(\d+)\s*(?:x\b|times?\b|per\b|every\b|each\b|in\b|\/)/);
+    const word = t.match(/\b(once|twice|one|two|three|four)\b/);
+    if (num) rule.count = parseInt(num[1], 10);
+    else if (word) rule.count = this.WORD_COUNTS[word[1]];
+
+    // Window
+    if (/lifetime/.test(t)) {
+      rule.windowType = "lifetime";
+    } else {
+      const months = t.match(/(\d+)\s*(?:consecutive\s+)?(?:months?|mos?)\b/);
+      const years = t.match(/(\d+)\s*(?:consecutive\s+|calendar\s+|benefit\s+|plan\s+|contract\s+|policy\s+)?(?:years?|yrs?)\b/);
+      const isCalendar = /calendar year/.test(t);
+      const isBenefit = /(?:benefit|plan|contract|policy|fiscal) year/.test(t);
+
+      if (months) {
+        rule.months = parseInt(months[1], 10);
+        rule.windowType = "rolling";
+      } else if (years) {
+        rule.months = parseInt(years[1], 10) * 12;
+        rule.windowType = isCalendar ? "calendar" : isBenefit ? "benefit" : "rolling";
+      } else if (isCalendar || isBenefit || /\b(?:year|yr)\b|annual|yearly/.test(t)) {
+        rule.months = 12;
+        rule.windowType = isCalendar ? "calendar" : "benefit";
+      }
+    }
+
+    // "Every 6 months" — no explicit count means one
+    if (rule.count === null && rule.windowType) rule.count = 1;
+
+    this._parseAge(t, rule);
+
+    if (rule.count === null || !rule.windowType) return null;
+    return rule;
+  },
+
+  _parseAge(t, rule) {
+    let m;
+    if ((m = t.match(/ages?\s*(\d+)\s*(?:-|–|to|through|thru)\s*(\d+)/))) {
+      rule.minAge = parseInt(m[1], 10);
+      rule.maxAge = parseInt(m[2], 10);
+    } else if ((m = t.match(/(?:through|thru|up to and including)\s*(?:age\s*)?(\d+)/))
+            || (m = t.match(/(?:age\s*)?(\d+)\s*(?:and|&|or)\s*(?:under|younger)/))) {
+      rule.maxAge = parseInt(m[1], 10);
+    } else if ((m = t.match(/(?:under|until|before|up to|to|below)\s*(?:the\s+)?age\s*(?:of\s*)?(\d+)/))
+            || (m = t.match(/under\s*(\d+)/))) {
+      rule.maxAge = parseInt(m[1], 10) - 1;
+    }
+
+    if ((m = t.match(/(?:age\s*)?(\d+)\s*(?:\+|and (?:over|older|up))/))
+     || (m = t.match(/(?:over|older than|after)\s*(?:age\s*)?(\d+)/))) {
+      rule.minAge = parseInt(m[1], 10);
+    }
+  },
+
+  // ── Eligibility ────────────────────────────────────────
+
+  /**
+   * Check every parseable frequency on the card against history.
+   * @param {Object} card - BenefitCard
+   * @param {Array<{code, date}>} history - completed procedures
+   * @param {Object} [opts] - { age, asOf: Date }
+   * @returns {Array<{key, label, codes, rule, used, lastDate, eligible,
+   *                   nextEligible, reason}>}
+   */
+  check(card, history, opts = {}) {
+    const results = [];
+    const asOf = this._startOfDay(opts.asOf || new Date());
+
+    for (const key of Object.keys(this.RULE_CODES)) {
+      const rule = this.parseRule(card?.frequencies?.[key]);
+      if (!rule || rule.perTooth) continue;
+
+      this._applyCardAgeLimit(rule, key, card);
+      results.push(this.evaluate(key, rule, history, {
+        age: opts.age,
+        asOf,
+        benefitStart: card?.effective?.start,
+      }));
+    }
+    return results;
+  },
+
+  /**
+   * Evaluate one rule against history.
+   */
+  evaluate(key, rule, history, { age, asOf, benefitStart } = {}) {
+    asOf = this._startOfDay(asOf || new Date());
+    const codes = this.RULE_CODES[key] || [];
+    const dates = (history || [])
+      .filter(h => codes.includes(String(h.code || "").toUpperCase()))
+      .map(h => this._parseDate(h.date))
+      .filter(d => d && d <= asOf)
+      .sort((a, b) => b - a);
+
+    const result = {
+      key,
+      label: this.LABELS[key] || key,
+      codes,
+      rule,
+      used: 0,
+      lastDate: dates[0] ? this.formatDate(dates[0]) : null,
+      eligible: true,
+      nextEligible: null,
+      reason: null,
+    };
+
+    if (age !== undefined && age !== null) {
+      if (rule.maxAge !== null && age > rule.maxAge) {
+        result.eligible = false;
+        result.reason = `age limit (through age ${rule.maxAge})`;
+        return result;
+      }
+      if (rule.minAge !== null && age < rule.minAge) {
+        result.eligible = false;
+        result.reason = `age limit (age ${rule.minAge}+)`;
+        return result;
+      }
+    }
+
+    const windowStart = this._windowStart(rule, asOf, benefitStart);
+    const inWindow = windowStart ? dates.filter(d => d >= windowStart) : dates;
+    result.used = inWindow.length;
+
+    if (result.used >= rule.count) {
+      result.eligible = false;
+      result.reason = `${result.used} of ${rule.count} used`;
+      if (rule.windowType !== "lifetime") {
+        // The oldest use that still counts decides when a slot frees up
+        const limiting = inWindow[rule.count - 1];
+        const next = rule.windowType === "rolling"
+          ? this._addMonths(limiting, rule.months)
+          : this._addMonths(this._periodStart(limiting, rule.windowType, benefitStart), rule.months);
+        result.nextEligible = this.formatDate(next);
+      }
+    }
+    return result;
+  },
+
+  /**
+   * First date that counts toward the limit for a service on `asOf`.
+   * Calendar/benefit windows longer than a year ("1 per 3 calendar
+   * years") reach back whole periods.
+   */
+  _windowStart(rule, asOf, benefitStart) {
+    if (rule.windowType === "lifetime") return null;
+    if (rule.windowType === "rolling") {
+      return this._addDays(this._addMonths(asOf, -rule.months), 1);
+    }
+    const periodStart = this._periodStart(asOf, rule.windowType, benefitStart);
+    return this._addMonths(periodStart, -(rule.months - 12));
+  },
+
+  /** Start of the calendar or benefit year containing `date`. */
+  _periodStart(date, windowType, benefitStart) {
+    const anniversary = windowType === "benefit" ? this._parseDate(benefitStart) : null;
+    if (!anniversary) return new Date(date.getFullYear(), 0, 1);
+
+    let start = new Date(date.getFullYear(), anniversary.getMonth(), anniversary.getDate());
+    if (start > date) start = new Date(date.getFullYear() - 1, anniversary.getMonth(), anniversary.getDate());
+    return start;
+  },
+
+  /**
+   * Pull an age limit from card.ageLimits into the rule when the
+   * frequency text itself didn't carry one.
+   */
+  _applyCardAgeLimit(rule, key, card) {
+    if (rule.maxAge !== null || rule.minAge !== null) return;
+    const label = key === "prophy" ? /prophy|cleaning/i : new RegExp(this.LABELS[key], "i");
+    const limit = (card?.ageLimits || []).find(a => label.test(a.service || ""));
+    if (limit) this._parseAge(String(limit.limit || "").toLowerCase(), rule);
+  },
+
+  // ── Date helpers ───────────────────────────────────────
+
+  /** "03/14/2022" / "2022-03-14" / "Mar 14, 2022" → local Date */
+  _parseDate(v) {
+    if (!v) return null;
+    if (v instanceof Date) return isNaN(v.getTime()) ? null : this._startOfDay(v);
+    const s = String(v).trim();
+
+    let m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+    if (m) return new Date(+m[1], +m[2] - 1, +m[3]);
+
+    m = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2,4})/);
+    if (m) {
+      const year = m[3].length === 2 ? 2000 + +m[3] : +m[3];
+      return new Date(year, +m[1] - 1, +m[2]);
+    }
+
+    const d = new Date(s);
+    return isNaN(d.getTime()) ? null : this._startOfDay(d);
+  },
+
+  _startOfDay(d) {
+    return new Date(d.getFullYear(), d.getMonth(), d.getDate());
+  },
+
+  _addMonths(d, months) {
+    const r = new Date(d.getFullYear(), d.getMonth() + months, 1);
+    const lastDay = new Date(r.getFullYear(), r.getMonth() + 1, 0).getDate();
+    r.setDate(Math.min(d.getDate(), lastDay));
+    return r;
+  },
+
+  _addDays(d, days) {
+    return new Date(d.getFullYear(), d.getMonth(), d.getDate() + days);
+  },
+
+  /** Date → "YYYY-MM-DD" */
+  formatDate(d) {
+    const pad = n => String(n).padStart(2, "0");
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+  },
+};
+
+window.PracticePilot = PracticePilot;
+})();
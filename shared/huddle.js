@@ -0,0 +1,134 @@
+// ============================================================
+// PracticePilot — Daily Huddle
+// ============================================================
+// Joins the day's appointments (scheduleParser) with what is
+// already cached — patient contexts and BenefitCards — and flags
+// what the front desk should sort out before each patient
+// arrives:
+//
+//   insurance  no benefits on file, or verified > VERIFY_DAYS ago
+//   billing    account / overdue balance (from the Billing tab)
+//   coverage   scheduled codes not covered, partly covered, or
+//              over a frequency limit (actionEngine's rules)
+//
+// Read-only: nothing is fetched and no LLM is called. Patients
+// never opened in Curve simply have fewer facts to go on.
+// ============================================================
+
+(function() {
+var PracticePilot = window.PracticePilot || {};
+
+PracticePilot.huddle = {
+
+  VERIFY_DAYS: 30,
+
+  /**
+   * @param {{date, appointments}} schedule - scheduleParser.parseText() result
+   * @returns {Promise<{date, appointments: Object[], summary: {patients, unverified, balances, coverage}}>}
+   *   each appointment gains { contextFound, cacheKey, insurance: { status, label }, flags[] }
+   */
+  async build(schedule, now = new Date()) {
+    const contexts = Object.values(await PracticePilot.patientContext._loadAll());
+    const cards = await PracticePilot.storage.getAllCachedCards();   // newest first
+
+    const appointments = schedule.appointments.map(appt => {
+      const key = this.nameKey(appt.patientName);
+      const ctx = contexts.find(c => this.nameKey(c.patientName) === key) || null;
+      const entry = cards.find(e => this.nameKey(e.card?.patientName) === key) || null;
+      return {
+        ...appt,
+        contextFound: !!ctx,
+        cacheKey: entry ? PracticePilot.storage._cacheKey(entry.card) : null,
+        ...this.review(appt, ctx, entry, now),
+      };
+    });
+
+    const count = (category) => appointments.filter(a => a.flags.some(f => f.category === category)).length;
+    return {
+      date: schedule.date,
+      appointments,
+      summary: {
+        patients: appointments.length,
+        unverified: count("insurance"),
+        balances: count("billing"),
+        coverage: count("coverage"),
+      },
+    };
+  },
+
+  /**
+   * Flags for one appointment.
+   * @param {Object|null} ctx - stored patient context
+   * @param {Object|null} entry - cached card entry { card, cachedAt }
+   * @returns {{insurance: {status: string, label: string}, flags: Array<{priority, icon, title, detail, category}>}}
+   */
+  review(appt, ctx, entry, now = new Date()) {
+    const P = PracticePilot.actionEngine.PRIORITY;
+    const flags = [];
+    const add = (priority, icon, title, detail, category) => flags.push({ priority, icon, title, detail, category });
+
+    // ── Insurance ───────────────────────────────────────
+    const card = entry?.card || null;
+    const verifiedAt = this._latest(entry?.cachedAt, ctx?.insurance?.lastVerified);
+    const age = verifiedAt ? Math.floor((now - verifiedAt) / 86400000) : null;
+    const carrier = card?.payer || ctx?.insurance?.carrier || null;
+    let insurance;
+
+    if (age !== null && age <= this.VERIFY_DAYS) {
+      insurance = { status: "verified", label: `✓ ${carrier || "Insurance"} verified ${age === 0 ? "today" : `${age}d ago`}` };
+    } else if (ctx?.tabsScanned?.includes("insurance") && !ctx.insurance?.carrier && !card) {
+      insurance = { status: "none", label: "No insurance on file — confirm at check-in" };
+    } else if (age !== null) {
+      insurance = { status: "stale", label: `${carrier || "Insurance"} verified ${age}d ago` };
+      add(P.ACTION, "🔄", "Re-verify insurance", `${carrier || "Benefits"} last verified ${age} days ago.`, "insurance");
+    } else {
+      insurance = { status: "unverified", label: carrier ? `${carrier} — not verified` : "Insurance unknown" };
+      add(P.ACTION, "📋", "Verify insurance",
+        carrier ? `No benefit breakdown cached for ${carrier}.` : "No insurance details cached — open the patient in Curve or run eligibility.",
+        "insurance");
+    }
+
+    // ── Balance ─────────────────────────────────────────
+    const billing = ctx?.billing || {};
+    if (billing.hasBalance) {
+      add(billing.hasOverdue ? P.ACTION : P.INFO, billing.hasOverdue ? "⏰" : "💰",
+        billing.hasOverdue ? "Overdue balance" : "Account balance",
+        `Balance $${billing.balance}${billing.hasOverdue ? " — part is 31+ days old" : ""}. Collect at check-in.`,
+        "billing");
+    }
+
+    // ── Scheduled codes ─────────────────────────────────
+    if (card && appt.codes.length) {
+      const base = ctx || PracticePilot.patientContext._emptyContext(appt.patientName);
+      const withAppt = { ...base, todayAppt: { ...(base.todayAppt || {}), codes: appt.codes } };
+      for (const a of PracticePilot.actionEngine.generate(withAppt, card)) {
+        if (a.category === "coverage" && a.priority <= P.ACTION) add(a.priority, a.icon, a.title, a.detail, "coverage");
+      }
+    }
+
+    flags.sort((a, b) => a.priority - b.priority);
+    return { insurance, flags };
+  },
+
+  /** "Smith, John" / "JOHN A. SMITH" / "John Smith" → "john smith" */
+  nameKey(name) {
+    let n = String(name || "").trim().toLowerCase().replace(/\s+/g, " ");
+    const lastFirst = n.match(/^([^,]+),\s*(.+)$/);
+    if (lastFirst) n = `${lastFirst[2]} ${lastFirst[1]}`;
+    const words = n.split(" ").filter(w => w.replace(/\./g, "").length > 1);
+    return words.length > 1 ? `${words[0]} ${words[words.length - 1]}` : words.join(" ");
+  },
+
+  // ── Helpers ────────────────────────────────────────────
+
+  /** Most recent of several loose dates ("Feb 19, 2026 at 3:24PM by …", ISO). */
+  _latest(...values) {
+    const dates = values.filter(Boolean)
+      .map(v => PracticePilot.actionEngine._parseLooseDate(String(v)))
+      .filter(Boolean);
+    return dates.length ? new Date(Math.max(...dates)) : null;
+  },
+};
+
+window.PracticePilot = PracticePilot;
+})();
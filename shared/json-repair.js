@@ -0,0 +1,222 @@
+// ============================================================
+// PracticePilot — JSON Repair
+// ============================================================
+// Smaller (local) models often return almost-JSON: markdown
+// fences, trailing commas, single quotes, unquoted keys,
+// Python literals, or output cut off mid-object. This module
+// recovers what it can in two passes:
+//
+//   1. parse(text)  — syntax repair, then JSON.parse
+//   2. conform(value, shape) — schema repair: coerce the parsed
+//      value to the shape the caller expects ("80%" → 80,
+//      object where an array belongs → [object], missing
+//      sections → null / [] / {})
+//
+// Shapes are plain templates:
+//   "string" | "number" | "boolean" | "any"
+//   { key: shape, ... }   — object; unknown keys pass through
+//   [shape]               — array of shape
+// ============================================================
+
+(function() {
+var PracticePilot = self.PracticePilot || {};
+
+PracticePilot.jsonRepair = {
+
+  // ── Syntax repair ──────────────────────────────────────
+
+  /**
+   * Parse model output as JSON, repairing common defects.
+   * @returns {Object} parsed value
+   * @throws {Error} if nothing parseable was found
+   */
+  parse(text) {
+    const source = String(text ?? "").trim();
+
+    const candidates = [source];
+    const fenced = source.match(/```(?:json)?\s*([\s\S]*?)(?:```|$)/i);
+    if (fenced) candidates.push(fenced[1]);
+    const start = source.search(/[{[]/);
+    if (start > 0) candidates.push(source.slice(start));
+
+    for (const c of candidates) {
+      try { return JSON.parse(c); } catch (_) {}
+    }
+    for (const c of candidates) {
+      try { return JSON.parse(this.repair(c)); } catch (_) {}
+    }
+    throw new Error("Failed to parse LLM response as JSON. Response: " + source.substring(0, 200));
+  },
+
+  /**
+   * Rewrite almost-JSON into JSON. Walks the text once, tracking
+   * strings so fixes never touch string contents. A value directly
+   * followed by another ({"a": 1 "b": 2}) gets the missing comma.
+   */
+  repair(text) {
+    let s = String(text)
+      .replace(/[“”]/g, '"')
+      .replace(/[‘’]/g, "'");
+
+    const start = s.search(/[{[]/);
+    if (start === -1) return s;
+    s = s.slice(start);
+
+    let out = "";
+    const stack = [];
+    let i = 0;
+
+    while (i < s.length) {
+      const ch = s[i];
+
+      // Strings — normalize single-quoted to double-quoted
+      if (ch === '"' || ch === "'") {
+        const { value, end, closed } = this._readString(s, i, ch);
+        out = this._separate(out) + JSON.stringify(value);
+        i = end;
+        if (!closed) break;
+        continue;
+      }
+
+      // Comments
+      if (ch === "/" && s[i + 1] === "/") {
+        while (i < s.length && s[i] !== "\n") i++;
+        continue;
+      }
+      if (ch === "/" && s[i + 1] === "*") {
+        const close = s.indexOf("*/", i + 2);
+        i = close === -1 ? s.length : close + 2;
+        continue;
+      }
+
+      if (ch === "{" || ch === "[") {
+        stack.push(ch === "{" ? "}" : "]");
+        out = this._separate(out) + ch;
+        i++;
+        continue;
+      }
+      if (ch === "}" || ch === "]") {
+        out = out.replace(/,\s*$/, "");            // trailing comma
+        if (stack.length) out += stack.pop();
+        i++;
+        if (!stack.length) break;                    // ignore chatter after the object
+        continue;
+      }
+
+      // Numbers — "80%" isn't a JSON number, so quote it for conform()
+      if (/[-\d.]/.test(ch)) {
+        let j = i;
+        while (j < s.length && /[-+\d.eE%]/.test(s[j])) j++;
+        const token = s.slice(i, j);
+        out = this._separate(out);
+        out += /^-?\d+(\.\d+)?([eE][-+]?\d+)?$/.test(token) ? token : JSON.stringify(token);
+        i = j;
+        continue;
+      }
+
+      // Bare words: keys, literals
+      if (/[A-Za-z_$]/.test(ch)) {
+        let j = i;
+        while (j < s.length && /[\w$]/.test(s[j])) j++;
+        const word = s.slice(i, j);
+        const next = s.slice(j).match(/^\s*(.)/)?.[1];
+        out = this._separate(out);
+        if (next === ":") out += JSON.stringify(word);
+        else out += { True: "true", False: "false", None: "null", NaN: "null", undefined: "null", Infinity: "null" }[word] ?? word;
+        i = j;
+        continue;
+      }
+
+      out += ch;
+      i++;
+    }
+
+    // Output cut off mid-object: drop the dangling fragment (a key
+    // cut off before its colon included) and close
+    if (stack.length) {
+      if (stack[stack.length - 1] === "}") out = out.replace(/([{,])\s*"(?:[^"\\]|\\.)*"\s*$/, "$1");
+      out = out.replace(/,\s*$/, "").replace(/,?\s*"[^"]*"\s*:\s*$/, "").replace(/:\s*$/, ": null");
+      while (stack.length) out += stack.pop();
+    }
+    return out;
+  },
+
+  /** `out` with a comma added when it ends in a complete value. */
+  _separate(out) {
+    return /(?:["}\]\d]|\btrue|\bfalse|\bnull)\s*$/.test(out) ? out.trimEnd() + "," : out;
+  },
+
+  /** Read a quoted string starting at `i`; tolerates a missing closing quote. */
+  _readString(s, i, quote) {
+    let value = "";
+    let j = i + 1;
+    while (j < s.length) {
+      const c = s[j];
+      if (c === "\\" && j + 1 < s.length) {
+        const n = s[j + 1];
+        const hex = n === "u" ? s.slice(j + 2, j + 6) : "";
+        if (/^[0-9a-fA-F]{4}$/.test(hex)) {
+          // "\uD83D\uDE00" — consecutive units make up the surrogate pair
+          value += String.fromCharCode(parseInt(hex, 16));
+          j += 6;
+          continue;
+        }
+        const escaped = { n: "\n", t: "\t", r: "\r", b: "\b", f: "\f", '"': '"', "\\": "\\", "/": "/" }[n];
+        value += escaped ?? (n === quote ? n : c + n);     // unknown escapes stay as written
+        j += 2;
+        continue;
+      }
+      if (c === quote) return { value, end: j + 1, closed: true };
+      if (c === "\n" && quote === "'") break;
+      value += c;
+      j++;
+    }
+    return { value, end: j, closed: false };
+  },
+
+  // ── Schema repair ──────────────────────────────────────
+
+  /** Coerce a parsed value to a shape template (see header). */
+  conform(value, shape) {
+    if (shape === "any") return value ?? null;
+
+    if (Array.isArray(shape)) {
+      if (value === null || value === undefined || value === "") return [];
+      const items = Array.isArray(value) ? value : [value];
+      return items
+        .map(item => this.conform(item, shape[0]))
+        .filter(item => item !== null && item !== undefined);
+    }
+
+    if (shape && typeof shape === "object") {
+      const obj = value && typeof value === "object" && !Array.isArray(value) ? { ...value } : {};
+      for (const [key, sub] of Object.entries(shape)) obj[key] = this.conform(obj[key], sub);
+      return obj;
+    }
+
+    if (this._isBlank(value)) return null;
+
+    if (shape === "number") {
+      if (typeof value === "number") return isNaN(value) ? null : value;
+      const n = parseFloat(String(value).replace(/[%$,\s]/g, ""));
+      return isNaN(n) ? null : n;
+    }
+    if (shape === "boolean") {
+      if (typeof value === "boolean") return value;
+      const t = String(value).toLowerCase();
+      return /^(true|yes|y)$/.test(t) ? true : /^(false|no|n)$/.test(t) ? false : null;
+    }
+    if (shape === "string") {
+      return typeof value === "object" ? JSON.stringify(value) : String(value);
+    }
+    return value;
+  },
+
+  _isBlank(v) {
+    return v === null || v === undefined
+      || (typeof v === "string" && /^\s*(|null|none|n\/a|unknown)\s*$/i.test(v));
+  },
+};
+
+self.PracticePilot = PracticePilot;
+})();
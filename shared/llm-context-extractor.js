@@ -10,7 +10,7 @@
 //   - Single unified call: extracts context + generates actions
 //   - PMS-agnostic: works with Curve, Dentrix, Eaglesoft, etc.
 //   - PHI-safe: redacts before sending, re-attaches locally
-//   - Uses cheap model (Haiku) for extraction (~$0.002/call)
+//   - Uses the provider's fast model (Haiku on Anthropic, ~$0.002/call)
 // ============================================================
 
 (function () {
@@ -20,9 +20,6 @@
 
     // ── Configuration ──────────────────────────────────────
 
-    // Use the cheapest capable model for structured extraction
-    EXTRACTION_MODEL: "claude-3-5-haiku-20241022",
-
     // Cache of hash → extracted result (in-memory, per session)
     _cache: new Map(),
 
@@ -63,9 +60,11 @@
      *
      * @param {string} pageText - Raw page text from DOM
      * @param {Object|null} benefitCard - Cached benefit card if available
+     * @param {Object} [options]
+     * @param {string} [options.structuredText] - same page with tables kept; sent instead of pageText
      * @returns {Object|null} { patientName, context, actions, hash, fromCache }
      */
-    async extract(pageText, benefitCard = null) {
+    async extract(pageText, benefitCard = null, { structuredText = null } = {}) {
       if (!pageText || pageText.length < this.MIN_TEXT_LENGTH) return null;
 
       // 1. Hash the content
@@ -84,30 +83,48 @@
       const patientName = this._extractPatientName(pageText);
       if (!patientName) return null;
 
-      // 4. Redact PHI
-      const redacted = PracticePilot.phiRedactor.redact(pageText);
+      // 4. Protect PHI (vault tokens by default). The structured capture
+      //    keeps billing and claims grids as tables; anything detected in
+      //    the plain text is caught there too.
+      const phiMode = (await PracticePilot.storage.getSettings()).phiMode;
+      let phiOptions = await PracticePilot.phiRedactor.optionsFor(pageText, [patientName]);
+      const useStructured = !!structuredText && structuredText.length >= this.MIN_TEXT_LENGTH;
+      if (useStructured) phiOptions = PracticePilot.phiRedactor.optionsAlong(pageText, phiOptions);
+      const redacted = PracticePilot.phiRedactor.protect(useStructured ? structuredText : pageText, phiMode, phiOptions);
       let cleanText = redacted.redactedText;
 
       // 5. Preprocess — strip noise, collapse whitespace
       cleanText = this._preprocessText(cleanText);
 
-      // 6. Truncate if huge (Haiku context is 200K but let's be practical)
-      if (cleanText.length > 40000) {
-        cleanText = cleanText.substring(0, 40000) + "\n\n[TEXT TRUNCATED]";
+      // 6. Call LLM
+      const config = await PracticePilot.llmProvider.getConfig();
+      if (!PracticePilot.llmProvider.isConfigured(config)) {
+        console.warn("[PracticePilot] LLM not configured — falling back to regex");
+        return null; // caller should fall back to regex parsers
       }
 
-      // 7. Call LLM
-      const config = await PracticePilot.llmExtractor.getConfig();
-      if (!config.apiKey) {
-        console.warn("[PracticePilot] No API key — falling back to regex");
-        return null; // caller should fall back to regex parsers
+      // 7. Truncate if huge (Haiku context is 200K but let's be practical;
+      //    local models get far less)
+      const maxChars = PracticePilot.llmProvider.adapter(config).maxInputChars || 40000;
+      if (cleanText.length > maxChars) {
+        cleanText = cleanText.substring(0, maxChars) + "\n\n[TEXT TRUNCATED]";
       }
 
+      // 8. Optional pre-send review — declining falls back to regex
+      const approved = await PracticePilot.auditLog.confirmSend({
+        module: "llmContextExtractor",
+        label: "Patient page scan",
+        text: cleanText,
+        redactions: redacted.redactions,
+      });
+      if (!approved) return null;
+
       try {
-        const llmResult = await this._callLLM(config, cleanText, benefitCard);
-        const parsed = this._parseJSON(llmResult);
+        // Re-hydrate tokens locally so actions can name the right person
+        const redactions = PracticePilot.auditLog.countByType(redacted.redactions);
+        const parsed = PracticePilot.phiVault.rehydrateDeep(await this._callLLM(config, cleanText, benefitCard, redactions));
 
-        // 8. Build result (preserve sectionsDetected from top-level JSON)
+        // 9. Build result (preserve sectionsDetected from top-level JSON)
         const result = {
           patientName,
           context: parsed.context || {},
@@ -117,7 +134,7 @@
           fromCache: false,
         };
 
-        // 9. Cache it
+        // 10. Cache it
         this._cacheResult(hash, result);
 
         return result;
@@ -129,7 +146,7 @@
 
     // ── LLM Call ───────────────────────────────────────────
 
-    SYSTEM_PROMPT: `You are PracticePilot, a dental practice assistant. You receive page text from a dental practice management system (such as Curve Dental, Dentrix, Eaglesoft, or Open Dental). Patient identifiers have been redacted.
+    SYSTEM_PROMPT: `You are PracticePilot, a dental practice assistant. You receive page text from a dental practice management system (such as Curve Dental, Dentrix, Eaglesoft, or Open Dental). Patient identifiers have been redacted. Identifiers may appear as tokens like [PERSON_1] or [MEMBER_ID_1] — copy them exactly when you refer to them.
 
 Your job: Extract structured patient data AND generate smart action items for the front desk / clinical team.
 
@@ -161,6 +178,7 @@ SECTION-SPECIFIC INSTRUCTIONS:
 • Insurance tab: note carrier/plan. If no insurance info found, note as cash patient.
 • Billing tab: parse the aging table. Flag any balance over 30 days.
 • Charting: note unscheduled treatment with CDT codes if visible.
+• Charting / Claims: list every COMPLETED procedure with its date of service in procedureHistory. Do NOT include planned, accepted, or unscheduled treatment.
 
 CATEGORY → ICON MAPPING:
   critical → 🚨, billing → 💰, insurance → 🔄, forms → 📝, recare → 📅,
@@ -256,7 +274,10 @@ OUTPUT FORMAT — Return ONLY valid JSON, no markdown fences
     "appointments": {
       "scheduledCount": number_or_null,
       "confirmedCount": number_or_null
-    }
+    },
+    "procedureHistory": [
+      { "code": "D0210", "date": "MM/DD/YYYY" }
+    ]
   },
   "actions": [
     {
@@ -269,7 +290,33 @@ OUTPUT FORMAT — Return ONLY valid JSON, no markdown fences
   ]
 }`,
 
-    async _callLLM(config, cleanText, benefitCard) {
+    // Short variant for small local models (adapter.compactPrompts)
+    SYSTEM_PROMPT_COMPACT: `You read page text from a dental practice management system and list what the front desk should do. Patient identifiers are redacted; keep tokens like [PERSON_1] exactly as written. Only use facts stated in the text.
+
+Reply with one JSON object and nothing else:
+{"sectionsDetected":["only the sections present, e.g. insurance, billing, recare, charting, forms"],
+"context":{
+"insurance":{"carrier":null,"hasInsurance":null},
+"billing":{"balance":null,"hasOutstandingBalance":null},
+"recare":{"noRecareFound":null,"nextDue":null},
+"charting":{"hasUnscheduledTx":null,"pendingCodes":null},
+"forms":{"hasPendingForms":null},
+"todayAppt":{"startTime":null,"type":null,"isNewPatient":null,"codes":null},
+"procedureHistory":[{"code":"D0210","date":"MM/DD/YYYY"}]},
+"actions":[{"priority":"critical|action|recommended|info","icon":"emoji","title":"5-8 words","detail":"1-2 sentences","category":"insurance|billing|forms|recare|charting|clinical|coverage|appointment|system"}]}`,
+
+    // Schema-repair template for jsonRepair.conform()
+    RESPONSE_SHAPE: {
+      context: "any",
+      actions: [{ priority: "string", icon: "string", title: "string", detail: "string", category: "string" }],
+      sectionsDetected: ["string"],
+    },
+
+    /**
+     * @param {Object} redactions - counts by type, for the audit log
+     * @returns {Promise<Object>} parsed, shape-conformed response
+     */
+    async _callLLM(config, cleanText, benefitCard, redactions = {}) {
       // Build user message with optional benefit card context
       let userMessage = `Extract patient data and generate action items from this dental practice management page.\n\n`;
 
@@ -287,34 +334,22 @@ OUTPUT FORMAT — Return ONLY valid JSON, no markdown fences
         userMessage += `\nUse this benefit info to cross-reference any scheduled procedures and generate coverage-related actions.\n\n`;
       }
 
-      userMessage += `PAGE TEXT:\n---\n${cleanText}\n---\n\nReturn the JSON now.`;
-
-      const url = "https://api.anthropic.com/v1/messages";
-
-      const response = await fetch(url, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "x-api-key": config.apiKey,
-          "anthropic-version": "2023-06-01",
-          "anthropic-dangerous-direct-browser-access": "true",
-        },
-        body: JSON.stringify({
-          model: this.EXTRACTION_MODEL,
-          max_tokens: 4096,
-          temperature: 0,
-          system: this.SYSTEM_PROMPT,
-          messages: [{ role: "user", content: userMessage }],
-        }),
-      });
-
-      if (!response.ok) {
-        const err = await response.text();
-        throw new Error(`Anthropic API error (${response.status}): ${err}`);
-      }
-
-      const data = await response.json();
-      return data.content?.[0]?.text ?? "";
+      // Structured capture: billing / claims grids arrive as Markdown tables
+      const tables = /^\|(?: --- \|)+$/m.test(cleanText) ? " (tables as Markdown rows — | cell | cell |)" : "";
+      userMessage += `PAGE TEXT${tables}:\n---\n${cleanText}\n---\n\nReturn the JSON now.`;
+
+      // Use the provider's cheapest capable model for structured extraction
+      const compact = PracticePilot.llmProvider.adapter(config).compactPrompts;
+      const { value } = await PracticePilot.llmProvider.completeJSON(config, {
+        system: compact ? this.SYSTEM_PROMPT_COMPACT : this.SYSTEM_PROMPT,
+        messages: [{ role: "user", content: userMessage }],
+        tier: "fast",
+        audit: { module: "llmContextExtractor", redactions },
+        maxTokens: 4096,
+        temperature: 0,
+      }, this.RESPONSE_SHAPE);
+      value.actions = value.actions.filter(a => a.title);
+      return value;
     },
 
     // ── Helpers ────────────────────────────────────────────
@@ -348,12 +383,7 @@ OUTPUT FORMAT — Return ONLY valid JSON, no markdown fences
     },
 
     _parseJSON(responseText) {
-      try { return JSON.parse(responseText); } catch (_) {}
-      const jsonMatch = responseText.match(/```(?:json)?\s*([\s\S]*?)```/);
-      if (jsonMatch) try { return JSON.parse(jsonMatch[1]); } catch (_) {}
-      const braceMatch = responseText.match(/\{[\s\S]*\}/);
-      if (braceMatch) try { return JSON.parse(braceMatch[0]); } catch (_) {}
-      throw new Error("Failed to parse LLM context response as JSON");
+      return PracticePilot.jsonRepair.parse(responseText);
     },
 
     _cacheResult(hash, result) {
@@ -4,13 +4,18 @@
 // Sends redacted eligibility text to an LLM and gets back a
 // structured BenefitCard JSON.
 //
-// Supports: OpenAI, Anthropic, or any OpenAI-compatible API.
+// Supports every provider in llm-provider.js (Anthropic, OpenAI,
+// or any OpenAI-compatible API).
 //
 // Flow:
-//   1. Raw page text → PHI redactor → clean text
-//   2. Clean text + system prompt → LLM API
-//   3. LLM returns structured JSON
-//   4. JSON → normalize.benefitCard()
+//   1. Raw page text → PHI redactor (tokenize or redact) → clean text
+//   2. Deterministic parser (eligibilityParser.parseText) on the
+//      unredacted text — with no LLM configured, stop here
+//   3. Clean text + system prompt → (optional review) → LLM API,
+//      whenever one is configured, even if the parser found every
+//      core field (the prompt then asks for everything else)
+//   4. LLM returns structured JSON; parser values win on merge
+//   5. Merged fields → normalize.benefitCard()
 //
 // The system prompt is the critical piece — it teaches the LLM
 // how to interpret wildly different payer eligibility formats
@@ -24,7 +29,7 @@ PracticePilot.llmExtractor = {
 
   // ── System prompt: the "brain" of extraction ────────────
 
-  SYSTEM_PROMPT: `You are a dental insurance benefits extraction specialist optimized for accuracy. You will receive cleaned eligibility/benefits response text — typically from Curve Dental (a practice management system) or a payer portal. Patient identifiers have been redacted.
+  SYSTEM_PROMPT: `You are a dental insurance benefits extraction specialist optimized for accuracy. You will receive cleaned eligibility/benefits response text — typically from Curve Dental (a practice management system) or a payer portal. Patient identifiers have been redacted. Identifiers may appear as tokens like [PERSON_1] or [MEMBER_ID_1] — copy them exactly when you refer to them.
 
 Your job: extract EVERY piece of structured benefit information and return it as a JSON object with zero hallucination.
 
@@ -94,6 +99,14 @@ DATA QUALITY:
 • For mixed-coverage categories, report the MOST COMMON rate and add exceptions.
 • Set extractionConfidence based on data completeness: "high" if most fields found, "medium" if partial, "low" if sparse.
 
+EVIDENCE:
+• For every value you report, copy the shortest EXACT phrase from the text that shows it (one line, under 150 characters) into "evidence".
+• Keys are field paths: "payer", "planName", "planType", "groupNumber", "effective.start", "effective.end",
+  "deductible.individual", "deductible.family", "deductible.remaining", "annualMax.individual", "annualMax.family", "annualMax.remaining",
+  "frequencies.prophy", "frequencies.exam", "frequencies.bwx", "frequencies.fmx", "frequencies.pano", "frequencies.fluoride",
+  and "coverageTable.<category>" using the exact category names above (e.g. "coverageTable.Crowns").
+• Quote the text verbatim — never paraphrase. Omit a key rather than invent a quote.
+
 ═══════════════════════════════════════════════════════════
 OUTPUT FORMAT
 ═══════════════════════════════════════════════════════════
@@ -181,39 +194,74 @@ Return ONLY a valid JSON object with this exact structure (use null for unknown/
   "notes": [
     "string - any important disclaimers, cross-reduction notes, benefit substitution clauses, or special conditions"
   ],
+  "evidence": {
+    "field.path": "exact quote from the text"
+  },
   "extractionConfidence": "high|medium|low"
 }
 
 Return ONLY the JSON object. No markdown fences, no explanation, no commentary.`,
 
+  // Short variant for small local models (adapter.compactPrompts).
+  // Same output keys as SYSTEM_PROMPT, so _toRaw() handles both.
+  SYSTEM_PROMPT_COMPACT: `Extract dental insurance benefits from eligibility text. Patient identifiers are redacted; keep tokens like [PERSON_1] exactly as written.
+
+Rules:
+- Coverage % = what INSURANCE pays. "20% / 80%" (patient / insurance) → 80.
+- Only report what the text states. Unknown → null. "Not covered" → 0.
+- Categories (exact names): Diagnostic; Preventive; Restorative; Crowns; Endodontics; Periodontics; Prosthodontics, Removable; Implant Services; Prosthodontics, Fixed; Oral & Maxillofacial Surgery; Orthodontics; Adjunctive General Services.
+- Frequencies as plain text, e.g. "2 per calendar year".
+
+Reply with one JSON object and nothing else:
+{"payer":null,"planName":null,"planType":null,"groupNumber":null,"effectiveStart":null,"effectiveEnd":null,
+"deductible":{"individual":null,"family":null,"preventiveExempt":null},
+"annualMax":{"individual":null,"family":null,"remaining":null},
+"coverageTable":[{"category":"Preventive","inNetwork":100,"outOfNetwork":null}],
+"frequencies":{"prophy":null,"exam":null,"bitewings":null,"fmxPano":null,"fluoride":null,"sealants":null},
+"waitingPeriods":[{"category":"","period":""}],
+"ageLimits":[{"service":"","limit":""}],
+"notes":[],
+"extractionConfidence":"medium"}`,
+
+  // Schema-repair template for jsonRepair.conform(); unlisted keys pass through
+  RESPONSE_SHAPE: {
+    payer: "string",
+    planName: "string",
+    planType: "string",
+    groupNumber: "string",
+    effectiveStart: "string",
+    effectiveEnd: "string",
+    deductible: { individual: "string", family: "string", appliesTo: "string", preventiveExempt: "boolean" },
+    annualMax: { individual: "string", family: "string", remaining: "string" },
+    coverageTable: [{ category: "string", cdtRange: "string", inNetwork: "number", outOfNetwork: "number" }],
+    coverageExceptions: [{ cdtCodes: "string", description: "string", inNetwork: "number", outOfNetwork: "number", note: "string" }],
+    frequencies: {
+      prophy: "string", exam: "string", bitewings: "string", fmxPano: "string", fluoride: "string", sealants: "string",
+    },
+    waitingPeriods: [{ category: "string", period: "string" }],
+    ageLimits: [{ service: "string", limit: "string" }],
+    limitations: ["string"],
+    nonCovered: ["string"],
+    remainingBenefits: "any",
+    notes: ["string"],
+    evidence: "any",
+    extractionConfidence: "string",
+  },
+
   // ── API Configuration ───────────────────────────────────
 
-  STORAGE_KEY: "pp:llmConfig",
+  // Stored and defaulted by llm-provider.js; kept here for existing callers
 
   async getConfig() {
-    const result = await chrome.storage.local.get(this.STORAGE_KEY);
-    return result[this.STORAGE_KEY] ?? {
-      provider: "anthropic",        // anthropic | openai | custom
-      apiKey: "",
-      model: "claude-sonnet-4-20250514",  // best balance of cost + quality for structured extraction
-      baseUrl: "https://api.anthropic.com",
-      maxTokens: 4096,
-      temperature: 0,               // deterministic extraction
-    };
+    return PracticePilot.llmProvider.getConfig();
   },
 
   async setConfig(config) {
-    await chrome.storage.local.set({ [this.STORAGE_KEY]: config });
+    await PracticePilot.llmProvider.setConfig(config);
   },
 
   // ── Main extraction function ────────────────────────────
 
-  /**
-   * Extract benefits from raw page text using LLM.
-   * 
-   * @param {string} rawText - Raw page text (may contain PHI)
-   * @returns {Object} { card: BenefitCard, raw: LLMResponse, redactionInfo }
-   */
   /**
    * Preprocess raw page text to remove noise before sending to LLM.
    * Strips navigation, headers, footers, repetitive whitespace, and
@@ -259,46 +307,107 @@ Return ONLY the JSON object. No markdown fences, no explanation, no commentary.`
     return text;
   },
 
-  async extract(rawText) {
+  /**
+   * Extract benefits from raw page text using LLM.
+   *
+   * @param {string} rawText - Raw page text (may contain PHI)
+   * @param {Object} [options]
+   * @param {string} [options.structuredText] - the same page with tables kept
+   *   (structured-text.js); what the LLM reads when given. The parser,
+   *   identity and provenance still work from rawText.
+   * @returns {Object} { card: BenefitCard, raw: LLMResponse, redactionInfo }
+   */
+  async extract(rawText, { structuredText = null } = {}) {
     // 0. Capture patient identity locally BEFORE redaction (never sent to LLM)
     const patientName = PracticePilot.phiRedactor.extractPatientName(rawText);
     const subscriberId = PracticePilot.phiRedactor.extractSubscriberId(rawText);
 
-    // 1. Redact PHI
-    const redactionResult = PracticePilot.phiRedactor.redact(rawText);
+    // 1. Protect PHI — vault tokens by default, so the response can be re-hydrated locally
+    const phiMode = (await PracticePilot.storage.getSettings()).phiMode;
+    const phiOptions = await PracticePilot.phiRedactor.optionsFor(rawText, [patientName]);
+    const redactionResult = PracticePilot.phiRedactor.protect(rawText, phiMode, phiOptions);
     let cleanText = redactionResult.redactedText;
 
     // 2. Preprocess: strip noise, collapse whitespace
     cleanText = this._preprocessText(cleanText);
 
-    // 3. Truncate if needed (most models have context limits)
-    const truncated = cleanText.length > 60000
-      ? cleanText.substring(0, 60000) + "\n\n[TEXT TRUNCATED]"
-      : cleanText;
+    const redactionInfo = {
+      redactionCount: redactionResult.redactionCount,
+      originalLength: redactionResult.originalLength,
+      redactedLength: redactionResult.redactedLength,
+    };
+
+    // 3. Deterministic parse — works offline and without a key. It reads
+    //    the unredacted text (nothing leaves the machine), so redaction
+    //    can't eat values like a group number; the source lines for
+    //    provenance come from a parse of the redacted text.
+    const parser = PracticePilot.eligibilityParser;
+    const parsed = parser ? parser.parseText(this._preprocessText(rawText)) : {};
+    const parserEvidence = parser ? parser.parseText(cleanText)._evidence : {};
+    const missing = parser ? parser.missingFields(parsed) : [];
+    const parsedAnything = !!parser &&
+      (parsed.confidence.overall !== "low" || !!parsed.deductibleIndividual || !!parsed.annualMaxIndividual);
+
+    // The LLM reads the structured capture when there is one — table
+    // rows keep each percentage next to its category. Values detected
+    // in the plain text are caught there too, labels or not.
+    let llmText = cleanText;
+    let llmRedactions = redactionResult.redactions;
+    if (structuredText && structuredText.length >= 50) {
+      const structured = PracticePilot.phiRedactor.protect(
+        structuredText, phiMode, PracticePilot.phiRedactor.optionsAlong(rawText, phiOptions)
+      );
+      llmText = this._preprocessText(structured.redactedText);
+      llmRedactions = structured.redactions;
+    }
 
-    // 4. Call LLM
     const config = await this.getConfig();
+    const parserOnly = (reason) => {
+      console.log(`[PracticePilot] Using parser-only BenefitCard (${reason})`);
+      const card = PracticePilot.normalize.benefitCard({ ...parsed, sourceUrl: window.location?.href });
+      card.provenance = PracticePilot.provenance?.build(card, cleanText, "parser", parserEvidence) || {};
+      card.patientName = patientName;
+      card.subscriberId = subscriberId;
+      return { card, llmRaw: null, source: "parser", missing, redactionInfo };
+    };
 
-    if (!config.apiKey) {
-      throw new Error("LLM API key not configured. Open PracticePilot settings to add your API key.");
+    if (!PracticePilot.llmProvider.isConfigured(config)) {
+      if (parsedAnything) return parserOnly("LLM not configured");
+      throw new PracticePilot.llmProvider.LLMError(PracticePilot.llmProvider.configProblem(config), { code: "not_configured" });
     }
 
+    // 4. Truncate if needed (most models have context limits; local ones far less)
+    const adapter = PracticePilot.llmProvider.adapter(config);
+    const maxChars = adapter.maxInputChars || 60000;
+    const truncated = llmText.length > maxChars
+      ? llmText.substring(0, maxChars) + "\n\n[TEXT TRUNCATED]"
+      : llmText;
+
     // Build context-rich user message
     const pageUrl = window.location?.href || "unknown";
     const isInsurer = !pageUrl.includes("curvehero.com");
     const sourceHint = isInsurer
       ? "This text is from an insurance payer portal."
       : "This text is from Curve Dental practice management system (eligibility response page).";
+    const tableHint = llmText !== cleanText
+      ? "\nTables are given as Markdown (| cell | cell |) — read each value with its row and column headers.\n"
+      : "";
 
     const userMessage = `${sourceHint}
-
+${tableHint}
 Extract ALL structured dental insurance benefits from the following eligibility text. Pay special attention to:
 - Coverage percentages (Insurance pays %)
 - Deductibles and annual maximums (including remaining amounts)
 - Frequency limitations for prophy, exams, x-rays, fluoride
 - Waiting periods and age limits
 - Non-covered services and exclusions
-
+${parsedAnything && missing.length ? `
+A rule-based parser could NOT find these — look for them carefully:
+${missing.map(m => `- ${m.label}`).join("\n")}
+` : ""}${parsedAnything && !missing.length ? `
+A rule-based parser already read the deductibles, maximums, the diagnostic / preventive / restorative / crown percentages and the prophy, exam and BWX frequencies.
+Concentrate on everything else: endo, perio, oral surgery, implants, ortho and other categories, the remaining frequencies, waiting periods, age limits, exclusions and notes.
+` : ""}
 ELIGIBILITY TEXT:
 ---
 ${truncated}
@@ -306,133 +415,89 @@ ${truncated}
 
 Return the JSON object now.`;
 
-    let llmResponse;
-    if (config.provider === "anthropic") {
-      llmResponse = await this._callAnthropic(config, userMessage);
-    } else {
-      // OpenAI or OpenAI-compatible
-      llmResponse = await this._callOpenAI(config, userMessage);
+    // 5. Optional pre-send review of exactly what leaves the browser
+    const approved = await PracticePilot.auditLog.confirmSend({
+      module: "llmExtractor",
+      label: "Benefit extraction",
+      text: truncated,
+      redactions: llmRedactions,
+    });
+    if (!approved) {
+      if (parsedAnything) return parserOnly("send declined at review");
+      throw new PracticePilot.llmProvider.LLMError("Not sent — cancelled at review.", { code: "cancelled" });
     }
 
-    // 5. Parse JSON from response
-    const extracted = this._parseJSON(llmResponse);
+    // 6. Call LLM — JSON is repaired and conformed to RESPONSE_SHAPE
+    let extracted;
+    try {
+      const response = await PracticePilot.llmProvider.completeJSON(config, {
+        system: adapter.compactPrompts ? this.SYSTEM_PROMPT_COMPACT : this.SYSTEM_PROMPT,
+        messages: [{ role: "user", content: userMessage }],
+        audit: { module: "llmExtractor", redactions: PracticePilot.auditLog.countByType(llmRedactions) },
+      }, this.RESPONSE_SHAPE);
+      // Tokens → real values, locally. Evidence stays tokenized so it
+      // still matches the protected text provenance is built from.
+      extracted = { ...PracticePilot.phiVault.rehydrateDeep(response.value), evidence: response.value.evidence };
+    } catch (e) {
+      // Network down / API error — the parser result is still useful
+      if (parsedAnything) {
+        console.warn("[PracticePilot] LLM call failed, falling back to parser:", e);
+        if (e.code !== "phi_blocked") return parserOnly("LLM unavailable");
+        return { ...parserOnly("blocked by PHI guard"), warning: e.message };
+      }
+      throw e;
+    }
 
-    // 6. Convert to BenefitCard format
-    const card = this._toBenefitCard(extracted);
+    // 7. Merge: parser values win, LLM fills the gaps
+    const llmFields = this._toRaw(extracted);
+    const merged = parsedAnything ? parser.mergeRaw(parsed, llmFields) : llmFields;
+    if (parsedAnything) merged.confidence = { ...llmFields.confidence, source: "parser+llm" };
+    const card = PracticePilot.normalize.benefitCard(merged);
+
+    // Provenance: parser-filled fields keep the parser's source line,
+    // everything else is credited to the LLM with its quoted evidence
+    // (quoted from the structured text when the LLM read that)
+    if (PracticePilot.provenance) {
+      const parserCard = parsedAnything ? PracticePilot.normalize.benefitCard(parsed) : null;
+      const fromParser = path => parserCard && PracticePilot.provenance._present(PracticePilot.provenance.valueAt(parserCard, path));
+      card.provenance = PracticePilot.provenance.build(
+        card, llmText === cleanText ? cleanText : `${cleanText}\n${llmText}`,
+        path => fromParser(path) ? "parser" : "llm",
+        { ...(extracted.evidence || {}), ...(parsedAnything ? parserEvidence : {}) }
+      );
+    }
 
-    // 7. Attach locally-captured patient identity (stays on device)
+    // 8. Attach locally-captured patient identity (stays on device)
     card.patientName = patientName;
     card.subscriberId = subscriberId;
 
     return {
       card,
       llmRaw: extracted,
-      redactionInfo: {
-        redactionCount: redactionResult.redactionCount,
-        originalLength: redactionResult.originalLength,
-        redactedLength: redactionResult.redactedLength,
-      },
+      source: parsedAnything ? "parser+llm" : "llm",
+      missing,
+      redactionInfo,
     };
   },
 
-  // ── API Callers ─────────────────────────────────────────
-
-  async _callOpenAI(config, text) {
-    const url = `${config.baseUrl}/chat/completions`;
-
-    const response = await fetch(url, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "Authorization": `Bearer ${config.apiKey}`,
-      },
-      body: JSON.stringify({
-        model: config.model,
-        temperature: config.temperature,
-        max_tokens: config.maxTokens,
-        messages: [
-          { role: "system", content: this.SYSTEM_PROMPT },
-          { role: "user", content: text },
-        ],
-        response_format: { type: "json_object" },
-      }),
-    });
-
-    if (!response.ok) {
-      const err = await response.text();
-      throw new Error(`OpenAI API error (${response.status}): ${err}`);
-    }
-
-    const data = await response.json();
-    return data.choices?.[0]?.message?.content ?? "";
-  },
-
-  async _callAnthropic(config, text) {
-    const url = "https://api.anthropic.com/v1/messages";
-
-    const response = await fetch(url, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "x-api-key": config.apiKey,
-        "anthropic-version": "2023-06-01",
-        "anthropic-dangerous-direct-browser-access": "true",
-      },
-      body: JSON.stringify({
-        model: config.model || "claude-sonnet-4-20250514",
-        max_tokens: config.maxTokens,
-        temperature: config.temperature,
-        system: this.SYSTEM_PROMPT,
-        messages: [
-          { role: "user", content: text },
-        ],
-      }),
-    });
-
-    if (!response.ok) {
-      const err = await response.text();
-      throw new Error(`Anthropic API error (${response.status}): ${err}`);
-    }
-
-    const data = await response.json();
-    return data.content?.[0]?.text ?? "";
-  },
-
   // ── Response parsing ────────────────────────────────────
 
   _parseJSON(responseText) {
-    // Try direct parse
-    try {
-      return JSON.parse(responseText);
-    } catch (e) {
-      // Try extracting JSON from markdown code blocks
-      const jsonMatch = responseText.match(/```(?:json)?\s*([\s\S]*?)```/);
-      if (jsonMatch) {
-        try {
-          return JSON.parse(jsonMatch[1]);
-        } catch (e2) {
-          // ignore
-        }
-      }
-
-      // Try finding the first { ... } block
-      const braceMatch = responseText.match(/\{[\s\S]*\}/);
-      if (braceMatch) {
-        try {
-          return JSON.parse(braceMatch[0]);
-        } catch (e3) {
-          // ignore
-        }
-      }
-
-      throw new Error("Failed to parse LLM response as JSON. Response: " + responseText.substring(0, 200));
-    }
+    return PracticePilot.jsonRepair.parse(responseText);
   },
 
   /**
    * Convert LLM extracted JSON to our BenefitCard format.
    */
   _toBenefitCard(extracted) {
+    return PracticePilot.normalize.benefitCard(this._toRaw(extracted));
+  },
+
+  /**
+   * Map LLM extracted JSON to the raw field names normalize.benefitCard()
+   * (and eligibilityParser.mergeRaw()) expect.
+   */
+  _toRaw(extracted) {
     // Build coverage lookup from the new coverageTable array
     const covTable = extracted.coverageTable || [];
     const covLookup = {};
@@ -504,37 +569,13 @@ Return the JSON object now.`;
     // Store the full LLM output for the detailed view
     raw._llmFull = extracted;
 
-    return PracticePilot.normalize.benefitCard(raw);
+    return raw;
   },
 
   // ── Health check ────────────────────────────────────────
 
   async testConnection() {
-    const config = await this.getConfig();
-    if (!config.apiKey) {
-      return { ok: false, error: "No API key configured" };
-    }
-
-    try {
-      const testPrompt = "Return this exact JSON: {\"status\": \"ok\"}";
-
-      let result;
-      if (config.provider === "anthropic") {
-        result = await this._callAnthropic(
-          { ...config, maxTokens: 50 },
-          testPrompt
-        );
-      } else {
-        result = await this._callOpenAI(
-          { ...config, maxTokens: 50 },
-          testPrompt
-        );
-      }
-
-      return { ok: true, response: result };
-    } catch (e) {
-      return { ok: false, error: e.message };
-    }
+    return PracticePilot.llmProvider.testConnection(await this.getConfig());
   },
 };
 
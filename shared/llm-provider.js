@@ -0,0 +1,720 @@
+// ============================================================
+// PracticePilot — LLM Provider Layer
+// ============================================================
+// The one place that talks to an LLM API. Every caller —
+// benefit extraction, patient-context extraction, side panel
+// chat, the background connection test — builds a provider-
+// neutral request and gets back the same response shape:
+//
+//   complete(config, {
+//     system: "…",
+//     messages: [{ role: "user" | "assistant", content: "…" }],
+//     maxTokens, temperature,   // override config values
+//     model,                    // explicit model, or…
+//     tier: "fast",             // …the adapter's cheap model
+//     json: true,               // ask for a JSON object where supported
+//     audit: { module, redactions },  // for the outbound audit log
+//   })
+//   → { text, provider, model, usage: { inputTokens, outputTokens }, stopReason }
+//
+// stream(config, request, { onText, signal }) takes the same
+// request, calls onText(delta, fullText) as tokens arrive (SSE),
+// and resolves with the same shape. Abort `signal` to cancel.
+//
+// Tools (adapters with supportsTools): pass
+//   tools: [{ name, description, parameters: <JSON schema> }]
+// and results carry toolCalls: [{ id, name, input }]. Tool turns
+// go back in `messages` in a provider-neutral form:
+//   { role: "assistant", content, toolCalls }
+//   { role: "tool", toolCallId, content }
+// runTools() drives the call → execute → answer loop.
+//
+// Failures throw LLMError with a stable `code`:
+//   not_configured · auth · rate_limit · bad_request · server ·
+//   network · empty_response · cancelled · phi_blocked
+//
+// Adapters: anthropic, openai, custom (any OpenAI-compatible
+// server — baseUrl required, key optional), local (Ollama /
+// llama.cpp on this machine — PHI never leaves the workstation).
+// Only custom and local read config.baseUrl; the hosted
+// providers use their fixed endpoints. local refuses any host
+// that isn't loopback.
+//
+// Small local models get compact prompts (`compactPrompts`) and
+// their JSON goes through completeJSON(), which repairs syntax,
+// retries once on garbage, and conforms to the expected shape.
+//
+// Every request first passes phiGuard (residual-PHI re-scan —
+// may block, or ask staff to confirm; LLMError "phi_blocked"),
+// then is recorded in auditLog (metadata + redaction counts
+// only) just before it is sent.
+//
+// getConfig()/setConfig() go through secureStore, so the API key is
+// encrypted once a practice passphrase is set. They're side panel
+// only — the service worker is handed the config it needs.
+//
+// Loaded with importScripts() by the service worker, so this file
+// uses `self` rather than `window`.
+// ============================================================
+
+(function() {
+var PracticePilot = self.PracticePilot || {};
+
+class LLMError extends Error {
+  constructor(message, { code, provider = null, status = null, retryable = false } = {}) {
+    super(message);
+    this.name = "LLMError";
+    this.code = code;
+    this.provider = provider;
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+PracticePilot.llmProvider = {
+
+  LLMError,
+
+  STORAGE_KEY: "pp:llmConfig",
+
+  // ── Adapters ───────────────────────────────────────────
+
+  PROVIDERS: {
+    anthropic: {
+      label: "Anthropic",
+      baseUrl: "https://api.anthropic.com",
+      defaultModel: "claude-sonnet-4-20250514",   // best balance of cost + quality for structured extraction
+      fastModel: "claude-3-5-haiku-20241022",     // high-volume page extraction
+      keyPlaceholder: "sk-ant-…",
+      requiresKey: true,
+      supportsTools: true,
+
+      buildRequest(config, req) {
+        return {
+          url: `${this.baseUrl}/v1/messages`,
+          headers: {
+            "Content-Type": "application/json",
+            "x-api-key": config.apiKey,
+            "anthropic-version": "2023-06-01",
+            "anthropic-dangerous-direct-browser-access": "true",
+          },
+          body: {
+            model: req.model,
+            max_tokens: req.maxTokens,
+            temperature: req.temperature,
+            ...(req.system ? { system: req.system } : {}),
+            messages: this._messages(req.messages),
+            ...(req.tools ? { tools: req.tools.map(t => ({ name: t.name, description: t.description, input_schema: t.parameters })) } : {}),
+            ...(req.stream ? { stream: true } : {}),
+          },
+        };
+      },
+
+      parseResponse(data) {
+        return {
+          text: (data.content || []).filter(b => b.type === "text").map(b => b.text).join(""),
+          toolCalls: (data.content || []).filter(b => b.type === "tool_use").map(b => ({ id: b.id, name: b.name, input: b.input || {} })),
+          model: data.model,
+          usage: { inputTokens: data.usage?.input_tokens ?? null, outputTokens: data.usage?.output_tokens ?? null },
+          stopReason: data.stop_reason ?? null,
+        };
+      },
+
+      /** One SSE event → { text?, toolCalls?, model?, usage?, stopReason? } */
+      parseStreamEvent(event, data) {
+        switch (data.type || event) {
+          case "message_start":
+            return { model: data.message?.model, usage: { inputTokens: data.message?.usage?.input_tokens ?? null } };
+          case "content_block_start":
+            return data.content_block?.type === "tool_use"
+              ? { toolCalls: [{ index: data.index, id: data.content_block.id, name: data.content_block.name }] }
+              : {};
+          case "content_block_delta":
+            if (data.delta?.type === "input_json_delta") {
+              return { toolCalls: [{ index: data.index, args: data.delta.partial_json }] };
+            }
+            return data.delta?.type === "text_delta" ? { text: data.delta.text } : {};
+          case "message_delta":
+            return { stopReason: data.delta?.stop_reason ?? null, usage: { outputTokens: data.usage?.output_tokens ?? null } };
+          case "error":
+            throw new LLMError(`Anthropic stream error: ${data.error?.message || "unknown"}`, {
+              code: data.error?.type === "overloaded_error" ? "server" : "bad_request",
+              provider: "anthropic",
+              retryable: data.error?.type === "overloaded_error",
+            });
+          default:
+            return {};
+        }
+      },
+
+      /** Neutral messages → Messages API content blocks. */
+      _messages(messages) {
+        const out = [];
+        for (const m of messages) {
+          if (m.role === "tool") {
+            const block = { type: "tool_result", tool_use_id: m.toolCallId, content: m.content };
+            const last = out[out.length - 1];
+            // Results for one assistant turn travel together in a single user message
+            if (last?.role === "user" && Array.isArray(last.content) && last.content[0]?.type === "tool_result") {
+              last.content.push(block);
+            } else {
+              out.push({ role: "user", content: [block] });
+            }
+          } else if (m.role === "assistant" && m.toolCalls?.length) {
+            out.push({
+              role: "assistant",
+              content: [
+                ...(m.content ? [{ type: "text", text: m.content }] : []),
+                ...m.toolCalls.map(c => ({ type: "tool_use", id: c.id, name: c.name, input: c.input })),
+              ],
+            });
+          } else {
+            out.push({ role: m.role, content: m.content });
+          }
+        }
+        return out;
+      },
+    },
+
+    openai: {
+      label: "OpenAI",
+      baseUrl: "https://api.openai.com/v1",
+      defaultModel: "gpt-4o-mini",
+      fastModel: "gpt-4o-mini",
+      keyPlaceholder: "sk-…",
+      requiresKey: true,
+      supportsJsonMode: true,
+      supportsTools: true,
+
+      buildRequest(config, req) {
+        return PracticePilot.llmProvider._openAIRequest(this.baseUrl, config, req, this.supportsJsonMode);
+      },
+
+      parseResponse(data) {
+        return PracticePilot.llmProvider._openAIResponse(data);
+      },
+
+      parseStreamEvent(event, data) {
+        return PracticePilot.llmProvider._openAIStreamEvent(data);
+      },
+    },
+
+    custom: {
+      label: "Custom (OpenAI-compatible)",
+      baseUrl: null,                 // must be configured
+      defaultModel: "",
+      fastModel: null,               // use whatever model is configured
+      keyPlaceholder: "API key (optional)",
+      requiresKey: false,
+      configurableUrl: true,
+      supportsJsonMode: false,       // not every compatible server accepts response_format
+      supportsTools: false,          // nor tools
+
+      buildRequest(config, req) {
+        return PracticePilot.llmProvider._openAIRequest(config.baseUrl, config, req, this.supportsJsonMode);
+      },
+
+      parseResponse(data) {
+        return PracticePilot.llmProvider._openAIResponse(data);
+      },
+
+      parseStreamEvent(event, data) {
+        return PracticePilot.llmProvider._openAIStreamEvent(data);
+      },
+    },
+
+    local: {
+      label: "Local model",
+      baseUrl: "http://localhost:11434/v1",   // Ollama; llama.cpp server is usually :8080/v1
+      defaultModel: "llama3.1:8b",
+      fastModel: null,
+      keyPlaceholder: "Not needed",
+      requiresKey: false,
+      configurableUrl: true,
+      localOnly: true,               // refuse non-loopback hosts
+      supportsJsonMode: true,        // Ollama and llama.cpp both accept response_format json_object
+      compactPrompts: true,          // 7–8B models follow short prompts better
+      supportsTools: false,          // small models call tools unreliably
+      maxInputChars: 12000,          // keep page text inside a small context window
+
+      buildRequest(config, req) {
+        return PracticePilot.llmProvider._openAIRequest(config.baseUrl || this.baseUrl, config, req, this.supportsJsonMode);
+      },
+
+      parseResponse(data) {
+        return PracticePilot.llmProvider._openAIResponse(data);
+      },
+
+      parseStreamEvent(event, data) {
+        return PracticePilot.llmProvider._openAIStreamEvent(data);
+      },
+    },
+  },
+
+  // ── Configuration ──────────────────────────────────────
+
+  defaultConfig() {
+    return {
+      provider: "anthropic",        // anthropic | openai | custom | local
+      apiKey: "",
+      model: this.PROVIDERS.anthropic.defaultModel,
+      baseUrl: "",
+      maxTokens: 4096,
+      temperature: 0,               // deterministic extraction
+    };
+  },
+
+  async getConfig() {
+    const stored = await PracticePilot.secureStore.get(this.STORAGE_KEY);
+    return { ...this.defaultConfig(), ...(stored || {}) };
+  },
+
+  async setConfig(config) {
+    await PracticePilot.secureStore.set(this.STORAGE_KEY, config);
+  },
+
+  adapter(config) {
+    return this.PROVIDERS[config?.provider] || this.PROVIDERS.anthropic;
+  },
+
+  /** Whether `config` has what its provider needs to make a call. */
+  isConfigured(config) {
+    const adapter = this.adapter(config);
+    if (adapter.requiresKey && !config?.apiKey) return false;
+    if (!adapter.baseUrl && !config?.baseUrl) return false;
+    if (adapter.localOnly && !this.isLoopbackUrl(config?.baseUrl || adapter.baseUrl)) return false;
+    return true;
+  },
+
+  /** Human-readable reason isConfigured() is false. */
+  configProblem(config) {
+    const adapter = this.adapter(config);
+    if (adapter.requiresKey && !config?.apiKey) return `${adapter.label} needs an API key — open settings.`;
+    if (!adapter.baseUrl && !config?.baseUrl) return `${adapter.label} needs a base URL — open settings.`;
+    if (adapter.localOnly && !this.isLoopbackUrl(config?.baseUrl || adapter.baseUrl)) {
+      return `${adapter.label} must point at this computer (localhost or 127.0.0.1) — open settings.`;
+    }
+    return null;
+  },
+
+  /** True for http(s) URLs on localhost / 127.x / ::1. */
+  isLoopbackUrl(url) {
+    try {
+      const { protocol, hostname } = new URL(url);
+      if (protocol !== "http:" && protocol !== "https:") return false;
+      return hostname === "localhost" || hostname === "[::1]" || /^127\.\d+\.\d+\.\d+$/.test(hostname);
+    } catch (_) {
+      return false;
+    }
+  },
+
+  // ── Calls ──────────────────────────────────────────────
+
+  /**
+   * Send one completion request through the configured provider.
+   * @returns {Promise<{text, provider, model, usage, stopReason}>}
+   * @throws {LLMError}
+   */
+  async complete(config, request) {
+    const { providerName, adapter, req } = this._prepare(config, request, false);
+    const built = adapter.buildRequest(config, req);
+    await this._guard(providerName, request, req, built);
+    const response = await this._send(providerName, adapter, built);
+
+    const parsed = adapter.parseResponse(await response.json());
+    if (!parsed.text && !parsed.toolCalls?.length) {
+      throw new LLMError(`${adapter.label} returned an empty response.`, { code: "empty_response", provider: providerName });
+    }
+    return { ...parsed, provider: providerName, model: parsed.model || req.model };
+  },
+
+  /**
+   * Like complete(), but streams: onText(delta, fullText) fires as
+   * tokens arrive. Aborting `signal` throws LLMError "cancelled";
+   * text received so far is on the error as `partialText`.
+   * @returns {Promise<{text, toolCalls, provider, model, usage, stopReason}>}
+   * @throws {LLMError}
+   */
+  async stream(config, request, { onText = () => {}, signal = null } = {}) {
+    const { providerName, adapter, req } = this._prepare(config, request, true);
+    const calls = [];                // tool calls, assembled from fragments by index
+    const result = {
+      text: "",
+      toolCalls: [],
+      provider: providerName,
+      model: req.model,
+      usage: { inputTokens: null, outputTokens: null },
+      stopReason: null,
+    };
+
+    try {
+      const built = adapter.buildRequest(config, req);
+      await this._guard(providerName, request, req, built);
+      const response = await this._send(providerName, adapter, built, signal);
+      await this._readSSE(response, (event, data) => {
+        const part = adapter.parseStreamEvent(event, data);
+        if (part.model) result.model = part.model;
+        if (part.stopReason) result.stopReason = part.stopReason;
+        for (const [k, v] of Object.entries(part.usage || {})) if (v !== null) result.usage[k] = v;
+        if (part.text) {
+          result.text += part.text;
+          onText(part.text, result.text);
+        }
+        for (const frag of part.toolCalls || []) {
+          const call = calls[frag.index] || (calls[frag.index] = { id: "", name: "", args: "" });
+          if (frag.id) call.id = frag.id;
+          if (frag.name) call.name += frag.name;
+          if (frag.args) call.args += frag.args;
+        }
+      });
+    } catch (e) {
+      if (e.name === "AbortError" || e.code === "cancelled") {
+        const err = new LLMError("Response cancelled.", { code: "cancelled", provider: providerName });
+        err.partialText = result.text;
+        throw err;
+      }
+      throw e;
+    }
+
+    result.toolCalls = calls.filter(Boolean).map(c => ({ id: c.id, name: c.name, input: this._toolInput(c.args) }));
+    if (!result.text && !result.toolCalls.length) {
+      throw new LLMError(`${adapter.label} returned an empty response.`, { code: "empty_response", provider: providerName });
+    }
+    return result;
+  },
+
+  /**
+   * Streamed tool loop: call the model with `request.tools`, run any
+   * tool calls through `execute(name, input)`, feed the results
+   * back, and repeat until the model answers (or maxRounds is hit).
+   * Text from every round goes through onText(delta, fullText);
+   * onToolCall(call) fires before each tool runs.
+   * @returns {Promise<{text, provider, model, usage, stopReason, toolsUsed}>}
+   * @throws {LLMError} "cancelled" carries partialText across rounds
+   */
+  async runTools(config, request, { execute, onText = () => {}, onToolCall = () => {}, signal = null, maxRounds = 4 } = {}) {
+    const messages = [...(request.messages || [])];
+    const toolsUsed = [];
+    let shown = "";
+    let result;
+
+    for (let round = 0; round < maxRounds; round++) {
+      const separator = shown && !/\s$/.test(shown) ? "\n\n" : "";
+      let first = true;
+      try {
+        result = await this.stream(config, { ...request, messages }, {
+          signal,
+          onText: (delta) => {
+            shown += (first ? separator : "") + delta;
+            first = false;
+            onText(delta, shown);
+          },
+        });
+      } catch (e) {
+        if (e.code === "cancelled") e.partialText = shown;
+        throw e;
+      }
+      if (!result.toolCalls.length) break;
+
+      messages.push({ role: "assistant", content: result.text, toolCalls: result.toolCalls });
+      for (const call of result.toolCalls) {
+        onToolCall(call);
+        toolsUsed.push(call.name);
+        let output;
+        try {
+          output = await execute(call.name, call.input);
+        } catch (e) {
+          output = { error: e.message };
+        }
+        messages.push({ role: "tool", toolCallId: call.id, content: JSON.stringify(output ?? null) });
+      }
+    }
+
+    return { ...result, text: shown, toolsUsed };
+  },
+
+  /**
+   * complete() for callers that need a JSON object back. Repairs
+   * malformed JSON; for compact-prompt (local) adapters, asks the
+   * model once to fix output that can't be repaired. The result is
+   * conformed to `shape` (see json-repair.js) when one is given.
+   * @returns {Promise<{value, result}>} parsed value + the complete() result
+   * @throws {LLMError|Error}
+   */
+  async completeJSON(config, request, shape = null) {
+    const repair = PracticePilot.jsonRepair;
+    const result = await this.complete(config, { ...request, json: true });
+
+    let value;
+    try {
+      value = repair.parse(result.text);
+    } catch (e) {
+      if (!this.adapter(config).compactPrompts) throw e;
+      const retry = await this.complete(config, {
+        ...request,
+        json: true,
+        messages: [
+          ...(request.messages || []),
+          { role: "assistant", content: result.text },
+          { role: "user", content: "That was not valid JSON. Reply with only the corrected JSON object — no prose, no markdown." },
+        ],
+      });
+      value = repair.parse(retry.text);
+    }
+
+    return { value: shape ? repair.conform(value, shape) : value, result };
+  },
+
+  /**
+   * Minimal round trip to check the settings work.
+   * @returns {Promise<{ok: boolean, model?: string, error?: string}>}
+   */
+  async testConnection(config) {
+    try {
+      const result = await this.complete(config, {
+        messages: [{ role: "user", content: 'Return this exact JSON: {"status": "ok"}' }],
+        audit: { module: "testConnection" },
+        maxTokens: 50,
+        temperature: 0,
+      });
+      return { ok: true, model: result.model };
+    } catch (e) {
+      return { ok: false, error: e.message };
+    }
+  },
+
+  // ── Helpers ────────────────────────────────────────────
+
+  /** Resolve the adapter and a provider-neutral request; throws if unconfigured. */
+  _prepare(config, request, stream) {
+    const providerName = this.PROVIDERS[config?.provider] ? config.provider : "anthropic";
+    const adapter = this.PROVIDERS[providerName];
+
+    if (!this.isConfigured(config)) {
+      throw new LLMError(this.configProblem(config), { code: "not_configured", provider: providerName });
+    }
+
+    const req = {
+      system: request.system || null,
+      messages: request.messages || [],
+      model: request.model
+        || (request.tier === "fast" && adapter.fastModel)
+        || config.model
+        || adapter.defaultModel,
+      maxTokens: request.maxTokens ?? config.maxTokens ?? 4096,
+      temperature: request.temperature ?? config.temperature ?? 0,
+      json: !!request.json,
+      tools: adapter.supportsTools && request.tools?.length ? request.tools : null,
+      stream,
+    };
+    return { providerName, adapter, req };
+  },
+
+  /**
+   * Residual-PHI gate, then the audit entry. Throws LLMError
+   * "phi_blocked" (recorded as blocked / declined) when the guard
+   * won't let the request go.
+   */
+  async _guard(providerName, request, req, built) {
+    const module = request.audit?.module || "unknown";
+    const verdict = PracticePilot.phiGuard
+      ? await PracticePilot.phiGuard.review(this._outboundText(req), { module })
+      : { allowed: true, outcome: "sent", score: null, counts: {} };
+
+    this._audit(providerName, request, req, built, verdict);
+    if (!verdict.allowed) {
+      throw new LLMError(verdict.message, { code: "phi_blocked", provider: providerName });
+    }
+  },
+
+  /** Everything in a request a person could read: system prompt, messages, tool calls. */
+  _outboundText(req) {
+    const parts = [req.system || ""];
+    for (const m of req.messages) {
+      parts.push(typeof m.content === "string" ? m.content : JSON.stringify(m.content ?? ""));
+      for (const call of m.toolCalls || []) parts.push(JSON.stringify(call.input ?? {}));
+    }
+    return parts.join("\n\n");
+  },
+
+  /** Record an outbound request (or blocked attempt) in the audit log — never its content. */
+  _audit(providerName, request, req, { url, body }, verdict) {
+    if (!PracticePilot.auditLog) return;
+    let host = null;
+    try { host = new URL(url).host; } catch (_) {}
+    PracticePilot.auditLog.record({
+      module: request.audit?.module || "unknown",
+      provider: providerName,
+      model: req.model,
+      host,
+      chars: JSON.stringify(body).length,
+      redactions: request.audit?.redactions || {},
+      outcome: verdict.outcome,
+      risk: verdict.score,
+      ...(Object.keys(verdict.counts).length ? { residual: verdict.counts } : {}),
+    });
+  },
+
+  /** POST the built request; network and HTTP failures become LLMError. */
+  async _send(providerName, adapter, { url, headers, body }, signal = null) {
+    let response;
+    try {
+      response = await fetch(url, { method: "POST", headers, body: JSON.stringify(body), signal });
+    } catch (e) {
+      if (e.name === "AbortError") throw e;
+      throw new LLMError(`Could not reach ${adapter.label} (${e.message}).`, {
+        code: "network", provider: providerName, retryable: true,
+      });
+    }
+
+    if (!response.ok) {
+      const detail = (await response.text().catch(() => "")).substring(0, 300);
+      throw this._httpError(providerName, adapter, response.status, detail);
+    }
+    return response;
+  },
+
+  /**
+   * Read a text/event-stream body, calling onEvent(eventName, data)
+   * for each JSON `data:` payload. Stops at "[DONE]" (OpenAI).
+   */
+  async _readSSE(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+
+    const dispatch = (block) => {
+      let event = null;
+      const data = [];
+      for (const line of block.split(/\r?\n/)) {
+        if (line.startsWith("event:")) event = line.slice(6).trim();
+        else if (line.startsWith("data:")) data.push(line.slice(5).trim());
+      }
+      const payload = data.join("\n");
+      if (!payload) return true;
+      if (payload === "[DONE]") return false;
+      let parsed;
+      try { parsed = JSON.parse(payload); } catch (_) { return true; }
+      onEvent(event, parsed);
+      return true;
+    };
+
+    while (true) {
+      const { value, done } = await reader.read();
+      buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+
+      const blocks = buffer.split(/\r?\n\r?\n/);
+      buffer = blocks.pop();
+      for (const block of blocks) {
+        if (!dispatch(block)) {
+          reader.cancel().catch(() => {});
+          return;
+        }
+      }
+      if (done) break;
+    }
+    if (buffer.trim()) dispatch(buffer);
+  },
+
+  _openAIRequest(baseUrl, config, req, supportsJsonMode) {
+    const messages = this._openAIMessages(req.messages);
+    if (req.system) messages.unshift({ role: "system", content: req.system });
+
+    return {
+      url: `${String(baseUrl).replace(/\/+$/, "")}/chat/completions`,
+      headers: {
+        "Content-Type": "application/json",
+        ...(config.apiKey ? { "Authorization": `Bearer ${config.apiKey}` } : {}),
+      },
+      body: {
+        model: req.model,
+        temperature: req.temperature,
+        max_tokens: req.maxTokens,
+        messages,
+        ...(req.json && supportsJsonMode ? { response_format: { type: "json_object" } } : {}),
+        ...(req.tools ? {
+          tools: req.tools.map(t => ({ type: "function", function: { name: t.name, description: t.description, parameters: t.parameters } })),
+        } : {}),
+        ...(req.stream ? { stream: true } : {}),
+      },
+    };
+  },
+
+  /** Neutral messages → chat/completions messages. */
+  _openAIMessages(messages) {
+    return messages.map(m => {
+      if (m.role === "tool") return { role: "tool", tool_call_id: m.toolCallId, content: m.content };
+      if (m.role === "assistant" && m.toolCalls?.length) {
+        return {
+          role: "assistant",
+          content: m.content || null,
+          tool_calls: m.toolCalls.map(c => ({
+            id: c.id, type: "function", function: { name: c.name, arguments: JSON.stringify(c.input ?? {}) },
+          })),
+        };
+      }
+      return { role: m.role, content: m.content };
+    });
+  },
+
+  _openAIResponse(data) {
+    const choice = data.choices?.[0];
+    return {
+      text: choice?.message?.content ?? "",
+      toolCalls: (choice?.message?.tool_calls || []).map(c => ({
+        id: c.id, name: c.function?.name, input: this._toolInput(c.function?.arguments),
+      })),
+      model: data.model,
+      usage: { inputTokens: data.usage?.prompt_tokens ?? null, outputTokens: data.usage?.completion_tokens ?? null },
+      stopReason: choice?.finish_reason ?? null,
+    };
+  },
+
+  _openAIStreamEvent(data) {
+    if (data.error) {
+      throw new LLMError(`Stream error: ${data.error.message || data.error}`, { code: "server", retryable: true });
+    }
+    const choice = data.choices?.[0];
+    return {
+      text: choice?.delta?.content || "",
+      toolCalls: (choice?.delta?.tool_calls || []).map(c => ({
+        index: c.index ?? 0, id: c.id, name: c.function?.name, args: c.function?.arguments,
+      })),
+      model: data.model,
+      stopReason: choice?.finish_reason ?? null,
+      usage: data.usage
+        ? { inputTokens: data.usage.prompt_tokens ?? null, outputTokens: data.usage.completion_tokens ?? null }
+        : null,
+    };
+  },
+
+  /** Tool arguments arrive as a JSON string (possibly empty). */
+  _toolInput(args) {
+    if (args && typeof args === "object") return args;
+    try {
+      return args ? JSON.parse(args) : {};
+    } catch (_) {
+      return {};
+    }
+  },
+
+  _httpError(providerName, adapter, status, detail) {
+    const code = status === 401 || status === 403 ? "auth"
+      : status === 429 ? "rate_limit"
+      : status >= 500 ? "server"
+      : "bad_request";
+    const hint = {
+      auth: "check the API key",
+      rate_limit: "rate limited — try again shortly",
+      server: "provider error — try again shortly",
+    }[code];
+
+    return new LLMError(
+      `${adapter.label} API error (${status})${hint ? ` — ${hint}` : ""}${detail ? `: ${detail}` : ""}`,
+      { code, provider: providerName, status, retryable: code === "rate_limit" || code === "server" }
+    );
+  },
+};
+
+self.PracticePilot = PracticePilot;
+})();
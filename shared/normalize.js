@@ -3,6 +3,20 @@
 // ============================================================
 // Normalizes raw extracted data into a consistent BenefitCard
 // object that the rest of the extension consumes.
+//
+// Cards are persisted (card cache, history) and read back long
+// after the code that wrote them has changed. Every card carries
+// a `schemaVersion`; storage runs migrate() on read so old
+// cards are upgraded to the current shape before rendering.
+//
+// Schema history:
+//   1 — unversioned: flat `coverage` only on the oldest cards;
+//       no coverageExceptions / ageLimits
+//   2 — `coverageTable` always present, every section object
+//       and array field guaranteed, `schemaVersion` stamped
+//   3 — `provenance` map (field path → source + snippet)
+//   4 — `editHistory` audit trail of manual corrections
+//   5 — `lastChanges` diff against the previous verification
 // ============================================================
 
 (function() {
@@ -10,12 +24,15 @@ var PracticePilot = window.PracticePilot || {};
 
 PracticePilot.normalize = {
 
+  SCHEMA_VERSION: 5,
+
   /**
    * Takes raw extracted fields and returns a clean BenefitCard.
    * Missing fields default to null so downstream code can check presence.
    */
   benefitCard(raw) {
     return {
+      schemaVersion: this.SCHEMA_VERSION,
       capturedAt: new Date().toISOString(),
       sourceUrl: raw.sourceUrl ?? window.location.href,
 
@@ -100,11 +117,23 @@ PracticePilot.normalize = {
       // Waiting periods
       waitingPeriods: raw.waitingPeriods ?? [],  // [{category, period}]
 
+      // Age limits
+      ageLimits: raw.ageLimits ?? [],  // [{service, limit}]
+
       // Special clauses / limitations
       notes: raw.notes ?? [],  // free-text array
 
       // Confidence flags — which fields came from reliable extraction vs guessing
       confidence: raw.confidence ?? {},
+
+      // Per-field source + snippet (see provenance.js)
+      provenance: raw.provenance ?? {},
+
+      // Manual corrections — [{at, by, field, from, to}] (see card-editor.js)
+      editHistory: raw.editHistory ?? [],
+
+      // What changed since the previous verification (see card-diff.js)
+      lastChanges: raw.lastChanges ?? null,
     };
   },
 
@@ -133,6 +162,134 @@ PracticePilot.normalize = {
 
     return missing;
   },
+
+  // ── Schema validation ──────────────────────────────────
+
+  /**
+   * Check a card against the current schema.
+   * Returns { valid, errors[] } — errors are human-readable paths.
+   */
+  validate(card) {
+    const errors = [];
+    if (!card || typeof card !== "object") return { valid: false, errors: ["card is not an object"] };
+
+    const isObj = v => v !== null && typeof v === "object" && !Array.isArray(v);
+    const isPct = v => v === null || (typeof v === "number" && v >= 0 && v <= 100);
+
+    if (card.schemaVersion !== this.SCHEMA_VERSION) {
+      errors.push(`schemaVersion is ${card.schemaVersion ?? "missing"}, expected ${this.SCHEMA_VERSION}`);
+    }
+    for (const key of ["effective", "deductible", "annualMax", "coverage", "frequencies", "confidence", "provenance"]) {
+      if (!isObj(card[key])) errors.push(`${key} must be an object`);
+    }
+    for (const key of ["coverageTable", "coverageExceptions", "waitingPeriods", "ageLimits", "notes", "editHistory"]) {
+      if (!Array.isArray(card[key])) errors.push(`${key} must be an array`);
+    }
+
+    if (card.lastChanges !== null && !Array.isArray(card.lastChanges?.changes)) {
+      errors.push("lastChanges must be null or { comparedTo, changes[] }");
+    }
+
+    (Array.isArray(card.coverageTable) ? card.coverageTable : []).forEach((row, i) => {
+      if (!row?.category) errors.push(`coverageTable[${i}].category is missing`);
+      if (!isPct(row?.inNetwork ?? null)) errors.push(`coverageTable[${i}].inNetwork must be 0–100 or null`);
+      if (!isPct(row?.outOfNetwork ?? null)) errors.push(`coverageTable[${i}].outOfNetwork must be 0–100 or null`);
+    });
+
+    return { valid: errors.length === 0, errors };
+  },
+
+  // ── Migration ──────────────────────────────────────────
+
+  // Legacy flat coverage key → coverageTable row
+  LEGACY_COVERAGE_ROWS: [
+    ["diagnostic",        "Diagnostic",                   "D0100-D0999"],
+    ["preventive",        "Preventive",                   "D1000-D1999"],
+    ["restorative",       "Restorative",                  "D2000-D2399"],
+    ["crowns",            "Crowns",                       "D2400-D2999"],
+    ["endodontics",       "Endodontics",                  "D3000-D3999"],
+    ["periodontics",      "Periodontics",                 "D4000-D4999"],
+    ["prosthodonticsRem", "Prosthodontics, Removable",    "D5000-D5899"],
+    ["maxillofacial",     "Maxillofacial Prosthetics",    "D5900-D5999"],
+    ["implants",          "Implant Services",             "D6000-D6199"],
+    ["prosthodonticsFix", "Prosthodontics, Fixed",        "D6200-D6999"],
+    ["oralSurgery",       "Oral & Maxillofacial Surgery", "D7000-D7999"],
+    ["orthodontics",      "Orthodontics",                 "D8000-D8999"],
+    ["adjunctive",        "Adjunctive General Services",  "D9000-D9999"],
+  ],
+
+  // Step functions keyed by the version they upgrade FROM.
+  // Each takes a card at that version and returns it at version + 1.
+  MIGRATIONS: {
+    1(card) {
+      const coverage = card.coverage || {};
+      const coverageTable = Array.isArray(card.coverageTable) && card.coverageTable.length
+        ? card.coverageTable
+        : this.LEGACY_COVERAGE_ROWS.map(([key, category, cdtRange]) => ({
+            category, cdtRange, inNetwork: coverage[key] ?? null, outOfNetwork: null,
+          }));
+
+      return {
+        ...card,
+        effective:   { start: null, end: null, ...card.effective },
+        deductible:  { individual: null, family: null, remaining: null, appliesTo: null, ...card.deductible },
+        annualMax:   { individual: null, family: null, remaining: null, ...card.annualMax },
+        coverageTable,
+        coverageExceptions: card.coverageExceptions ?? [],
+        coverage: {
+          ...Object.fromEntries(this.LEGACY_COVERAGE_ROWS.map(([key]) => [key, null])),
+          ...coverage,
+        },
+        frequencies: {
+          prophy: null, exam: null, bwx: null, fmx: null, pano: null, sealants: null, fluoride: null,
+          ...card.frequencies,
+        },
+        waitingPeriods: card.waitingPeriods ?? [],
+        ageLimits: card.ageLimits ?? [],
+        notes: card.notes ?? [],
+        confidence: card.confidence ?? {},
+      };
+    },
+
+    // Cards extracted before provenance existed — nothing to audit
+    2(card) {
+      return { ...card, provenance: card.provenance ?? {} };
+    },
+
+    3(card) {
+      return { ...card, editHistory: card.editHistory ?? [] };
+    },
+
+    4(card) {
+      return { ...card, lastChanges: card.lastChanges ?? null };
+    },
+  },
+
+  /**
+   * Upgrade a stored card to the current schema.
+   * Cards from a newer build (higher version) are returned untouched.
+   * @returns {{card: Object, migrated: boolean}}
+   */
+  migrate(card) {
+    if (!card || typeof card !== "object") return { card, migrated: false };
+
+    let version = card.schemaVersion ?? 1;
+    if (version >= this.SCHEMA_VERSION) return { card, migrated: false };
+
+    let upgraded = card;
+    while (version < this.SCHEMA_VERSION) {
+      const step = this.MIGRATIONS[version];
+      if (!step) throw new Error(`No BenefitCard migration from schema v${version}`);
+      upgraded = step.call(this, upgraded);
+      version++;
+      upgraded.schemaVersion = version;
+    }
+
+    const { valid, errors } = this.validate(upgraded);
+    if (!valid) console.warn("[PracticePilot] Migrated card failed validation:", errors);
+
+    return { card: upgraded, migrated: true };
+  },
 };
 
 window.PracticePilot = PracticePilot;
@@ -12,6 +12,14 @@
 //
 // Flow (FALLBACK — regex):
 //   If no API key or LLM call fails, falls back to regex.
+//
+// Side panel chat transcripts are stored per patient next to the
+// contexts (pp:patientChats), keyed the same way. Message text
+// is PHI-redacted before it is written, and transcripts expire
+// after CHAT_RETENTION_DAYS.
+//
+// Both keys are read and written through secureStore, so they are
+// encrypted at rest once a practice passphrase is set.
 // ============================================================
 
 (function() {
@@ -21,31 +29,38 @@ PracticePilot.patientContext = {
 
   STORAGE_KEY: "pp:patientContexts",
 
+  CHAT_STORAGE_KEY: "pp:patientChats",
+  CHAT_RETENTION_DAYS: 30,
+  CHAT_MAX_MESSAGES: 100,       // per patient (user + assistant)
+  CHAT_MAX_PATIENTS: 100,
+
   // ── Main entry: LLM-first, regex-fallback ────────────────
 
   /**
    * Scan page text and return { ctx, actions }.
    * Uses LLM if available, falls back to regex parsers.
+   * `structuredText` (tables kept) is what the LLM reads; the
+   * regex parsers always use pageText.
    */
-  async scanAndMerge(pageText, benefitCard = null) {
+  async scanAndMerge(pageText, benefitCard = null, { structuredText = null } = {}) {
     if (!pageText || pageText.length < 100) return null;
 
     // Try LLM extraction first
     const extractor = PracticePilot.llmContextExtractor;
     if (extractor) {
-      const llmResult = await extractor.extract(pageText, benefitCard);
+      const llmResult = await extractor.extract(pageText, benefitCard, { structuredText });
       if (llmResult) {
-        return this._mergeFromLLM(llmResult);
+        return this._mergeFromLLM(llmResult, benefitCard);
       }
     }
 
     // Fallback: regex-based extraction
-    return this._regexFallback(pageText);
+    return this._regexFallback(pageText, benefitCard);
   },
 
   // ── LLM result merger ───────────────────────────────────
 
-  async _mergeFromLLM(llmResult) {
+  async _mergeFromLLM(llmResult, benefitCard = null) {
     const { patientName, context, actions, hash, fromCache } = llmResult;
     if (!patientName) return null;
 
@@ -77,6 +92,11 @@ PracticePilot.patientContext = {
       ctx.todayAppt = sections.todayAppt;
     }
 
+    // Completed procedures accumulate across tabs and visits
+    if (sections.procedureHistory?.length) {
+      ctx.procedureHistory = this._mergeHistory(ctx.procedureHistory, sections.procedureHistory);
+    }
+
     // Track which sections the LLM detected
     // sectionsDetected lives at top level of LLM JSON, passed through as llmResult.sectionsDetected
     const topDetected = llmResult.sectionsDetected || llmResult.context?.sectionsDetected || [];
@@ -103,9 +123,45 @@ PracticePilot.patientContext = {
       category: a.category,
     }));
 
+    // Benefit changes and frequency limits are computed locally — the
+    // LLM only sees the card summary, not the prior card or full history
+    if (benefitCard) {
+      for (const a of PracticePilot.actionEngine?.changeActions(benefitCard) || []) {
+        mappedActions.push({ id: mappedActions.length + 1, ...a, category: "insurance" });
+      }
+      for (const a of PracticePilot.actionEngine?.frequencyActions(ctx, benefitCard) || []) {
+        mappedActions.push({ id: mappedActions.length + 1, ...a, category: "coverage" });
+      }
+      mappedActions.sort((a, b) => a.priority - b.priority);
+    }
+
     return { ctx, actions: mappedActions, currentSections: topDetected };
   },
 
+  /**
+   * Merge procedure history lists, de-duplicating on code + date.
+   * Dates are compared (and stored) as YYYY-MM-DD, so "03/04/2024"
+   * from one tab and "2024-03-04" from another are one visit.
+   */
+  _mergeHistory(existing, incoming) {
+    const tracker = PracticePilot.frequencyTracker;
+    const day = (date) => {
+      const d = tracker?._parseDate(date);
+      return d ? tracker.formatDate(d) : String(date);
+    };
+    const merged = [...(existing || [])];
+    const seen = new Set(merged.map(h => `${h.code}|${day(h.date)}`));
+    for (const h of incoming || []) {
+      if (!h?.code || !h?.date) continue;
+      const entry = { code: String(h.code).toUpperCase(), date: day(h.date) };
+      const key = `${entry.code}|${entry.date}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      merged.push(entry);
+    }
+    return merged;
+  },
+
   /**
    * Deep merge source into target. Source values win unless null/undefined.
    */
@@ -125,7 +181,7 @@ PracticePilot.patientContext = {
   // ── Regex Fallback ──────────────────────────────────────
   // Used when LLM is unavailable (no API key, network error)
 
-  async _regexFallback(pageText) {
+  async _regexFallback(pageText, benefitCard = null) {
     const patientName = this._extractPatientName(pageText);
     if (!patientName) return null;
 
@@ -150,7 +206,7 @@ PracticePilot.patientContext = {
     await this.save(ctx);
 
     // Generate actions via old action engine (if available)
-    const actions = PracticePilot.actionEngine?.generate(ctx) || [];
+    const actions = PracticePilot.actionEngine?.generate(ctx, benefitCard) || [];
     return { ctx, actions, currentSections: sections };
   },
 
@@ -235,6 +291,7 @@ PracticePilot.patientContext = {
       ctx.charting.hasUnscheduledTx = text.includes("Accepted, Unscheduled");
       const txCodes = [...text.matchAll(/\b(D\d{4})\b/g)].map(m => m[1]);
       if (txCodes.length > 0) ctx.charting.pendingCodes = [...new Set(txCodes)];
+      ctx.procedureHistory = this._mergeHistory(ctx.procedureHistory, this._parseProcedureHistory(text));
     },
 
     forms(text, ctx) {
@@ -252,9 +309,27 @@ PracticePilot.patientContext = {
       if (pending) ctx.claims.pendingInsurance = parseInt(pending[1], 10);
       const rejected = text.match(/(\d+)\s*Rejected/i);
       if (rejected) ctx.claims.rejectedClaims = parseInt(rejected[1], 10);
+      ctx.procedureHistory = this._mergeHistory(ctx.procedureHistory, this._parseProcedureHistory(text));
     },
   },
 
+  /**
+   * Completed procedures from Charting visits / Claims lines: any line
+   * carrying both a date and a CDT code, skipping planned treatment.
+   */
+  _parseProcedureHistory(text) {
+    const history = [];
+    for (const line of text.split("\n")) {
+      if (/accepted|unscheduled|planned|proposed|treatment plan|rejected|denied/i.test(line)) continue;
+      const date = line.match(/\b(\d{1,2}\/\d{1,2}\/\d{2,4}|\d{4}-\d{2}-\d{2})\b/);
+      if (!date) continue;
+      for (const m of line.matchAll(/\b(D\d{4})\b/g)) {
+        history.push({ code: m[1], date: date[1] });
+      }
+    }
+    return history;
+  },
+
   // ── Patient name extraction ──────────────────────────────
 
   _extractPatientName(text) {
@@ -341,6 +416,7 @@ PracticePilot.patientContext = {
       todayAppt: null,
       perio: {},
       appointments: {},
+      procedureHistory: [],  // [{code, date}] completed procedures
       tabsScanned: [],
       lastUpdated: null,
       createdAt: new Date().toISOString(),
@@ -351,7 +427,7 @@ PracticePilot.patientContext = {
 
   async save(ctx) {
     const all = await this._loadAll();
-    all[ctx.patientName.toLowerCase()] = ctx;
+    all[this._key(ctx.patientName)] = ctx;
 
     const keys = Object.keys(all);
     if (keys.length > 100) {
@@ -361,21 +437,91 @@ PracticePilot.patientContext = {
       for (const k of sorted.slice(0, keys.length - 100)) delete all[k];
     }
 
-    await chrome.storage.local.set({ [this.STORAGE_KEY]: all });
+    await PracticePilot.secureStore.set(this.STORAGE_KEY, all);
   },
 
   async load(patientName) {
     const all = await this._loadAll();
-    return all[patientName.toLowerCase()] || null;
+    return all[this._key(patientName)] || null;
+  },
+
+  /** Storage key for a patient's context and chat (retention._patientKey matches it). */
+  _key(patientName) {
+    return String(patientName || "").trim().toLowerCase();
   },
 
   async _loadAll() {
-    const result = await chrome.storage.local.get(this.STORAGE_KEY);
-    return result[this.STORAGE_KEY] ?? {};
+    return (await PracticePilot.secureStore.get(this.STORAGE_KEY)) ?? {};
   },
 
   async clearAll() {
-    await chrome.storage.local.remove(this.STORAGE_KEY);
+    await PracticePilot.secureStore.remove(this.STORAGE_KEY);
+  },
+
+  // ── Chat transcripts ─────────────────────────────────────
+
+  /**
+   * Stored chat for a patient, oldest first.
+   * @returns {Promise<Array<{role, content, at}>>}
+   */
+  async loadChat(patientName) {
+    if (!patientName) return [];
+    const all = await this._loadAllChats();
+    return this._pruneChat(all[this._key(patientName)]?.messages || []);
+  },
+
+  /**
+   * Append messages to a patient's transcript. Content is redacted
+   * before storage; expired and excess messages are dropped.
+   * @param {Array<{role, content}>} messages
+   * @returns {Promise<Array>} the stored transcript
+   */
+  async appendChat(patientName, messages) {
+    if (!patientName || !messages?.length) return [];
+    const all = await this._loadAllChats();
+    const key = this._key(patientName);
+    const at = new Date().toISOString();
+    const phiOptions = await PracticePilot.phiRedactor.optionsFor("", [patientName]);
+
+    const stored = messages.map(m => ({
+      role: m.role,
+      content: PracticePilot.phiRedactor.redact(m.content, phiOptions).redactedText,
+      at: m.at || at,
+    }));
+    const transcript = this._pruneChat([...(all[key]?.messages || []), ...stored]);
+    all[key] = { patientName, messages: transcript, lastUpdated: at };
+
+    // Drop expired patients, then the least recently used over the cap
+    for (const k of Object.keys(all)) {
+      if (!this._pruneChat(all[k].messages).length) delete all[k];
+    }
+    const keys = Object.keys(all);
+    if (keys.length > this.CHAT_MAX_PATIENTS) {
+      const sorted = keys.sort((a, b) => new Date(all[a].lastUpdated) - new Date(all[b].lastUpdated));
+      for (const k of sorted.slice(0, keys.length - this.CHAT_MAX_PATIENTS)) delete all[k];
+    }
+
+    await PracticePilot.secureStore.set(this.CHAT_STORAGE_KEY, all);
+    return transcript;
+  },
+
+  async clearChat(patientName) {
+    if (!patientName) return;
+    const all = await this._loadAllChats();
+    delete all[this._key(patientName)];
+    await PracticePilot.secureStore.set(this.CHAT_STORAGE_KEY, all);
+  },
+
+  async _loadAllChats() {
+    return (await PracticePilot.secureStore.get(this.CHAT_STORAGE_KEY)) ?? {};
+  },
+
+  /** Drop messages past retention and keep the newest CHAT_MAX_MESSAGES. */
+  _pruneChat(messages) {
+    const cutoff = Date.now() - this.CHAT_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    return messages
+      .filter(m => new Date(m.at).getTime() >= cutoff)
+      .slice(-this.CHAT_MAX_MESSAGES);
   },
 };
 
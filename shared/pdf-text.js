@@ -0,0 +1,633 @@
+// ============================================================
+// PracticePilot — PDF Text Layer
+// ============================================================
+// Reads the text of benefit breakdowns that payers fax or email
+// as PDFs — locally, in the side panel, without a PDF library.
+// It covers what those documents are made of:
+//
+//   - plain and compressed object streams (PDF 1.5+)
+//   - FlateDecode, ASCIIHexDecode and ASCII85Decode streams
+//   - fonts with a ToUnicode CMap, simple fonts (WinAnsi plus
+//     /Differences), text inside Form XObjects
+//
+// Text comes out in content-stream order, one line per baseline,
+// with a tab where a wide gap separates columns — close to what
+// innerText gives for the same table on a portal. Glyph widths
+// aren't read, so gaps are estimated from the font size.
+//
+// A scanned fax has no text layer and there is no OCR here: a PDF
+// with no text at all is PdfTextError "scanned", and scanned
+// pages next to typed ones (cover sheet) come back as
+// `scannedPages` so the panel can say they were skipped.
+// Encrypted PDFs aren't read (PdfTextError "encrypted").
+// ============================================================
+
+(function() {
+var PracticePilot = window.PracticePilot || {};
+
+class PdfTextError extends Error {
+  constructor(message, { code } = {}) {
+    super(message);
+    this.name = "PdfTextError";
+    this.code = code;          // not_pdf | encrypted | scanned | too_large | unreadable
+  }
+}
+
+// Parsed values besides numbers, booleans, null, arrays and dicts (plain objects)
+class Name { constructor(name) { this.name = name; } }
+class Ref { constructor(num) { this.num = num; } }
+class Str { constructor(bytes) { this.bytes = bytes; } }    // binary string, one char per byte
+class Op { constructor(op) { this.op = op; } }
+
+const WHITESPACE = new Set([0x00, 0x09, 0x0a, 0x0c, 0x0d, 0x20]);
+const DELIMITERS = "()<>[]{}/%";
+
+const isDict = v => !!v && typeof v === "object" && v.constructor === Object;
+
+/** Tokenizer for object syntax and content streams, over a binary string. */
+class Lexer {
+  constructor(s, pos = 0) {
+    this.s = s;
+    this.pos = pos;
+  }
+
+  /** Next complete value — arrays, dicts and "n g R" references assembled. */
+  value() {
+    const t = this.token();
+    if (t instanceof Op && t.op === "[") {
+      const arr = [];
+      for (let v = this.value(); v !== undefined && !(v instanceof Op && v.op === "]"); v = this.value()) arr.push(v);
+      return arr;
+    }
+    if (t instanceof Op && t.op === "<<") {
+      const dict = {};
+      for (let k = this.value(); k !== undefined && !(k instanceof Op && k.op === ">>"); k = this.value()) {
+        if (k instanceof Name) dict[k.name] = this.value();
+      }
+      return dict;
+    }
+    if (Number.isInteger(t) && t >= 0) {
+      const at = this.pos;
+      if (Number.isInteger(this.token())) {
+        const r = this.token();
+        if (r instanceof Op && r.op === "R") return new Ref(t);
+      }
+      this.pos = at;
+    }
+    return t;
+  }
+
+  /** Next token; undefined at the end. */
+  token() {
+    this._skipSpace();
+    const s = this.s;
+    if (this.pos >= s.length) return undefined;
+
+    const c = s[this.pos];
+    if (c === "/") {
+      this.pos++;
+      return new Name(this._word().replace(/#([0-9a-fA-F]{2})/g, (_, h) => String.fromCharCode(parseInt(h, 16))));
+    }
+    if (c === "(") return new Str(this._literal());
+    if (c === "<") {
+      if (s[this.pos + 1] === "<") {
+        this.pos += 2;
+        return new Op("<<");
+      }
+      const end = s.indexOf(">", this.pos);
+      const hex = s.slice(this.pos + 1, end < 0 ? s.length : end);
+      this.pos = end < 0 ? s.length : end + 1;
+      return new Str(PracticePilot.pdfText._hexBytes(hex));
+    }
+    if (c === ">" && s[this.pos + 1] === ">") {
+      this.pos += 2;
+      return new Op(">>");
+    }
+    if ("[]{}".includes(c)) {
+      this.pos++;
+      return new Op(c);
+    }
+    if (c === ")" || c === ">") {          // stray delimiter
+      this.pos++;
+      return this.token();
+    }
+
+    const word = this._word();
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) return parseFloat(word);
+    if (word === "true" || word === "false") return word === "true";
+    if (word === "null") return null;
+    return new Op(word);
+  }
+
+  _skipSpace() {
+    const s = this.s;
+    while (this.pos < s.length) {
+      const c = s.charCodeAt(this.pos);
+      if (WHITESPACE.has(c)) this.pos++;
+      else if (c === 0x25) while (this.pos < s.length && s[this.pos] !== "\n" && s[this.pos] !== "\r") this.pos++;
+      else break;
+    }
+  }
+
+  _word() {
+    const s = this.s;
+    const start = this.pos;
+    while (this.pos < s.length && !WHITESPACE.has(s.charCodeAt(this.pos)) && !DELIMITERS.includes(s[this.pos])) this.pos++;
+    if (this.pos === start) this.pos++;    // lone delimiter — never stall
+    return s.slice(start, this.pos);
+  }
+
+  /** "(…)" string with escapes and balanced parentheses. */
+  _literal() {
+    const s = this.s;
+    const ESCAPES = { n: "\n", r: "\r", t: "\t", b: "\b", f: "\f" };
+    let out = "";
+    let depth = 0;
+    this.pos++;
+    while (this.pos < s.length) {
+      const c = s[this.pos++];
+      if (c === "\\") {
+        const n = s[this.pos++];
+        if (ESCAPES[n]) out += ESCAPES[n];
+        else if (n >= "0" && n <= "7") {
+          let oct = n;
+          while (oct.length < 3 && s[this.pos] >= "0" && s[this.pos] <= "7") oct += s[this.pos++];
+          out += String.fromCharCode(parseInt(oct, 8) & 0xff);
+        } else if (n === "\r") {
+          if (s[this.pos] === "\n") this.pos++;       // line continuation
+        } else if (n !== "\n" && n !== undefined) out += n;
+      } else if (c === "(") {
+        depth++;
+        out += c;
+      } else if (c === ")") {
+        if (depth-- === 0) return out;
+        out += c;
+      } else out += c;
+    }
+    return out;
+  }
+}
+
+PracticePilot.pdfText = {
+
+  PdfTextError,
+
+  MAX_BYTES: 25 * 1024 * 1024,
+  MAX_PAGES: 30,
+  MIN_PAGE_TEXT: 20,      // less than this on a page = scanned
+
+  // Glyph names from /Differences that aren't the character itself
+  GLYPHS: {
+    space: " ", exclam: "!", quotedbl: "\"", numbersign: "#", dollar: "$", percent: "%",
+    ampersand: "&", quotesingle: "'", quoteright: "’", quoteleft: "‘", parenleft: "(",
+    parenright: ")", asterisk: "*", plus: "+", comma: ",", hyphen: "-", minus: "-",
+    period: ".", slash: "/", colon: ":", semicolon: ";", less: "<", equal: "=",
+    greater: ">", question: "?", at: "@", bracketleft: "[", backslash: "\\",
+    bracketright: "]", underscore: "_", bar: "|", endash: "–", emdash: "—", bullet: "•",
+    quotedblleft: "“", quotedblright: "”", section: "§", degree: "°", nbspace: " ",
+    zero: "0", one: "1", two: "2", three: "3", four: "4",
+    five: "5", six: "6", seven: "7", eight: "8", nine: "9",
+    fi: "fi", fl: "fl", ff: "ff", ffi: "ffi", ffl: "ffl",
+  },
+
+  /**
+   * Text of a PDF, plus which pages had none (scanned).
+   * @param {ArrayBuffer} buffer
+   * @returns {Promise<{text: string, pages: number, scannedPages: number[]}>}
+   */
+  async extract(buffer) {
+    const bytes = new Uint8Array(buffer);
+    if (bytes.length > this.MAX_BYTES) {
+      throw new PdfTextError(`That PDF is over ${this.MAX_BYTES / 1024 / 1024} MB.`, { code: "too_large" });
+    }
+    const src = this._binary(bytes);
+    if (!src.slice(0, 1024).includes("%PDF-")) {
+      throw new PdfTextError("That file isn't a PDF.", { code: "not_pdf" });
+    }
+    if (/\/Encrypt\s*(?:\d+\s+\d+\s+R|<<)/.test(src)) {
+      throw new PdfTextError("That PDF is password-protected or encrypted. Print it to a new PDF and drop that instead.", { code: "encrypted" });
+    }
+
+    const doc = await this._load(src, bytes);
+    const pages = this._pages(doc);
+    if (!pages.length) throw new PdfTextError("Couldn't find any pages in that PDF.", { code: "unreadable" });
+
+    const texts = [];
+    const scannedPages = [];
+    for (const [i, page] of pages.entries()) {
+      const text = await this._pageText(doc, page);
+      texts.push(text);
+      if (text.length < this.MIN_PAGE_TEXT) scannedPages.push(i + 1);
+    }
+    if (!texts.some(t => t.trim())) {
+      throw new PdfTextError("That PDF is a scan with no text layer — only PDFs with selectable text can be read.", { code: "scanned" });
+    }
+
+    const text = texts.length > 1
+      ? texts.map((t, i) => t && `── Page ${i + 1} ──\n${t}`).filter(Boolean).join("\n\n")
+      : texts[0];
+    return { text, pages: pages.length, scannedPages };
+  },
+
+  // ── Objects ────────────────────────────────────────────
+
+  /** { objects: Map(num → { value, stream }), catalog, fonts } */
+  async _load(src, bytes) {
+    const objects = new Map();
+    const re = /(\d+)\s+\d+\s+obj\b/g;
+    for (let m = re.exec(src); m; m = re.exec(src)) {
+      const lex = new Lexer(src, re.lastIndex);
+      const value = lex.value();
+      let stream = null;
+
+      let p = lex.pos;
+      while (WHITESPACE.has(src.charCodeAt(p))) p++;
+      if (isDict(value) && src.startsWith("stream", p)) {
+        p += 6;
+        if (src[p] === "\r") p++;
+        if (src[p] === "\n") p++;
+        let end = typeof value.Length === "number" && /^\s*endstream/.test(src.substr(p + value.Length, 20))
+          ? p + value.Length
+          : src.indexOf("endstream", p);
+        if (end < 0) end = src.length;
+        stream = bytes.subarray(p, end);
+        re.lastIndex = end;         // never look for "obj" inside binary stream data
+      }
+      objects.set(+m[1], { value, stream });
+    }
+
+    // Objects packed into compressed object streams
+    for (const entry of [...objects.values()]) {
+      if (entry.value?.Type?.name !== "ObjStm") continue;
+      const data = await this._decode(entry);
+      if (!data) continue;
+      const s = this._binary(data);
+      const header = new Lexer(s);
+      const first = entry.value.First;
+      for (let i = 0; i < entry.value.N; i++) {
+        const num = header.token();
+        const offset = header.token();
+        if (typeof num !== "number" || typeof offset !== "number") break;
+        if (!objects.has(num)) objects.set(num, { value: new Lexer(s, first + offset).value(), stream: null });
+      }
+    }
+
+    const doc = { objects, fonts: new Map() };
+    const roots = [...src.matchAll(/\/Root\s+(\d+)\s+\d+\s+R/g)];
+    doc.catalog = roots.length ? this._resolve(doc, new Ref(+roots[roots.length - 1][1])) : null;
+    if (!doc.catalog?.Pages) {
+      doc.catalog = [...objects.values()].map(e => e.value).find(v => v?.Type?.name === "Catalog") || null;
+    }
+    return doc;
+  },
+
+  _resolve(doc, value) {
+    for (let depth = 0; value instanceof Ref && depth < 10; depth++) {
+      value = doc.objects.get(value.num)?.value ?? null;
+    }
+    return value;
+  },
+
+  /** The { value, stream } entry a reference points at. */
+  _entry(doc, value) {
+    return value instanceof Ref ? doc.objects.get(value.num) || null : null;
+  },
+
+  /** [{ dict, resources }] in page order, Resources inherited down the tree. */
+  _pages(doc) {
+    const pages = [];
+    const walk = (node, resources, depth) => {
+      node = this._resolve(doc, node);
+      if (!isDict(node) || depth > 20 || pages.length >= this.MAX_PAGES) return;
+      const own = node.Resources !== undefined ? this._resolve(doc, node.Resources) : resources;
+      const kids = this._resolve(doc, node.Kids);
+      if (Array.isArray(kids)) for (const kid of kids) walk(kid, own, depth + 1);
+      else pages.push({ dict: node, resources: own || {} });
+    };
+    if (doc.catalog) walk(doc.catalog.Pages, null, 0);
+
+    if (!pages.length) {
+      // Broken page tree — take every page object in file order
+      for (const { value } of doc.objects.values()) {
+        if (value?.Type?.name === "Page" && pages.length < this.MAX_PAGES) {
+          pages.push({ dict: value, resources: this._resolve(doc, value.Resources) || {} });
+        }
+      }
+    }
+    return pages;
+  },
+
+  // ── Streams ────────────────────────────────────────────
+
+  /** Decoded stream bytes; null for filters that aren't text (images) or failed. */
+  async _decode(entry) {
+    if (!entry?.stream) return null;
+    if (entry.decoded !== undefined) return entry.decoded;
+
+    const filter = entry.value.Filter;
+    const filters = filter === undefined ? [] : Array.isArray(filter) ? filter : [filter];
+    let data = entry.stream;
+    try {
+      for (const f of filters) {
+        const name = f?.name;
+        if (name === "FlateDecode" || name === "Fl") data = await this._inflate(data);
+        else if (name === "ASCIIHexDecode" || name === "AHx") data = Uint8Array.from(this._hexBytes(this._binary(data)), c => c.charCodeAt(0));
+        else if (name === "ASCII85Decode" || name === "A85") data = this._ascii85(data);
+        else {
+          data = null;
+          break;
+        }
+      }
+    } catch (e) {
+      console.warn("[PracticePilot] PDF stream not readable:", e);
+      data = null;
+    }
+    entry.decoded = data;
+    return data;
+  },
+
+  /** zlib inflate; a truncated stream keeps what inflated before the error. */
+  async _inflate(bytes) {
+    for (const format of ["deflate", "deflate-raw"]) {
+      const reader = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format)).getReader();
+      const chunks = [];
+      let size = 0;
+      try {
+        for (let r = await reader.read(); !r.done; r = await reader.read()) {
+          chunks.push(r.value);
+          size += r.value.length;
+        }
+      } catch (e) {
+        if (!size) continue;
+      }
+      const out = new Uint8Array(size);
+      let at = 0;
+      for (const c of chunks) {
+        out.set(c, at);
+        at += c.length;
+      }
+      return out;
+    }
+    throw new Error("inflate failed");
+  },
+
+  _ascii85(bytes) {
+    const s = this._binary(bytes).replace(/\s+/g, "").replace(/^<~/, "").replace(/~>[\s\S]*$/, "");
+    const out = [];
+    for (let i = 0; i < s.length;) {
+      if (s[i] === "z") {
+        out.push(0, 0, 0, 0);
+        i++;
+        continue;
+      }
+      const group = s.slice(i, i + 5);
+      i += 5;
+      let n = 0;
+      for (const ch of group.padEnd(5, "u")) n = n * 85 + (ch.charCodeAt(0) - 33);
+      out.push(...[n >>> 24, (n >>> 16) & 255, (n >>> 8) & 255, n & 255].slice(0, group.length - 1));
+    }
+    return Uint8Array.from(out);
+  },
+
+  /** "<48656C6C6F>" contents → binary string */
+  _hexBytes(hex) {
+    const clean = hex.replace(/[^0-9a-fA-F]/g, "");
+    const even = clean.length % 2 ? clean + "0" : clean;
+    let out = "";
+    for (let i = 0; i < even.length; i += 2) out += String.fromCharCode(parseInt(even.slice(i, i + 2), 16));
+    return out;
+  },
+
+  /** Bytes → binary string, one char per byte (offsets line up with the bytes). */
+  _binary(bytes) {
+    let out = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      out += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return out;
+  },
+
+  // ── Text ───────────────────────────────────────────────
+
+  async _pageText(doc, page) {
+    const contents = this._resolve(doc, page.dict.Contents);
+    const refs = Array.isArray(contents) ? contents : [page.dict.Contents];
+    const parts = [];
+    for (const ref of refs) {
+      const data = await this._decode(this._entry(doc, ref));
+      if (data) parts.push(this._binary(data));
+    }
+
+    const out = { lines: [], line: "", y: null, endX: null };
+    await this._runContent(doc, parts.join("\n"), page.resources, out, 0);
+    this._newline(out);
+    return out.lines.join("\n").replace(/\n{3,}/g, "\n\n").trim();
+  },
+
+  /**
+   * Interpret the text operators of a content stream into `out`.
+   * Positions are in text space; cm transforms are ignored.
+   */
+  async _runContent(doc, content, resources, out, depth) {
+    const lex = new Lexer(content);
+    const fonts = this._resolve(doc, resources?.Font) || {};
+    const xobjects = this._resolve(doc, resources?.XObject) || {};
+    let args = [];
+    let decode = () => "";
+    let size = 12, leading = 0, scale = 1;
+    let x = 0, y = 0, lineX = 0, lineY = 0;
+
+    const moveTo = (nx, ny) => {
+      lineX = x = nx;
+      lineY = y = ny;
+    };
+    const show = (str) => {
+      if (!(str instanceof Str)) return;
+      const text = decode(str.bytes);
+      if (!text) return;
+      const em = size * scale;
+      if (out.y === null || Math.abs(y - out.y) > em * 0.5) this._newline(out);
+      else if (out.endX !== null) {
+        const gap = x - out.endX;
+        if (gap > em * 1.5) out.line += "\t";
+        else if (gap > em * 0.15 && !/\s$/.test(out.line) && !/^\s/.test(text)) out.line += " ";
+      }
+      out.line += text;
+      out.y = y;
+      x += text.length * em * 0.5;      // no glyph widths — half an em per character
+      out.endX = x;
+    };
+
+    for (let t = lex.value(); t !== undefined; t = lex.value()) {
+      if (!(t instanceof Op)) {
+        args.push(t);
+        continue;
+      }
+      const a = args;
+      args = [];
+      switch (t.op) {
+        case "BT":
+          scale = 1;
+          moveTo(0, 0);
+          break;
+        case "Tf":
+          decode = await this._fontDecoder(doc, this._resolve(doc, fonts[a[0]?.name]));
+          size = Math.abs(a[1]) || size;
+          break;
+        case "TL":
+          leading = a[0] || 0;
+          break;
+        case "TD":
+          leading = -(a[1] || 0);
+          moveTo(lineX + (a[0] || 0) * scale, lineY + (a[1] || 0) * scale);
+          break;
+        case "Td":
+          moveTo(lineX + (a[0] || 0) * scale, lineY + (a[1] || 0) * scale);
+          break;
+        case "Tm":
+          scale = Math.hypot(a[0] || 0, a[1] || 0) || 1;
+          moveTo(a[4] || 0, a[5] || 0);
+          break;
+        case "T*":
+          moveTo(lineX, lineY - leading * scale);
+          break;
+        case "'":
+          moveTo(lineX, lineY - leading * scale);
+          show(a[0]);
+          break;
+        case "\"":
+          moveTo(lineX, lineY - leading * scale);
+          show(a[2]);
+          break;
+        case "Tj":
+          show(a[0]);
+          break;
+        case "TJ":
+          for (const el of Array.isArray(a[0]) ? a[0] : []) {
+            if (typeof el === "number") x -= (el / 1000) * size * scale;
+            else show(el);
+          }
+          break;
+        case "Do": {
+          const entry = this._entry(doc, xobjects[a[0]?.name]);
+          if (entry?.value.Subtype?.name !== "Form" || depth >= 5) break;
+          const data = await this._decode(entry);
+          const inner = this._resolve(doc, entry.value.Resources) || resources;
+          if (data) await this._runContent(doc, this._binary(data), inner, out, depth + 1);
+          break;
+        }
+        case "ID": {
+          // Inline image data runs to "EI" — skip it unread
+          const end = /\sEI(?=\s|$)/g;
+          end.lastIndex = lex.pos;
+          const m = end.exec(content);
+          lex.pos = m ? m.index + m[0].length : content.length;
+          break;
+        }
+      }
+    }
+  },
+
+  _newline(out) {
+    const line = out.line.replace(/[ \u00a0]+/g, " ").trim();
+    if (line) out.lines.push(line);
+    out.line = "";
+    out.endX = null;
+  },
+
+  // ── Fonts ──────────────────────────────────────────────
+
+  /** bytes → text for a font dict: ToUnicode first, then the simple-font encoding. */
+  async _fontDecoder(doc, font) {
+    if (!isDict(font)) return (bytes) => bytes;
+    if (doc.fonts.has(font)) return doc.fonts.get(font);
+
+    const composite = font.Subtype?.name === "Type0";
+    const data = await this._decode(this._entry(doc, font.ToUnicode));
+    const cmap = data ? this._parseCMap(this._binary(data)) : null;
+    const encoding = composite ? null : this._simpleEncoding(doc, font);
+    const width = cmap?.codeLength || (composite ? 2 : 1);
+
+    const decoder = (bytes) => {
+      let text = "";
+      for (let i = 0; i + width <= bytes.length; i += width) {
+        let code = 0;
+        for (let k = 0; k < width; k++) code = code * 256 + bytes.charCodeAt(i + k);
+        const mapped = cmap?.map.get(code);
+        text += mapped ?? (encoding ? encoding[code] || "" : "");
+      }
+      return text;
+    };
+    doc.fonts.set(font, decoder);
+    return decoder;
+  },
+
+  /** { map: Map(code → text), codeLength } from a ToUnicode CMap. */
+  _parseCMap(s) {
+    const map = new Map();
+    let codeLength = 0;
+    const utf16 = (hex) => {
+      if (hex.length < 4) return hex ? String.fromCharCode(parseInt(hex, 16)) : "";
+      let text = "";
+      for (let i = 0; i + 4 <= hex.length; i += 4) text += String.fromCharCode(parseInt(hex.slice(i, i + 4), 16));
+      return text;
+    };
+
+    const space = s.match(/begincodespacerange\s*<([0-9a-fA-F]+)>/);
+    if (space) codeLength = space[1].length / 2;
+
+    for (const block of s.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+      for (const m of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) {
+        map.set(parseInt(m[1], 16), utf16(m[2]));
+        codeLength = codeLength || m[1].length / 2;
+      }
+    }
+    for (const block of s.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+      for (const m of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(?:<([0-9a-fA-F]*)>|\[([^\]]*)\])/g)) {
+        const lo = parseInt(m[1], 16);
+        const hi = parseInt(m[2], 16);
+        codeLength = codeLength || m[1].length / 2;
+        if (hi < lo || hi - lo > 0xffff) continue;
+        if (m[3] !== undefined) {
+          // Destination increments in its last UTF-16 unit
+          const base = m[3].padStart(4, "0");
+          const prefix = base.slice(0, -4);
+          const last = parseInt(base.slice(-4), 16);
+          for (let code = lo; code <= hi; code++) {
+            map.set(code, utf16(prefix + (last + code - lo).toString(16).padStart(4, "0")));
+          }
+        } else {
+          [...m[4].matchAll(/<([0-9a-fA-F]*)>/g)].forEach((d, i) => map.set(lo + i, utf16(d[1])));
+        }
+      }
+    }
+    return { map, codeLength };
+  },
+
+  /** 256 characters for a simple font: WinAnsi, then /Differences. */
+  _simpleEncoding(doc, font) {
+    const table = [...new TextDecoder("windows-1252").decode(Uint8Array.from({ length: 256 }, (_, i) => i))];
+    const encoding = this._resolve(doc, font.Encoding);
+    const differences = isDict(encoding) ? this._resolve(doc, encoding.Differences) : null;
+    if (Array.isArray(differences)) {
+      let code = 0;
+      for (const d of differences) {
+        if (typeof d === "number") code = d;
+        else if (d instanceof Name && code < 256) table[code++] = this._glyph(d.name);
+      }
+    }
+    return table;
+  },
+
+  _glyph(name) {
+    if (this.GLYPHS[name] !== undefined) return this.GLYPHS[name];
+    if (/^[A-Za-z]$/.test(name)) return name;
+    const uni = name.match(/^uni([0-9A-Fa-f]{4})/) || name.match(/^u([0-9A-Fa-f]{4,6})$/);
+    if (uni) return String.fromCodePoint(parseInt(uni[1], 16));
+    const variant = name.match(/^([A-Za-z])\.\w+$/);       // "a.sc", "T.alt"
+    return variant ? variant[1] : "";
+  },
+};
+
+window.PracticePilot = PracticePilot;
+})();
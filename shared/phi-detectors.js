@@ -0,0 +1,320 @@
+// ============================================================
+// PracticePilot — PHI Detectors
+// ============================================================
+// The detector pipeline behind phiRedactor. Each detector is a
+// plugin that finds PHI spans in the ORIGINAL text:
+//
+//   {
+//     id, label, type, kind,     // kind = phiVault token kind
+//     required,                  // true = can't be switched off
+//     detect(text, ctx) → [{ start, end, type, kind }]
+//   }
+//
+// ctx carries what we already know locally:
+//   { names: [...], providers: [...], values: [...] }
+// (values = spans already found in another rendering of the same
+// page, see phiRedactor.optionsAlong) and grows as the pipeline runs — a name found after a
+// "Subscriber Name:" label is then caught everywhere else it
+// appears, unlabeled.
+//
+// Detectors run in registration order; on overlap the earlier
+// one wins, so specific detectors come before broad ones.
+// detect() is pure (text + ctx in, spans out), so each detector
+// can be exercised on its own.
+//
+// Add a detector with register(); built-ins are at the bottom.
+// ============================================================
+
+(function() {
+var PracticePilot = window.PracticePilot || {};
+
+// Two to four capitalized words, or "Last, First"
+const NAME = String.raw`[A-Z][A-Za-z'\-]+(?:,[ \t]*[A-Z][A-Za-z'\-]+|(?:[ \t]+[A-Z][A-Za-z'\-]+){1,3})`;
+
+PracticePilot.phiDetectors = {
+
+  _list: [],
+
+  // Words that are never part of a name — rejects "Patient: Balance Due"
+  NOT_NAMES: new Set([
+    "name", "balance", "due", "portion", "information", "info", "id", "number",
+    "summary", "gender", "appointment", "appointments", "insurance", "billing",
+    "charting", "claims", "claim", "schedule", "recare", "perio", "profile",
+    "settings", "filter", "search", "dashboard", "overview", "treatment",
+    "clinical", "male", "female", "address", "household", "relationship",
+    "edit", "delete", "cancel", "save", "notes", "history", "forms", "status",
+    "unknown", "none", "self", "primary", "secondary", "plan", "group", "dental",
+  ]),
+
+  // ── Registry ───────────────────────────────────────────
+
+  /** Add a detector to the end of the pipeline (or before `before`). */
+  register(detector, { before = null } = {}) {
+    this._list = this._list.filter(d => d.id !== detector.id);
+    const at = before ? this._list.findIndex(d => d.id === before) : -1;
+    if (at === -1) this._list.push(detector);
+    else this._list.splice(at, 0, detector);
+    return detector;
+  },
+
+  list() {
+    return [...this._list];
+  },
+
+  get(id) {
+    return this._list.find(d => d.id === id) || null;
+  },
+
+  /** Detectors staff can switch off in Settings. */
+  optional() {
+    return this._list.filter(d => !d.required);
+  },
+
+  // ── Pipeline ───────────────────────────────────────────
+
+  /**
+   * Run every enabled detector and resolve overlaps.
+   * @param {Object} [options]
+   * @param {string[]} [options.names] - known people (patient, subscriber, dependents)
+   * @param {string[]} [options.providers] - practice providers
+   * @param {Object} [options.detectors] - { id: false } to switch optional detectors off
+   * @param {Array<{value, type, kind}>} [options.values] - PHI found elsewhere, caught verbatim
+   * @returns {Array<{start, end, type, kind, value}>} sorted by start, non-overlapping
+   */
+  findAll(text, { names = [], providers = [], detectors = {}, values = [] } = {}) {
+    const ctx = { names: [...names], providers: [...providers], values };
+    const taken = [];
+
+    for (const d of this._list) {
+      if (!d.required && detectors[d.id] === false) continue;
+      for (const span of d.detect(text, ctx)) {
+        if (span.end <= span.start) continue;
+        if (taken.some(t => span.start < t.end && t.start < span.end)) continue;
+        const value = text.slice(span.start, span.end);
+        taken.push({ ...span, value });
+        // Names found by one detector are searched for by the later ones
+        if (span.kind === "PERSON" && !ctx.names.includes(value)) ctx.names.push(value);
+        if (span.kind === "PROVIDER" && !ctx.providers.includes(value)) ctx.providers.push(value);
+      }
+    }
+    return taken.sort((a, b) => a.start - b.start);
+  },
+
+  // ── Detector factories ─────────────────────────────────
+
+  /**
+   * Regex detector. `group` is the capture group holding the PHI
+   * value (0 = whole match), so labels like "Member ID:" survive.
+   * `clip(value)` can shorten a match to its first N characters
+   * (0 drops it).
+   */
+  pattern({ id, label, type = id, kind, group = 0, pattern, required = false, clip = null }) {
+    const flags = pattern.flags.includes("d") ? pattern.flags : pattern.flags + "d";
+    const re = new RegExp(pattern.source, flags);
+    return {
+      id, label, type, kind, required,
+      detect(text) {
+        const spans = [];
+        for (const m of text.matchAll(re)) {
+          let [start, end] = m.indices[group] || [];
+          if (start === undefined) continue;
+          if (clip) {
+            const keep = clip(m[group]);
+            if (!keep) continue;
+            end = start + keep;
+          }
+          spans.push({ start, end, type, kind });
+        }
+        return spans;
+      },
+    };
+  },
+
+  /** Detector for every occurrence of names from `source(text, ctx)`. */
+  names({ id, label, type = id, kind, source, required = false }) {
+    const self = this;
+    return {
+      id, label, type, kind, required,
+      detect(text, ctx) {
+        return (source(text, ctx) || []).flatMap(name => self.occurrences(text, name))
+          .map(([start, end]) => ({ start, end, type, kind }));
+      },
+    };
+  },
+
+  // ── Helpers ────────────────────────────────────────────
+
+  /**
+   * [start, end] of each whole-word, case-insensitive occurrence of a
+   * name, in either "First Last" or "Last, First" order. Single-word
+   * names need 4+ letters so initials and short words aren't hit.
+   */
+  occurrences(text, name) {
+    const clean = String(name || "").replace(/^(?:Dr|Mr|Mrs|Ms|Miss|Mx)\.?\s+/i, "").trim();
+    if (!clean || (!/\s|,/.test(clean) && clean.length < 4)) return [];
+
+    const variants = new Set([clean]);
+    const lastFirst = clean.match(/^([^,]+),\s*(.+)$/);
+    if (lastFirst) variants.add(`${lastFirst[2]} ${lastFirst[1]}`);
+    else if (/\s/.test(clean)) {
+      const parts = clean.split(/\s+/);
+      variants.add(`${parts[parts.length - 1]}, ${parts.slice(0, -1).join(" ")}`);
+    }
+
+    const out = [];
+    for (const v of variants) {
+      const escaped = v.replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/\s+/g, "\\s+").replace(/,\\s\+/g, ",\\s*");
+      for (const m of text.matchAll(new RegExp(`(?<![\\w'])${escaped}(?![\\w'])`, "gi"))) {
+        out.push([m.index, m.index + m[0].length]);
+      }
+    }
+    return out;
+  },
+
+  /**
+   * Length of the name at the start of a candidate — it stops at
+   * the first UI word ("JOHN SMITH Relationship" → "JOHN SMITH").
+   * 0 = not a name.
+   */
+  nameLength(value) {
+    let end = 0;
+    for (const m of String(value).matchAll(/[^\s,]+/g)) {
+      if (this.NOT_NAMES.has(m[0].toLowerCase())) break;
+      end = m.index + m[0].length;
+    }
+    return end;
+  },
+};
+
+// ── Built-in detectors (pipeline order) ──────────────────
+
+const D = PracticePilot.phiDetectors;
+const nameLength = (v) => D.nameLength(v);
+
+// People named after a label
+D.register(D.pattern({
+  id: "patient_name", label: "Patient name (labeled)", kind: "PERSON", group: 1, required: true,
+  pattern: new RegExp(String.raw`Patient(?:\s+Name)?\s*:[ \t]*(${NAME})`, "gi"), clip: nameLength,
+}));
+D.register(D.pattern({
+  id: "person_name", label: "Subscriber / dependent names (labeled)", kind: "PERSON", group: 1, required: true,
+  pattern: new RegExp(String.raw`(?:Subscriber|Member|Insured|Dependent|Spouse|Guarantor|Responsible\s+Party|Account\s+Holder|Head\s+of\s+Household|HOH)(?:\s+Name)?\s*:[ \t]*(${NAME})`, "gi"),
+  clip: nameLength,
+}));
+
+// The patient in Curve's header / sidebar — no label, found by patientContext
+D.register(D.names({
+  id: "header_name", label: "Patient name in page header", kind: "PERSON", required: true,
+  source: (text) => [PracticePilot.patientContext?._extractPatientName(text)].filter(Boolean),
+}));
+
+// Identifiers
+D.register(D.pattern({
+  id: "ssn_id", label: "SS# / ID#", kind: "MEMBER_ID", group: 1, required: true,
+  pattern: /SS#\s*\/?\s*ID#\s*:\s*([A-Za-z0-9\-]+)/gi,
+}));
+D.register(D.pattern({
+  id: "subscriber_id", label: "Subscriber ID", kind: "MEMBER_ID", group: 1, required: true,
+  pattern: /Subscriber\s*(?:ID|#|Number)\s*:\s*([A-Za-z0-9\-]+)/gi,
+}));
+D.register(D.pattern({
+  id: "member_id", label: "Member ID", kind: "MEMBER_ID", group: 1, required: true,
+  pattern: /Member\s*(?:ID|#|Number)\s*:\s*([A-Za-z0-9\-]+)/gi,
+}));
+D.register(D.pattern({
+  id: "medicaid_id", label: "Medicaid / CHIP IDs", kind: "MEDICAID_ID", group: 1,
+  pattern: /\b(?:Medicaid|Medi-Cal|CHIP|Recipient|Beneficiary)\s*(?:ID|#|No\.?|Number)\s*:?\s*([A-Za-z0-9\-]*\d[A-Za-z0-9\-]*)/gi,
+}));
+D.register(D.pattern({
+  id: "mrn", label: "Chart / MRN / account numbers", kind: "MRN", group: 1,
+  pattern: /\b(?:MRN|Medical\s+Record\s*(?:#|No\.?|Number)|Chart\s*(?:#|No\.?|Number|ID)|Patient\s*(?:ID|#|No\.?|Number)|Account\s*(?:#|No\.?|Number))\s*:?\s*([A-Za-z0-9\-]*\d[A-Za-z0-9\-]*)/gi,
+}));
+D.register(D.pattern({
+  id: "claim_number", label: "Claim numbers", kind: "CLAIM", group: 1,
+  pattern: /\b(?:Claim\s*(?:#|No\.?|Number|ID)|ICN|DCN|Payer\s+Claim\s+Control\s*(?:#|Number))\s*:?\s*([A-Za-z0-9\-]*\d[A-Za-z0-9\-]{3,})/gi,
+}));
+D.register(D.pattern({
+  id: "ssn", label: "SSN", kind: "SSN", required: true,
+  pattern: /\b\d{3}[\-\s]?\d{2}[\-\s]?\d{4}\b/g,
+}));
+D.register(D.pattern({
+  id: "dob", label: "Date of birth", kind: "DOB", group: 1, required: true,
+  pattern: /(?:DOB|Date\s*of\s*Birth|Birth\s*Date)\s*:\s*(\d{1,2}[\/\-]\d{1,2}[\/\-]\d{2,4})/gi,
+}));
+
+// Contact details
+D.register(D.pattern({
+  id: "phone", label: "Phone numbers", kind: "PHONE", group: 1, required: true,
+  pattern: /(?:Phone|Tel|Fax|Cell|Mobile)\s*(?:#|:)?\s*(\(?\d{3}\)?[\s\-\.]?\d{3}[\s\-\.]?\d{4})/gi,
+}));
+D.register(D.pattern({
+  id: "phone_bare", type: "phone", label: "Phone numbers (unlabeled)", kind: "PHONE", required: true,
+  pattern: /\b\(?\d{3}\)?[\s\-\.]\d{3}[\s\-\.]\d{4}\b/g,
+}));
+D.register(D.pattern({
+  id: "email", label: "Email addresses", kind: "EMAIL", required: true,
+  pattern: /\b[A-Za-z0-9._%+\-]+@[A-Za-z0-9.\-]+\.[A-Za-z]{2,}\b/g,
+}));
+D.register(D.pattern({
+  id: "address", label: "Street addresses", kind: "ADDRESS", required: true,
+  pattern: /\b\d{1,5}\s+[A-Za-z]+\s+(?:St|Street|Ave|Avenue|Blvd|Boulevard|Dr|Drive|Ln|Lane|Rd|Road|Way|Ct|Court|Pl|Place|Cir|Circle)\b\.?(?:\s*(?:#|Apt|Suite|Ste|Unit)\s*\w+)?/gi,
+}));
+D.register(D.pattern({
+  id: "address_freetext", type: "address", label: "Free-text addresses (multi-word streets, PO boxes, city/state/ZIP, \"Address:\" lines)", kind: "ADDRESS",
+  pattern: new RegExp([
+    String.raw`(?<=Address\s*:[ \t]*)(?=[^\n]*\d)\S[^\n]*`,
+    String.raw`\b\d{1,6}[ \t]+(?:[NSEW]\.?[ \t]+)?(?:[A-Z][a-z]+[ \t]+){1,3}(?:St|Street|Ave|Avenue|Blvd|Boulevard|Dr|Drive|Ln|Lane|Rd|Road|Way|Ct|Court|Pl|Place|Cir|Circle|Pkwy|Parkway|Hwy|Highway|Ter|Terrace|Trl|Trail|Loop)\b\.?(?:[ \t,]*(?:#|Apt|Suite|Ste|Unit)[ \t]*\w+)?`,
+    String.raw`\bP\.?[ \t]?O\.?[ \t]*Box[ \t]+\d+`,
+    String.raw`\b[A-Z][a-z]+(?:[ \t]+[A-Z][a-z]+){0,2},[ \t]*[A-Z]{2}[ \t]+\d{5}(?:-\d{4})?\b`,
+  ].join("|"), "g"),
+}));
+
+// NER-style heuristics: capitalized words after honorifics or relationship cues
+D.register(D.pattern({
+  id: "honorific_name", label: "Names after Mr. / Mrs. / Ms.", kind: "PERSON", group: 1,
+  pattern: /\b(?:Mr|Mrs|Ms|Miss|Mx)\.?[ \t]+([A-Z][a-z'\-]+(?:[ \t]+[A-Z][a-z'\-]+){0,2})/g, clip: nameLength,
+}));
+D.register(D.pattern({
+  id: "relation_name", label: "Names after Parent: / Guardian: / Dear …", kind: "PERSON", group: 1,
+  pattern: new RegExp(String.raw`(?:\b(?:Parent|Guardian|Mother|Father|Emergency\s+Contact|Caregiver|Child|Son|Daughter)\s*:|\bDear)[ \t]+(${NAME})`, "g"),
+  clip: nameLength,
+}));
+
+// Everyone we know by name, wherever they appear unlabeled
+D.register(D.names({
+  id: "known_names", type: "person_mention", label: "Known patient and family names", kind: "PERSON", required: true,
+  source: (text, ctx) => ctx.names,
+}));
+D.register(D.pattern({
+  id: "doctor_name", label: "Names after Dr.", kind: "PROVIDER", group: 1,
+  pattern: /\b(?:Dr|Doctor)\.?[ \t]+([A-Z][a-z'\-]+(?:[ \t]+[A-Z][a-z'\-]+){0,2})/g, clip: nameLength,
+}));
+D.register(D.names({
+  id: "provider_names", type: "provider_name", label: "Practice providers (from Settings)", kind: "PROVIDER",
+  source: (text, ctx) => ctx.providers,
+}));
+
+// Identifiers a detector found in the plain page text, wherever the
+// structured capture put it — a table cell loses the "Member ID:"
+// label the pattern detectors key on. Only identifier kinds carry
+// over, and never a bare amount or percentage: a loose match in the
+// plain text (an address regex catching "2024 by Dr. Adams") would
+// otherwise be blanked in every table cell the LLM needs.
+const CARRIED_KINDS = ["PERSON", "MEMBER_ID", "MEDICAID_ID", "SSN", "DOB", "PHONE", "EMAIL"];
+const AMOUNT = /^[$\d,.\s%/-]*%$|^\$[\d,.]+$/;
+
+D.register({
+  id: "known_values", label: "Identifiers found in the plain page text", kind: null, required: true,
+  detect(text, ctx) {
+    const carried = (ctx.values || []).filter(v =>
+      CARRIED_KINDS.includes(v.kind) && v.value.trim().length >= 4 && !AMOUNT.test(v.value.trim()));
+    return carried.flatMap(v => {
+      const escaped = v.value.trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/\s+/g, "\\s+");
+      return [...text.matchAll(new RegExp(`(?<![\\w])${escaped}(?![\\w])`, "g"))]
+        .map(m => ({ start: m.index, end: m.index + m[0].length, type: v.type, kind: v.kind }));
+    });
+  },
+});
+
+window.PracticePilot = PracticePilot;
+})();
@@ -0,0 +1,134 @@
+// ============================================================
+// PracticePilot — PHI Leak Guard
+// ============================================================
+// Last check before anything goes to an LLM. llmProvider hands
+// over the full outbound text (system prompt + messages) AFTER
+// redaction; the guard re-scans it with the same detectors
+// (plus every name in the phiVault) and scores what is left.
+// Redaction's own output — vault tokens ("[ADDRESS_2]") and
+// redact-mode placeholders — isn't a leak, so findings that are
+// nothing but those are ignored ("Address: [ADDRESS_2]" matches
+// the address pattern):
+//
+//   pass     score < CONFIRM_AT   → sent
+//   confirm  score < BLOCK_AT     → sent only if staff say so
+//   block    score ≥ BLOCK_AT     → never sent (raw SSN, or a
+//                                   pile of identifiers — likely
+//                                   a payer format redaction missed)
+//
+// Blocked and declined attempts are written to the audit log by
+// llmProvider, with counts by type — never the values.
+//
+// Values staff chose to send are remembered in memory for the
+// session so the same chat doesn't ask twice.
+//
+// Side panel only: the service worker sends nothing but the fixed
+// connection test, so it doesn't load this file.
+// ============================================================
+
+(function() {
+var PracticePilot = window.PracticePilot || {};
+
+PracticePilot.phiGuard = {
+
+  CONFIRM_AT: 30,
+  BLOCK_AT: 90,
+
+  // Risk per detector type (phi-detectors.js); unknown types get DEFAULT_WEIGHT
+  WEIGHTS: {
+    ssn: 100,
+    ssn_id: 70, subscriber_id: 70, member_id: 70, medicaid_id: 70, dob: 70,
+    patient_name: 60, person_name: 60, header_name: 60, person_mention: 60,
+    email: 50, phone: 40, mrn: 40, address: 30, claim_number: 25,
+    honorific_name: 20, relation_name: 20,
+    doctor_name: 5, provider_name: 5,
+  },
+  DEFAULT_WEIGHT: 30,
+
+  // async ({ module, text, scan }) → true to send anyway; set by the side panel
+  confirmer: null,
+
+  _approved: new Set(),
+
+  /**
+   * Score residual PHI in already-protected text.
+   * @param {Object} [options.detectors] - Settings switches (phiDetectors)
+   * @returns {{score: number, level: "pass"|"confirm"|"block",
+   *            findings: Array<{start, end, type, kind, value}>, counts: Object}}
+   */
+  scan(text, { detectors = {} } = {}) {
+    const names = PracticePilot.phiVault?.valuesOf("PERSON").map(v => v.value) || [];
+    const findings = PracticePilot.phiRedactor.detect(text, { names, detectors })
+      .filter(f => /[A-Za-z0-9]/.test(this._residue(f.value)) && !this._approved.has(this._key(f)));
+
+    const counts = {};
+    for (const f of findings) counts[f.type] = (counts[f.type] || 0) + 1;
+
+    // Worst finding, plus a little for each extra one
+    const weights = findings.map(f => this.WEIGHTS[f.type] ?? this.DEFAULT_WEIGHT);
+    const score = findings.length ? Math.min(100, Math.max(...weights) + 5 * (findings.length - 1)) : 0;
+    const level = score >= this.BLOCK_AT ? "block" : score >= this.CONFIRM_AT ? "confirm" : "pass";
+
+    return { score, level, findings, counts };
+  },
+
+  /**
+   * Decide whether outbound text may be sent, asking staff when the
+   * risk is moderate.
+   * @returns {Promise<{allowed: boolean, outcome: string, score: number, counts: Object, message?: string}>}
+   *   outcome: "sent" | "confirmed" | "blocked" | "declined"
+   */
+  async review(text, { module = "unknown" } = {}) {
+    const settings = await PracticePilot.storage.getSettings();
+    const scan = this.scan(text, { detectors: settings.phiDetectors || {} });
+    const { score, counts } = scan;
+    const found = this.describe(counts);
+
+    if (scan.level === "pass") return { allowed: true, outcome: "sent", score, counts };
+
+    if (scan.level === "block") {
+      return {
+        allowed: false, outcome: "blocked", score, counts,
+        message: `Not sent — identifiers were still present after redaction (${found}). Nothing left this computer.`,
+      };
+    }
+
+    const approved = this.confirmer ? !!(await this.confirmer({ module, text, scan })) : false;
+    if (!approved) {
+      return {
+        allowed: false, outcome: "declined", score, counts,
+        message: `Not sent — possible identifiers after redaction (${found}).`,
+      };
+    }
+    for (const f of scan.findings) this._approved.add(this._key(f));
+    return { allowed: true, outcome: "confirmed", score, counts };
+  },
+
+  /** Drop remembered approvals (the side panel calls this on lock). */
+  forgetApprovals() {
+    this._approved.clear();
+  },
+
+    /** "2 phone, 1 ssn" */
+  describe(counts) {
+    return Object.entries(counts).map(([type, n]) => `${n} ${type.replace(/_/g, " ")}`).join(", ");
+  },
+
+  // ── Helpers ────────────────────────────────────────────
+
+  /** A finding's value with redaction tokens and placeholders taken out. */
+  _residue(value) {
+    const tokens = new RegExp(PracticePilot.phiVault.TOKEN_PATTERN.source, "g");
+    const placeholders = [...Object.values(PracticePilot.phiRedactor.PLACEHOLDERS), "[REDACTED]"];
+    let rest = String(value).replace(tokens, " ");
+    for (const p of placeholders) rest = rest.split(p).join(" ");
+    return rest;
+  },
+
+  _key(finding) {
+    return `${finding.type}:${finding.value.toLowerCase().replace(/\s+/g, " ")}`;
+  },
+};
+
+window.PracticePilot = PracticePilot;
+})();
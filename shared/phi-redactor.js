@@ -4,13 +4,24 @@
 // Strips Protected Health Information from page text BEFORE
 // sending to any LLM API. This is a critical safety layer.
 //
-// What we redact:
-//   - Patient names (detected via "Patient Name:" labels)
-//   - SSN / Subscriber IDs
+// Two modes (see protect()):
+//   - tokenize (default): each value becomes a stable token like
+//     [PERSON_1] / [MEMBER_ID_1], reversible through the local
+//     phiVault so LLM output can be re-hydrated
+//   - redact: fixed placeholders, originals discarded
+//
+// What we redact (detector plugins in phi-detectors.js):
+//   - Patient, subscriber and dependent names — after labels, in
+//     Curve's page header, after Mr./Mrs./Parent:, and anywhere
+//     a name we already know appears
+//   - Practice provider names (Settings) and "Dr. …"
+//   - SSN / Subscriber / Medicaid IDs, chart numbers, claim numbers
 //   - Dates of birth
 //   - Phone numbers
 //   - Email addresses
-//   - Street addresses (best-effort)
+//   - Street addresses, PO boxes, city/state/ZIP
+//   - In the structured (table) capture, names, IDs, DOBs, phones
+//     and emails found in the plain page text — see optionsAlong()
 //
 // What we KEEP (needed for extraction):
 //   - Payer name (Humana, Cigna, etc.)
@@ -26,105 +37,131 @@ var PracticePilot = window.PracticePilot || {};
 
 PracticePilot.phiRedactor = {
 
+  // Placeholder per vault kind for redact mode
+  PLACEHOLDERS: {
+    PERSON: "[REDACTED_NAME]",
+    PROVIDER: "[REDACTED_PROVIDER]",
+    MEMBER_ID: "[REDACTED_ID]",
+    MEDICAID_ID: "[REDACTED_MEDICAID_ID]",
+    MRN: "[REDACTED_MRN]",
+    CLAIM: "[REDACTED_CLAIM]",
+    SSN: "[REDACTED_SSN]",
+    DOB: "[REDACTED_DOB]",
+    PHONE: "[REDACTED_PHONE]",
+    EMAIL: "[REDACTED_EMAIL]",
+    ADDRESS: "[REDACTED_ADDRESS]",
+  },
+
+  /**
+   * Protect text before it goes to an LLM.
+   * @param {string} mode - "tokenize" (default, reversible via phiVault) | "redact"
+   * @param {Object} [options] - see detect(); optionsFor() builds it
+   */
+  protect(text, mode = "tokenize", options = {}) {
+    return mode === "redact" ? this.redact(text, options) : this.tokenize(text, options);
+  },
+
+  /**
+   * PHI spans found by the detector pipeline (phi-detectors.js).
+   * @param {Object} [options]
+   * @param {string[]} [options.names] - people already known locally
+   * @param {string[]} [options.providers] - practice provider names
+   * @param {Object} [options.detectors] - { id: false } switches a detector off
+   * @param {Object[]} [options.values] - values to catch verbatim (optionsAlong)
+   * @returns {Array<{start, end, type, kind, value}>}
+   */
+  detect(text, options = {}) {
+    return PracticePilot.phiDetectors.findAll(String(text ?? ""), options);
+  },
+
   /**
    * Redact PHI from raw eligibility text before sending to LLM.
-   * Returns { redactedText, redactions[] } so we can restore if needed.
+   * Lossy: every value becomes the same placeholder.
+   * Returns { redactedText, redactions[] }.
    */
-  redact(text) {
-    const redactions = [];
-    let result = text;
-
-    // Order matters: do specific patterns first, then broad ones.
-
-    // 1. Patient name (appears as "Patient Name: FIRSTNAME LASTNAME" or similar)
-    result = this._redactPattern(result, redactions,
-      /Patient\s+Name\s*:\s*([A-Z][A-Za-z'\-]+(?:\s+[A-Z][A-Za-z'\-]+){1,3})/gi,
-      "Patient Name: [REDACTED_NAME]",
-      "patient_name"
-    );
-
-    // 2. SS# / ID# / Subscriber ID patterns
-    result = this._redactPattern(result, redactions,
-      /SS#\s*\/?\s*ID#\s*:\s*([A-Za-z0-9\-]+)/gi,
-      "SS# / ID#: [REDACTED_ID]",
-      "ssn_id"
-    );
-
-    result = this._redactPattern(result, redactions,
-      /Subscriber\s*(?:ID|#|Number)\s*:\s*([A-Za-z0-9\-]+)/gi,
-      "Subscriber ID: [REDACTED_ID]",
-      "subscriber_id"
-    );
-
-    result = this._redactPattern(result, redactions,
-      /Member\s*(?:ID|#|Number)\s*:\s*([A-Za-z0-9\-]+)/gi,
-      "Member ID: [REDACTED_ID]",
-      "member_id"
-    );
-
-    // 3. SSN patterns (XXX-XX-XXXX or XXXXXXXXX)
-    result = this._redactPattern(result, redactions,
-      /\b\d{3}[\-\s]?\d{2}[\-\s]?\d{4}\b/g,
-      "[REDACTED_SSN]",
-      "ssn"
-    );
-
-    // 4. Date of birth patterns
-    result = this._redactPattern(result, redactions,
-      /(?:DOB|Date\s*of\s*Birth|Birth\s*Date)\s*:\s*(\d{1,2}[\/\-]\d{1,2}[\/\-]\d{2,4})/gi,
-      "DOB: [REDACTED_DOB]",
-      "dob"
-    );
-
-    // 5. Phone numbers
-    result = this._redactPattern(result, redactions,
-      /(?:Phone|Tel|Fax|Cell|Mobile)\s*(?:#|:)?\s*\(?\d{3}\)?[\s\-\.]?\d{3}[\s\-\.]?\d{4}/gi,
-      "[REDACTED_PHONE]",
-      "phone"
-    );
-    // Standalone phone number patterns (with area code)
-    result = this._redactPattern(result, redactions,
-      /\b\(?\d{3}\)?[\s\-\.]\d{3}[\s\-\.]\d{4}\b/g,
-      "[REDACTED_PHONE]",
-      "phone"
-    );
-
-    // 6. Email addresses
-    result = this._redactPattern(result, redactions,
-      /\b[A-Za-z0-9._%+\-]+@[A-Za-z0-9.\-]+\.[A-Za-z]{2,}\b/g,
-      "[REDACTED_EMAIL]",
-      "email"
-    );
-
-    // 7. Street addresses (best-effort: number + street name patterns)
-    result = this._redactPattern(result, redactions,
-      /\b\d{1,5}\s+[A-Za-z]+\s+(?:St|Street|Ave|Avenue|Blvd|Boulevard|Dr|Drive|Ln|Lane|Rd|Road|Way|Ct|Court|Pl|Place|Cir|Circle)\b\.?(?:\s*(?:#|Apt|Suite|Ste|Unit)\s*\w+)?/gi,
-      "[REDACTED_ADDRESS]",
-      "address"
-    );
+  redact(text, options = {}) {
+    return this._apply(text, options, span => this.PLACEHOLDERS[span.kind] || "[REDACTED]");
+  },
+
+  /**
+   * Replace PHI with stable vault tokens ("[PERSON_1]", "[MEMBER_ID_1]")
+   * instead of fixed placeholders. Same return shape as redact(),
+   * plus `tokens` used. Originals stay in the local phiVault;
+   * use phiVault.rehydrate() on LLM output. Names already in the
+   * vault are caught wherever they appear.
+   */
+  tokenize(text, options = {}, vault = PracticePilot.phiVault) {
+    const names = [...(options.names || []), ...vault.valuesOf("PERSON").map(v => v.value)];
+    const providers = [...(options.providers || []), ...vault.valuesOf("PROVIDER").map(v => v.value)];
+    const result = this._apply(text, { ...options, names, providers }, span => vault.tokenFor(span.kind, span.value), true);
+    result.tokens = [...new Set(result.redactions.map(r => r.token))];
+    return result;
+  },
+
+  /**
+   * Redaction options from Settings plus what we already know
+   * locally: switched-off detectors, the practice's providers, and
+   * the names of the patient on the page and their household.
+   * @param {string} [text] - page text (for the patient in the header)
+   * @param {string[]} [names] - extra known names
+   */
+  async optionsFor(text = "", names = []) {
+    const settings = await PracticePilot.storage.getSettings();
+    const known = [...names];
+
+    const patientName = text ? PracticePilot.patientContext?._extractPatientName(text) : null;
+    if (patientName) {
+      known.push(patientName);
+      const ctx = await PracticePilot.patientContext.load(patientName).catch(() => null);
+      if (ctx?.profile?.hoh) known.push(ctx.profile.hoh);
+    }
 
     return {
-      redactedText: result,
-      redactions,
-      originalLength: text.length,
-      redactedLength: result.length,
-      redactionCount: redactions.length,
+      names: [...new Set(known.filter(Boolean))],
+      providers: settings.practiceProviders || [],
+      detectors: settings.phiDetectors || {},
     };
   },
 
   /**
-   * Apply a single redaction pattern.
+   * Options for protecting a second rendering of the same page (the
+   * structured capture): every value detected in `reference` is
+   * also caught verbatim, even where the other layout drops the
+   * label a detector keys on ("| Member ID | 12345 |").
    */
-  _redactPattern(text, redactions, pattern, replacement, type) {
-    return text.replace(pattern, (match) => {
+  optionsAlong(reference, options = {}) {
+    const values = this.detect(reference, options).map(({ value, type, kind }) => ({ value, type, kind }));
+    return { ...options, values };
+  },
+
+  /** Replace each detected span with replace(span); values are never recorded. */
+  _apply(text, options, replace, tokens = false) {
+    const source = String(text ?? "");
+    const redactions = [];
+    let result = "";
+    let at = 0;
+
+    for (const span of this.detect(source, options)) {
+      const replacement = replace(span);
+      result += source.slice(at, span.start) + replacement;
+      at = span.end;
       redactions.push({
-        type,
-        position: text.indexOf(match),
-        length: match.length,
+        type: span.type,
+        position: span.start,
+        length: span.end - span.start,
+        ...(tokens ? { token: replacement } : {}),
         // Do NOT store the actual value — that defeats the purpose
       });
-      return replacement;
-    });
+    }
+    result += source.slice(at);
+
+    return {
+      redactedText: result,
+      redactions,
+      originalLength: source.length,
+      redactedLength: result.length,
+      redactionCount: redactions.length,
+    };
   },
 
   /**
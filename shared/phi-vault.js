@@ -0,0 +1,111 @@
+// ============================================================
+// PracticePilot — PHI Token Vault
+// ============================================================
+// Local-only lookup table behind phiRedactor.tokenize(). Each
+// PHI value gets a stable token for the life of the side panel:
+//
+//   "JOHN SMITH"  → [PERSON_1]     "Smith, John" → [PERSON_1]
+//   "MARY SMITH"  → [PERSON_2]     "W123456789"  → [MEMBER_ID_1]
+//
+// The LLM only ever sees tokens, so a subscriber and their
+// dependents stay distinguishable; rehydrate() swaps tokens in
+// LLM output back to the real values on this machine.
+//
+// The vault lives in memory only — never chrome.storage, never
+// sent anywhere. Closing the side panel discards it.
+// ============================================================
+
+(function() {
+var PracticePilot = window.PracticePilot || {};
+
+PracticePilot.phiVault = {
+
+  TOKEN_PATTERN: /\[([A-Z]+(?:_[A-Z]+)*_\d+)\]/g,
+
+  _byKey: new Map(),       // "PERSON:john smith" → "[PERSON_1]"
+  _byToken: new Map(),     // "[PERSON_1]" → "JOHN SMITH" (first spelling seen)
+  _counters: {},
+
+  /**
+   * Token for a value, minting one on first sight.
+   * @param {string} kind - PERSON | MEMBER_ID | SSN | DOB | PHONE | EMAIL | ADDRESS
+   * @param {string} value - original text
+   * @returns {string} e.g. "[PERSON_1]"
+   */
+  tokenFor(kind, value) {
+    const key = `${kind}:${this._normalize(kind, value)}`;
+    if (this._byKey.has(key)) return this._byKey.get(key);
+
+    this._counters[kind] = (this._counters[kind] || 0) + 1;
+    const token = `[${kind}_${this._counters[kind]}]`;
+    this._byKey.set(key, token);
+    this._byToken.set(token, String(value).trim());
+    return token;
+  },
+
+  /** Original value for a token, or null if it isn't ours. */
+  valueOf(token) {
+    return this._byToken.get(token) ?? null;
+  },
+
+  /** Tokens minted so far as [{ token, kind }] — values deliberately omitted. */
+  tokens() {
+    return [...this._byToken.keys()].map(token => ({ token, kind: token.slice(1, token.lastIndexOf("_")) }));
+  },
+
+  /** Replace known tokens in text with their original values. */
+  rehydrate(text) {
+    if (typeof text !== "string") return text;
+    return text.replace(this.TOKEN_PATTERN, (match) => this._byToken.get(match) ?? match);
+  },
+
+  /** rehydrate() every string in an object/array (returns a copy). */
+  rehydrateDeep(value) {
+    if (typeof value === "string") return this.rehydrate(value);
+    if (Array.isArray(value)) return value.map(v => this.rehydrateDeep(v));
+    if (value && typeof value === "object") {
+      const out = {};
+      for (const [k, v] of Object.entries(value)) out[k] = this.rehydrateDeep(v);
+      return out;
+    }
+    return value;
+  },
+
+  /**
+   * Known values of one kind, longest first (for replacing unlabeled
+   * mentions). "Smith, John" is also listed as "John Smith".
+   */
+  valuesOf(kind) {
+    const out = [];
+    for (const [token, value] of this._byToken) {
+      if (!token.startsWith(`[${kind}_`)) continue;
+      out.push({ token, value });
+      const lastFirst = kind === "PERSON" && value.match(/^([^,]+),\s*(.+)$/);
+      if (lastFirst) out.push({ token, value: `${lastFirst[2]} ${lastFirst[1]}` });
+    }
+    return out.sort((a, b) => b.value.length - a.value.length);
+  },
+
+  clear() {
+    this._byKey.clear();
+    this._byToken.clear();
+    this._counters = {};
+  },
+
+  // ── Helpers ────────────────────────────────────────────
+
+  /** Same person/ID regardless of case, spacing or "Last, First" order. */
+  _normalize(kind, value) {
+    let v = String(value).trim().toLowerCase().replace(/\s+/g, " ");
+    if (kind === "PERSON") {
+      const lastFirst = v.match(/^([^,]+),\s*(.+)$/);
+      if (lastFirst) v = `${lastFirst[2]} ${lastFirst[1]}`;
+    } else if (kind !== "EMAIL" && kind !== "ADDRESS") {
+      v = v.replace(/[^a-z0-9]/g, "");
+    }
+    return v;
+  },
+};
+
+window.PracticePilot = PracticePilot;
+})();
@@ -0,0 +1,191 @@
+// ============================================================
+// PracticePilot — Field Provenance
+// ============================================================
+// Records where each BenefitCard value came from so staff can
+// audit an extraction without re-reading the whole page.
+//
+// card.provenance = {
+//   "coverageTable.Crowns": {
+//     source: "parser" | "llm" | "manual",
+//     snippet: "Seq#003 Prosthodontics, Dental Crowns  50% / 50%",
+//     verified: true,     // the parser's / LLM's quote was found in the source
+//                         // text (false for a value-search best guess)
+//     at: ISO string,
+//     by: "Maria",        // manual edits only (see card-editor.js)
+//   },
+//   ...
+// }
+//
+// Snippets are cut from the REDACTED text, so they never hold
+// more PHI than was sent to the LLM.
+// ============================================================
+
+(function() {
+var PracticePilot = window.PracticePilot || {};
+
+PracticePilot.provenance = {
+
+  SOURCES: { PARSER: "parser", LLM: "llm", MANUAL: "manual" },
+
+  SOURCE_LABELS: {
+    parser: "Built-in parser",
+    llm: "AI extraction",
+    manual: "Manual edit",
+  },
+
+  // Scalar card fields that carry provenance. Coverage rows are
+  // addressed as "coverageTable.<category>".
+  FIELDS: [
+    "payer", "planName", "planType", "groupNumber",
+    "effective.start", "effective.end",
+    "deductible.individual", "deductible.family", "deductible.remaining",
+    "annualMax.individual", "annualMax.family", "annualMax.remaining",
+    "frequencies.prophy", "frequencies.exam", "frequencies.bwx",
+    "frequencies.fmx", "frequencies.pano", "frequencies.sealants", "frequencies.fluoride",
+  ],
+
+  // Words to look near when a value alone is ambiguous ("50" appears everywhere)
+  HINTS: {
+    "deductible.individual": /deductible/i,
+    "deductible.family": /deductible/i,
+    "deductible.remaining": /deductible|remaining/i,
+    "annualMax.individual": /max/i,
+    "annualMax.family": /max/i,
+    "annualMax.remaining": /remaining|max/i,
+    "frequencies.prophy": /prophy|cleaning/i,
+    "frequencies.exam": /exam|evaluation/i,
+    "frequencies.bwx": /bitewing|bwx/i,
+    "frequencies.fmx": /fmx|full\s*mouth|pano/i,
+    "frequencies.pano": /pano|fmx|full\s*mouth/i,
+    "frequencies.sealants": /sealant/i,
+    "frequencies.fluoride": /fluoride/i,
+  },
+
+  SNIPPET_MAX: 200,
+
+  // ── Card paths ─────────────────────────────────────────
+
+  /** Every field path on the card that currently has a value. */
+  paths(card) {
+    const paths = this.FIELDS.filter(p => this._present(this.valueAt(card, p)));
+    for (const row of card?.coverageTable || []) {
+      if (this._present(row.inNetwork)) paths.push(`coverageTable.${row.category}`);
+    }
+    return paths;
+  },
+
+  /** Resolve a field path to its value ("coverageTable.Crowns" → 50). */
+  valueAt(card, path) {
+    if (!card || !path) return null;
+    if (path.startsWith("coverageTable.")) {
+      const category = path.slice("coverageTable.".length);
+      return (card.coverageTable || []).find(r => r.category === category)?.inNetwork ?? null;
+    }
+    return path.split(".").reduce((obj, key) => obj?.[key], card) ?? null;
+  },
+
+  get(card, path) {
+    return card?.provenance?.[path] || null;
+  },
+
+  /** Record provenance for one field (e.g. after a manual edit). */
+  set(card, path, source, snippet = null, by = null) {
+    card.provenance = card.provenance || {};
+    card.provenance[path] = {
+      source,
+      snippet,
+      verified: snippet !== null,
+      at: new Date().toISOString(),
+      ...(by ? { by } : {}),
+    };
+  },
+
+  // ── Building ───────────────────────────────────────────
+
+  /**
+   * Build provenance for every populated field on a card.
+   * @param {Object} card - BenefitCard
+   * @param {string} text - the redacted text the values were read from
+   * @param {string|Function} source - source name, or path → source
+   * @param {Object} [evidence] - { path: quoted text } from parser / LLM
+   */
+  build(card, text, source, evidence = {}) {
+    const at = new Date().toISOString();
+    const prov = {};
+
+    for (const path of this.paths(card)) {
+      const quoted = evidence[path] || null;
+      const located = quoted ? this._locate(text, quoted) : null;
+      const snippet = located || this.findSnippet(text, this.valueAt(card, path), this._hintFor(path));
+
+      prov[path] = {
+        source: typeof source === "function" ? source(path) : source,
+        snippet,
+        verified: !!located,    // a value-search match is a guess, not evidence
+        at,
+      };
+    }
+    return prov;
+  },
+
+  /**
+   * Find the line of `text` that most plausibly holds `value`.
+   * Prefers lines that also match `hint`; returns null if the value
+   * doesn't appear at all.
+   */
+  findSnippet(text, value, hint = null) {
+    if (!text || !this._present(value)) return null;
+
+    const needles = this._needles(value);
+    const lines = text.split("\n").map(l => l.trim()).filter(Boolean);
+    const matches = lines.filter(l => needles.some(n => l.toLowerCase().includes(n)));
+    if (!matches.length) return null;
+
+    const best = (hint && matches.find(l => hint.test(l))) || matches[0];
+    return this._trim(best, needles);
+  },
+
+  /** Find an LLM/parser quote in the text, tolerating whitespace drift. */
+  _locate(text, quote) {
+    const norm = s => String(s).replace(/\s+/g, " ").trim().toLowerCase();
+    const q = norm(quote);
+    if (!q) return null;
+    return norm(text).includes(q) ? String(quote).replace(/\s+/g, " ").trim() : null;
+  },
+
+  /** Strings a value might appear as: 1500 → "1500", "1,500" */
+  _needles(value) {
+    const s = String(value).trim();
+    const needles = [s.toLowerCase()];
+    const n = parseFloat(s.replace(/[$,]/g, ""));
+    if (!isNaN(n) && /^[$\d,.\s]+$/.test(s)) {
+      needles.push(n.toLocaleString("en-US"), n.toLocaleString("en-US", { minimumFractionDigits: 2 }));
+      if (Number.isInteger(n)) needles.push(`${n}%`);
+    }
+    return [...new Set(needles.map(x => x.toLowerCase()))];
+  },
+
+  _hintFor(path) {
+    if (path.startsWith("coverageTable.")) {
+      const category = path.slice("coverageTable.".length).split(/[ ,&]/)[0];
+      return new RegExp(category.slice(0, 6), "i");
+    }
+    return this.HINTS[path] || null;
+  },
+
+  /** Cut long lines down to a window around the value. */
+  _trim(line, needles) {
+    if (line.length <= this.SNIPPET_MAX) return line;
+    const idx = needles.map(n => line.toLowerCase().indexOf(n)).find(i => i >= 0) ?? 0;
+    const start = Math.max(0, idx - this.SNIPPET_MAX / 2);
+    const cut = line.slice(start, start + this.SNIPPET_MAX);
+    return (start > 0 ? "…" : "") + cut + (start + this.SNIPPET_MAX < line.length ? "…" : "");
+  },
+
+  _present(v) {
+    return v !== null && v !== undefined && v !== "";
+  },
+};
+
+window.PracticePilot = PracticePilot;
+})();
@@ -0,0 +1,294 @@
+// ============================================================
+// PracticePilot — Retention Policy
+// ============================================================
+// Time-based purge of cached patient data, on top of the count
+// caps in storage.js (200 cards) and patientContext (100 patients):
+//
+//   contextDays  patient contexts + chat transcripts not updated
+//                in N days                       (default 180)
+//   cardDays     benefit cards verified more than N days ago
+//                                                 (default 365)
+//   planYear     benefit cards whose plan year has ended — the
+//                year containing the verification date, starting
+//                on the effective-date anniversary (Jan 1 when
+//                unknown), or the termination date if earlier
+//
+// Verification queues (pp:verifyQueue) are a day's work list and
+// are dropped QUEUE_DAYS after they were started.
+//
+// 0 days keeps data until the count caps evict it. The policy
+// lives in pp:settings (retentionContextDays, retentionCardDays,
+// retentionPlanYear).
+//
+// run() is called from background.js on a chrome.alarms schedule
+// and by the side panel on open/unlock. The service worker has no
+// encryption key, so keys encrypted by secureStore are skipped
+// there and purged the next time the side panel is unlocked.
+//
+// purgePatient() removes everything stored about one patient —
+// the banner's 🗑 action — including their verification queue item.
+//
+// Loaded with importScripts() by the service worker, so this file
+// uses `self`.
+// ============================================================
+
+(function() {
+var PracticePilot = self.PracticePilot || {};
+
+PracticePilot.retention = {
+
+  ALARM_NAME: "pp:retention",
+  PERIOD_MINUTES: 6 * 60,
+  STATUS_KEY: "pp:retentionStatus",   // { at, removed: { cards, contexts, chats }, skipped: [key] }
+
+  // Same keys as storage.KEYS / patientContext / verifyQueue — none of them load in the service worker
+  KEYS: {
+    SETTINGS: "pp:settings",
+    CARD_CACHE: "pp:cardCache",
+    LAST_CARD: "pp:lastBenefitCard",
+    CARD_HISTORY: "pp:cardHistory",
+    CONTEXTS: "pp:patientContexts",
+    CHATS: "pp:patientChats",
+    QUEUE: "pp:verifyQueue",
+  },
+
+  DEFAULTS: { contextDays: 180, cardDays: 365, planYear: false },
+
+  // patientContext.CHAT_RETENTION_DAYS, also applied here to transcripts nobody reopens
+  CHAT_DAYS: 30,
+
+  QUEUE_DAYS: 7,
+
+  _running: null,
+
+  // ── Schedule ───────────────────────────────────────────
+
+  /** Create the periodic alarm (service worker, on install/startup). */
+  async schedule() {
+    const existing = await chrome.alarms.get(this.ALARM_NAME);
+    if (!existing) {
+      await chrome.alarms.create(this.ALARM_NAME, { delayInMinutes: 1, periodInMinutes: this.PERIOD_MINUTES });
+    }
+  },
+
+  /** Settings → { contextDays, cardDays, planYear } */
+  async policy() {
+    const result = await chrome.storage.local.get(this.KEYS.SETTINGS);
+    const s = result[this.KEYS.SETTINGS] || {};
+    return {
+      contextDays: Number(s.retentionContextDays ?? this.DEFAULTS.contextDays) || 0,
+      cardDays: Number(s.retentionCardDays ?? this.DEFAULTS.cardDays) || 0,
+      planYear: !!(s.retentionPlanYear ?? this.DEFAULTS.planYear),
+    };
+  },
+
+  // ── Purge ──────────────────────────────────────────────
+
+  /**
+   * Apply the retention policy once. Concurrent calls share a run.
+   * @returns {Promise<{at: string, removed: {cards: number, contexts: number, chats: number}, skipped: string[]}>}
+   */
+  run(now = new Date()) {
+    if (!this._running) {
+      this._running = this._run(now).finally(() => { this._running = null; });
+    }
+    return this._running;
+  },
+
+  async _run(now) {
+    const policy = await this.policy();
+    const removed = { cards: 0, contexts: 0, chats: 0 };
+    const skipped = [];
+
+    const cardExpired = (card, verifiedAt) => this.cardExpired(card, verifiedAt, policy, now);
+    const daysAgo = (days) => new Date(now.getTime() - days * 86400000);
+
+    await this._update(this.KEYS.CARD_CACHE, skipped, (cache) => {
+      for (const [key, entry] of Object.entries(cache)) {
+        if (cardExpired(entry.card, entry.cachedAt)) { delete cache[key]; removed.cards++; }
+      }
+      return cache;
+    });
+
+    await this._update(this.KEYS.LAST_CARD, skipped, (card) => {
+      if (!cardExpired(card, card.capturedAt)) return card;
+      removed.cards++;
+      return undefined;
+    });
+
+    await this._update(this.KEYS.CARD_HISTORY, skipped, (history) => {
+      const kept = history.filter(card => !cardExpired(card, card.capturedAt));
+      removed.cards += history.length - kept.length;
+      return kept;
+    });
+
+    if (policy.contextDays) {
+      const cutoff = daysAgo(policy.contextDays);
+      await this._update(this.KEYS.CONTEXTS, skipped, (all) => {
+        for (const [key, ctx] of Object.entries(all)) {
+          if (new Date(ctx.lastUpdated || ctx.createdAt || 0) < cutoff) { delete all[key]; removed.contexts++; }
+        }
+        return all;
+      });
+    }
+
+    const chatDays = policy.contextDays ? Math.min(policy.contextDays, this.CHAT_DAYS) : this.CHAT_DAYS;
+    const chatCutoff = daysAgo(chatDays);
+    await this._update(this.KEYS.CHATS, skipped, (all) => {
+      for (const [key, transcript] of Object.entries(all)) {
+        const messages = (transcript.messages || []).filter(m => new Date(m.at) >= chatCutoff);
+        if (!messages.length) { delete all[key]; removed.chats++; }
+        else transcript.messages = messages;
+      }
+      return all;
+    });
+
+    await this._update(this.KEYS.QUEUE, skipped, (queue) =>
+      new Date(queue.createdAt) < daysAgo(this.QUEUE_DAYS) ? undefined : queue);
+
+    const status = { at: now.toISOString(), removed, skipped };
+    await chrome.storage.local.set({ [this.STATUS_KEY]: status });
+    return status;
+  },
+
+  /**
+   * Delete everything stored about one patient: cached cards
+   * (matched by name or subscriber ID), patient context and chat.
+   * @returns {Promise<number>} entries removed
+   */
+  async purgePatient({ name, subscriberId } = {}) {
+    const nameKey = this._patientKey(name);
+    const subKey = (subscriberId || "").trim().toLowerCase();
+    if (!nameKey && !subKey) return 0;
+
+    const matches = (card) => !!card && (
+      (nameKey && (card.patientName || "").trim().toLowerCase() === nameKey) ||
+      (subKey && (card.subscriberId || "").trim().toLowerCase() === subKey)
+    );
+    let count = 0;
+    const skipped = [];
+
+    await this._update(this.KEYS.CARD_CACHE, skipped, (cache) => {
+      for (const [key, entry] of Object.entries(cache)) {
+        if (matches(entry.card)) { delete cache[key]; count++; }
+      }
+      return cache;
+    });
+    await this._update(this.KEYS.LAST_CARD, skipped, (card) => {
+      if (!matches(card)) return card;
+      count++;
+      return undefined;
+    });
+    await this._update(this.KEYS.CARD_HISTORY, skipped, (history) => {
+      const kept = history.filter(card => !matches(card));
+      count += history.length - kept.length;
+      return kept;
+    });
+    for (const key of [this.KEYS.CONTEXTS, this.KEYS.CHATS]) {
+      await this._update(key, skipped, (all) => {
+        if (!nameKey) return all;
+        // Compare normalized — entries saved before keys were trimmed
+        for (const k of Object.keys(all)) {
+          if (this._patientKey(k) === nameKey) { delete all[k]; count++; }
+        }
+        return all;
+      });
+    }
+    await this._update(this.KEYS.QUEUE, skipped, (queue) => {
+      const items = queue.items.filter(i => this._patientKey(i.patientName) !== nameKey);
+      if (items.length === queue.items.length) return queue;
+      count += queue.items.length - items.length;
+      if (!items.length) return undefined;
+      if (!items.some(i => i.id === queue.current)) queue.current = items.find(i => i.status !== "done")?.id ?? null;
+      return { ...queue, items };
+    });
+
+    if (skipped.length) throw new Error("PracticePilot is locked — unlock it to delete patient data.");
+    return count;
+  },
+
+  // ── Plan year ──────────────────────────────────────────
+
+  /** True if the policy says this card should go. */
+  cardExpired(card, verifiedAt, policy, now = new Date()) {
+    if (!card) return false;
+    const verified = this._parseDate(verifiedAt || card.capturedAt);
+    if (!verified) return false;
+    if (policy.cardDays && now - verified > policy.cardDays * 86400000) return true;
+    if (policy.planYear) {
+      const end = this.planYearEnd(card, verified);
+      if (end && now >= end) return true;
+    }
+    return false;
+  },
+
+  /**
+   * First day after the plan year that contains `asOf`: the next
+   * effective-date anniversary (Jan 1 without one), or the day
+   * after the termination date if that comes first.
+   */
+  planYearEnd(card, asOf) {
+    const start = this._parseDate(card?.effective?.start);
+    const month = start ? start.getMonth() : 0;
+    const day = start ? start.getDate() : 1;
+
+    let end = new Date(asOf.getFullYear(), month, day);
+    if (end <= asOf) end = new Date(asOf.getFullYear() + 1, month, day);
+
+    const term = this._parseDate(card?.effective?.end);
+    if (term) {
+      const dayAfter = new Date(term.getFullYear(), term.getMonth(), term.getDate() + 1);
+      if (dayAfter < end) end = dayAfter;
+    }
+    return end;
+  },
+
+  // ── Helpers ────────────────────────────────────────────
+
+  /**
+   * Read `key`, let `fn` edit it, write back (or remove when fn
+   * returns undefined). Keys still locked by secureStore are
+   * recorded in `skipped` and left alone.
+   */
+  async _update(key, skipped, fn) {
+    const store = PracticePilot.secureStore;
+    let value;
+    try {
+      value = store ? await store.get(key) : (await chrome.storage.local.get(key))[key];
+    } catch (e) {
+      if (e.code !== "locked") throw e;
+      skipped.push(key);
+      return;
+    }
+    if (value == null) return;
+
+    const before = JSON.stringify(value);
+    const next = fn(value);
+    if (next === undefined) {
+      await chrome.storage.local.remove(key);
+    } else if (JSON.stringify(next) !== before) {
+      if (store) await store.set(key, next);
+      else await chrome.storage.local.set({ [key]: next });
+    }
+  },
+
+  /** Same as patientContext._key — contexts and chats are stored under it. */
+  _patientKey(name) {
+    return String(name || "").trim().toLowerCase();
+  },
+
+  /** "03/14/2025" / "2025-03-14" / ISO timestamp → Date */
+  _parseDate(v) {
+    if (!v) return null;
+    const s = String(v).trim();
+    const us = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2,4})$/);
+    if (us) return new Date(us[3].length === 2 ? 2000 + +us[3] : +us[3], +us[1] - 1, +us[2]);
+    const ymd = s.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (ymd) return new Date(+ymd[1], +ymd[2] - 1, +ymd[3]);
+    const d = new Date(s);
+    return isNaN(d.getTime()) ? null : d;
+  },
+};
+
+self.PracticePilot = PracticePilot;
+})();
@@ -0,0 +1,291 @@
+// ============================================================
+// PracticePilot — Encrypted Storage
+// ============================================================
+// Optional encryption at rest for the chrome.storage.local keys
+// that hold patient data or credentials (SECURE_KEYS). Staff set
+// a practice passphrase in Settings; from then on those keys are
+// stored as AES-GCM envelopes:
+//
+//   { _enc: 1, iv: "<base64>", data: "<base64 ciphertext>" }
+//
+// The key is derived with PBKDF2 (SHA-256, ITERATIONS) from the
+// passphrase and a random salt kept under META_KEY, next to an
+// encrypted check value used to verify the passphrase. The key
+// itself is never stored: it lives in memory until lock() —
+// called by the side panel on auto-lock, or when the panel closes.
+//
+// storage.js, patientContext, verifyQueue and llmProvider read
+// and write the secure keys through get()/set()/remove(). With
+// encryption off these are plain chrome.storage.local calls;
+// while locked they throw SecureStoreError "locked" rather than
+// return empty data (a caller that saw {} would write it back and
+// wipe the cache).
+//
+// Settings, the fee schedule and the audit log hold no patient
+// data and stay unencrypted.
+//
+// Also loaded by the service worker for retention purges. It never
+// has the key there, so encrypted keys read as "locked".
+// ============================================================
+
+(function() {
+var PracticePilot = self.PracticePilot || {};
+
+class SecureStoreError extends Error {
+  constructor(message, { code } = {}) {
+    super(message);
+    this.name = "SecureStoreError";
+    this.code = code;          // locked | bad_passphrase | not_enabled | already_enabled
+  }
+}
+
+PracticePilot.secureStore = {
+
+  SecureStoreError,
+
+  META_KEY: "pp:secureStore",
+  ITERATIONS: 310000,
+  MIN_PASSPHRASE: 8,
+  CHECK_VALUE: "practicepilot",
+
+  // Keys encrypted once a passphrase is set
+  SECURE_KEYS: [
+    "pp:lastBenefitCard",
+    "pp:cardHistory",
+    "pp:cardCache",
+    "pp:patientContexts",
+    "pp:patientChats",
+    "pp:verifyQueue",
+    "pp:llmConfig",
+  ],
+
+  // () → void; set by the side panel to show the lock screen
+  onLock: null,
+
+  _key: null,
+  _meta: undefined,           // cached META_KEY value; undefined = not read yet
+  _autoLockMs: 0,
+  _timer: null,
+
+  // ── State ──────────────────────────────────────────────
+
+  /** True once a passphrase has been set up. */
+  async isEnabled() {
+    return !!(await this._getMeta());
+  },
+
+  /** True when encryption is on and the key isn't in memory. */
+  async isLocked() {
+    return !this._key && (await this.isEnabled());
+  },
+
+  // ── Passphrase ─────────────────────────────────────────
+
+  /**
+   * Turn encryption on: derive a key from `passphrase` and
+   * re-write every secure key that holds plaintext.
+   */
+  async setup(passphrase) {
+    this._checkPassphrase(passphrase);
+    if (await this.isEnabled()) throw new SecureStoreError("Encryption is already on.", { code: "already_enabled" });
+    await this._encryptAll(passphrase, await chrome.storage.local.get(this.SECURE_KEYS));
+  },
+
+  /** Derive the key from `passphrase`; throws "bad_passphrase" if it's wrong. */
+  async unlock(passphrase) {
+    const meta = await this._getMeta();
+    if (!meta) throw new SecureStoreError("Encryption is not set up.", { code: "not_enabled" });
+
+    const key = await this._deriveKey(passphrase, this._fromBase64(meta.salt), meta.iterations);
+    try {
+      if ((await this._decrypt(key, meta.check)) !== this.CHECK_VALUE) throw new Error("check mismatch");
+    } catch (_) {
+      throw new SecureStoreError("Wrong passphrase.", { code: "bad_passphrase" });
+    }
+    this._key = key;
+    this.touch();
+  },
+
+  /** Forget the key. Encrypted data stays on disk. */
+  lock() {
+    if (!this._key) return;
+    this._key = null;
+    clearTimeout(this._timer);
+    this._timer = null;
+    if (this.onLock) this.onLock();
+  },
+
+  /** Re-encrypt everything under a new passphrase. */
+  async changePassphrase(current, next) {
+    this._checkPassphrase(next);
+    await this._encryptAll(next, await this._readAll(current));
+  },
+
+  /** Turn encryption off, writing every secure key back as plaintext. */
+  async disable(passphrase) {
+    const values = await this._readAll(passphrase);
+    await chrome.storage.local.set(values);
+    await chrome.storage.local.remove(this.META_KEY);
+    this._meta = null;
+    this._key = null;
+    clearTimeout(this._timer);
+  },
+
+  /**
+   * Forgotten passphrase: delete the encrypted data and the
+   * passphrase. Patient caches and the API key are lost.
+   */
+  async reset() {
+    await chrome.storage.local.remove([...this.SECURE_KEYS, this.META_KEY]);
+    this._meta = null;
+    this._key = null;
+    clearTimeout(this._timer);
+  },
+
+  // ── Auto-lock ──────────────────────────────────────────
+
+  /** Lock after `minutes` without touch(); 0 turns auto-lock off. */
+  setAutoLock(minutes) {
+    this._autoLockMs = Math.max(0, Number(minutes) || 0) * 60 * 1000;
+    this.touch();
+  },
+
+  /** Record activity — restarts the auto-lock countdown. */
+  touch() {
+    clearTimeout(this._timer);
+    this._timer = null;
+    if (!this._key || !this._autoLockMs) return;
+    this._timer = setTimeout(() => this.lock(), this._autoLockMs);
+  },
+
+  // ── Storage ────────────────────────────────────────────
+
+  /** Value stored under `key`, decrypted if needed; undefined if unset. */
+  async get(key) {
+    const result = await chrome.storage.local.get(key);
+    const value = result[key];
+    if (!this._isEnvelope(value)) return value;
+    return this._decrypt(this._requireKey(), value);
+  },
+
+  async set(key, value) {
+    if (this.SECURE_KEYS.includes(key) && (await this.isEnabled())) {
+      value = await this._encrypt(this._requireKey(), value);
+    }
+    await chrome.storage.local.set({ [key]: value });
+  },
+
+  async remove(keys) {
+    await chrome.storage.local.remove(keys);
+  },
+
+  // ── Helpers ────────────────────────────────────────────
+
+  async _getMeta() {
+    if (this._meta === undefined) {
+      const result = await chrome.storage.local.get(this.META_KEY);
+      this._meta = result[this.META_KEY] || null;
+    }
+    return this._meta;
+  },
+
+  _requireKey() {
+    if (!this._key) throw new SecureStoreError("PracticePilot is locked.", { code: "locked" });
+    return this._key;
+  },
+
+  _checkPassphrase(passphrase) {
+    if (String(passphrase || "").length < this.MIN_PASSPHRASE) {
+      throw new SecureStoreError(`Use at least ${this.MIN_PASSPHRASE} characters.`, { code: "bad_passphrase" });
+    }
+  },
+
+  /**
+   * Encrypt `values` ({ key: plaintext }) under a fresh salt and key
+   * derived from `passphrase`; written with the new META_KEY in one set().
+   */
+  async _encryptAll(passphrase, values) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await this._deriveKey(passphrase, salt, this.ITERATIONS);
+    const meta = {
+      version: 1,
+      salt: this._toBase64(salt),
+      iterations: this.ITERATIONS,
+      check: await this._encrypt(key, this.CHECK_VALUE),
+    };
+
+    const encrypted = {};
+    for (const [k, value] of Object.entries(values)) {
+      encrypted[k] = this._isEnvelope(value) ? value : await this._encrypt(key, value);
+    }
+    await chrome.storage.local.set({ ...encrypted, [this.META_KEY]: meta });
+
+    this._meta = meta;
+    this._key = key;
+    this.touch();
+  },
+
+  /** Every secure key decrypted with `passphrase`, as { key: value }. */
+  async _readAll(passphrase) {
+    await this.unlock(passphrase);
+    const stored = await chrome.storage.local.get(this.SECURE_KEYS);
+    const values = {};
+    for (const [k, value] of Object.entries(stored)) {
+      values[k] = this._isEnvelope(value) ? await this._decrypt(this._key, value) : value;
+    }
+    return values;
+  },
+
+  async _deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+      "raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveKey"]
+    );
+    return crypto.subtle.deriveKey(
+      { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+      material,
+      { name: "AES-GCM", length: 256 },
+      false,
+      ["encrypt", "decrypt"]
+    );
+  },
+
+  async _encrypt(key, value) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt(
+      { name: "AES-GCM", iv }, key, new TextEncoder().encode(JSON.stringify(value))
+    );
+    return { _enc: 1, iv: this._toBase64(iv), data: this._toBase64(new Uint8Array(data)) };
+  },
+
+  async _decrypt(key, envelope) {
+    const data = await crypto.subtle.decrypt(
+      { name: "AES-GCM", iv: this._fromBase64(envelope.iv) }, key, this._fromBase64(envelope.data)
+    );
+    return JSON.parse(new TextDecoder().decode(data));
+  },
+
+  _isEnvelope(value) {
+    return !!value && typeof value === "object" && value._enc === 1 && typeof value.data === "string";
+  },
+
+  _toBase64(bytes) {
+    let binary = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  },
+
+  _fromBase64(text) {
+    return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+  },
+};
+
+// Another context (side panel, service worker) turned encryption on or off
+chrome.storage.onChanged.addListener((changes, area) => {
+  const store = PracticePilot.secureStore;
+  if (area === "local" && changes[store.META_KEY]) store._meta = changes[store.META_KEY].newValue || null;
+});
+
+self.PracticePilot = PracticePilot;
+})();
@@ -3,6 +3,8 @@
 // ============================================================
 // Uses chrome.storage.local to persist BenefitCards and settings.
 // No PHI is stored — only task metadata, hashed refs, and cards.
+// Card keys go through secureStore (secure-store.js), so they are
+// encrypted when a practice passphrase is set.
 // ============================================================
 
 (function() {
@@ -15,6 +17,7 @@ PracticePilot.storage = {
     CARD_HISTORY: "pp:cardHistory",
     CARD_CACHE: "pp:cardCache",       // patient-keyed cache
     SETTINGS: "pp:settings",
+    FEE_SCHEDULE: "pp:feeSchedule",   // UCR + per-carrier contracted fees (see fee-schedule.js)
   },
 
   // ---- Patient Cache Key ----
@@ -79,7 +82,7 @@ PracticePilot.storage = {
       for (const k of toRemove) delete cache[k];
     }
 
-    await chrome.storage.local.set({ [this.KEYS.CARD_CACHE]: cache });
+    await PracticePilot.secureStore.set(this.KEYS.CARD_CACHE, cache);
   },
 
   /**
@@ -89,7 +92,12 @@ PracticePilot.storage = {
   async getCachedCard(cacheKey) {
     if (!cacheKey) return null;
     const cache = await this._getCache();
-    return cache[cacheKey] || null;
+    if (!cache[cacheKey]) return null;
+
+    if (this._migrateEntry(cache[cacheKey])) {
+      await PracticePilot.secureStore.set(this.KEYS.CARD_CACHE, cache);
+    }
+    return cache[cacheKey];
   },
 
   /**
@@ -97,10 +105,27 @@ PracticePilot.storage = {
    */
   async getAllCachedCards() {
     const cache = await this._getCache();
+
+    let changed = false;
+    for (const entry of Object.values(cache)) {
+      if (this._migrateEntry(entry)) changed = true;
+    }
+    if (changed) await PracticePilot.secureStore.set(this.KEYS.CARD_CACHE, cache);
+
     return Object.values(cache)
       .sort((a, b) => new Date(b.cachedAt) - new Date(a.cachedAt));
   },
 
+  /**
+   * Upgrade a cache entry's card to the current schema in place.
+   * Returns true if the entry changed and should be written back.
+   */
+  _migrateEntry(entry) {
+    const { card, migrated } = PracticePilot.normalize.migrate(entry.card);
+    if (migrated) entry.card = card;
+    return migrated;
+  },
+
   /**
    * Remove a specific cached card by key.
    */
@@ -108,44 +133,41 @@ PracticePilot.storage = {
     if (!cacheKey) return;
     const cache = await this._getCache();
     delete cache[cacheKey];
-    await chrome.storage.local.set({ [this.KEYS.CARD_CACHE]: cache });
+    await PracticePilot.secureStore.set(this.KEYS.CARD_CACHE, cache);
   },
 
   /**
    * Clear entire card cache.
    */
   async clearCardCache() {
-    await chrome.storage.local.remove(this.KEYS.CARD_CACHE);
+    await PracticePilot.secureStore.remove(this.KEYS.CARD_CACHE);
   },
 
   async _getCache() {
-    const result = await chrome.storage.local.get(this.KEYS.CARD_CACHE);
-    return result[this.KEYS.CARD_CACHE] ?? {};
+    return (await PracticePilot.secureStore.get(this.KEYS.CARD_CACHE)) ?? {};
   },
 
   // ---- Benefit Card (last + history) ----
 
   async setLastBenefitCard(card) {
-    await chrome.storage.local.set({ [this.KEYS.LAST_CARD]: card });
+    await PracticePilot.secureStore.set(this.KEYS.LAST_CARD, card);
     // Also append to history (keep last 50)
     const history = await this.getCardHistory();
     history.unshift(card);
     if (history.length > 50) history.length = 50;
-    await chrome.storage.local.set({ [this.KEYS.CARD_HISTORY]: history });
+    await PracticePilot.secureStore.set(this.KEYS.CARD_HISTORY, history);
   },
 
   async getLastBenefitCard() {
-    const result = await chrome.storage.local.get(this.KEYS.LAST_CARD);
-    return result[this.KEYS.LAST_CARD] ?? null;
+    return (await PracticePilot.secureStore.get(this.KEYS.LAST_CARD)) ?? null;
   },
 
   async getCardHistory() {
-    const result = await chrome.storage.local.get(this.KEYS.CARD_HISTORY);
-    return result[this.KEYS.CARD_HISTORY] ?? [];
+    return (await PracticePilot.secureStore.get(this.KEYS.CARD_HISTORY)) ?? [];
   },
 
   async clearCards() {
-    await chrome.storage.local.remove([this.KEYS.LAST_CARD, this.KEYS.CARD_HISTORY]);
+    await PracticePilot.secureStore.remove([this.KEYS.LAST_CARD, this.KEYS.CARD_HISTORY]);
   },
 
   // ---- Settings ----
@@ -156,6 +178,15 @@ PracticePilot.storage = {
       noteFormat: "standard",     // standard | compact | detailed
       autoDetect: true,           // auto-detect page types
       showOverlay: true,          // show sidebar overlay on supported pages
+      staffName: "",              // recorded on manual benefit corrections
+      phiMode: "tokenize",        // tokenize | redact (see phi-redactor.js)
+      reviewBeforeSend: false,    // show redacted text before LLM calls (see audit-log.js)
+      phiDetectors: {},           // { detectorId: false } switches optional PHI detectors off
+      practiceProviders: [],      // provider names redacted from page text
+      autoLockMinutes: 15,        // lock after inactivity when encryption is on (see secure-store.js)
+      retentionContextDays: 180,  // purge patient contexts/chats idle this long (see retention.js)
+      retentionCardDays: 365,     // purge cards verified this long ago; 0 = count cap only
+      retentionPlanYear: false,   // also purge cards once their plan year has ended
     };
   },
 
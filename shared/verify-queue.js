@@ -0,0 +1,147 @@
+// ============================================================
+// PracticePilot — Verification Queue
+// ============================================================
+// Batch pre-verification: a list of patients (from the schedule
+// huddle or a pasted list) worked through one at a time. Each
+// item moves through
+//
+//   not_started → captured → extracted ─┬→ done
+//                                       └→ needs_review → done
+//
+// captured = page text read, extracted = BenefitCard cached with
+// nothing to check, needs_review = missing fields, a coverage drop,
+// a parser fallback or a different patient on the page. Staff
+// mark items done; the queue then moves on to the next one.
+//
+// One queue at a time, in pp:verifyQueue (through secureStore —
+// it holds patient names). The side panel drives capture and
+// extraction; this module only keeps the state.
+// ============================================================
+
+(function() {
+var PracticePilot = window.PracticePilot || {};
+
+PracticePilot.verifyQueue = {
+
+  STORAGE_KEY: "pp:verifyQueue",
+
+  STATUSES: ["not_started", "captured", "extracted", "needs_review", "done"],
+  LABELS: {
+    not_started: "Not started",
+    captured: "Captured",
+    extracted: "Extracted",
+    needs_review: "Needs review",
+    done: "Done",
+  },
+
+  // ── Build ──────────────────────────────────────────────
+
+  /**
+   * New queue from [{ patientName, time?, codes? }], in the order given.
+   * @param {{source: "schedule"|"list", date?: string}} meta
+   */
+  create(patients, { source, date = null } = {}) {
+    const items = patients
+      .filter(p => p.patientName)
+      .map((p, i) => ({
+        id: i + 1,
+        patientName: p.patientName,
+        time: p.time || null,
+        codes: p.codes || [],
+        status: "not_started",
+        payer: null,
+        cacheKey: null,
+        note: null,
+        updatedAt: null,
+      }));
+    return { createdAt: new Date().toISOString(), source, date, current: items.length ? 1 : null, items };
+  },
+
+  /** Queue from scheduleParser.parseText() output. */
+  fromSchedule(schedule) {
+    return this.create(schedule.appointments, { source: "schedule", date: schedule.date });
+  },
+
+  /**
+   * Patients from a pasted list — one per line, optionally with a
+   * time before and anything after a tab, "  " or " - ":
+   *   "8:00 AM  Smith, John  Delta Dental"  →  { time, patientName: "Smith, John" }
+   */
+  parseList(text) {
+    const { TIME_START: time, NOT_NAMES } = PracticePilot.scheduleParser;
+    const patients = [];
+    for (let line of String(text || "").split("\n")) {
+      line = line.trim();
+      if (!line) continue;
+      const t = line.match(time);
+      if (t) line = line.slice(t[0].length).replace(/^\s*(?:-|–|to)\s*\d{1,2}:\d{2}\s*([ap]\.?m\.?)?/i, "").trim();
+      const name = line.split(/\t| {2,}|\s[|·•–-]\s/)[0].replace(/\([^)]*\)/g, "").trim();
+      if (!name || /\d/.test(name) || NOT_NAMES.test(name)) continue;   // lunch, blocked time
+      patients.push({ patientName: name, time: t ? t[0].trim() : null, codes: line.match(/\bD\d{4}\b/g) || [] });
+    }
+    return patients;
+  },
+
+  // ── State ──────────────────────────────────────────────
+
+  item(queue, id) {
+    return queue?.items.find(i => i.id === id) || null;
+  },
+
+  currentItem(queue) {
+    return this.item(queue, queue?.current);
+  },
+
+  /** Patch an item and stamp updatedAt. */
+  update(queue, id, patch) {
+    const item = this.item(queue, id);
+    if (item) Object.assign(item, patch, { updatedAt: new Date().toISOString() });
+    return item;
+  },
+
+  /**
+   * Move to the next item that isn't done (wrapping to the start).
+   * @returns {Object|null} the new current item, null when all are done
+   */
+  advance(queue) {
+    const items = queue.items;
+    const at = Math.max(0, items.findIndex(i => i.id === queue.current));
+    for (let step = 1; step <= items.length; step++) {
+      const next = items[(at + step) % items.length];
+      if (next.status !== "done") {
+        queue.current = next.id;
+        return next;
+      }
+    }
+    queue.current = null;
+    return null;
+  },
+
+  /** { total, done, byStatus: { not_started: n, … } } */
+  progress(queue) {
+    const byStatus = Object.fromEntries(this.STATUSES.map(s => [s, 0]));
+    for (const item of queue?.items || []) byStatus[item.status]++;
+    return { total: queue?.items.length || 0, done: byStatus.done, byStatus };
+  },
+
+  isComplete(queue) {
+    return !!queue?.items.length && queue.items.every(i => i.status === "done");
+  },
+
+  // ── Storage ────────────────────────────────────────────
+
+  async load() {
+    return (await PracticePilot.secureStore.get(this.STORAGE_KEY)) ?? null;
+  },
+
+  async save(queue) {
+    await PracticePilot.secureStore.set(this.STORAGE_KEY, queue);
+  },
+
+  async clear() {
+    await PracticePilot.secureStore.remove(this.STORAGE_KEY);
+  },
+};
+
+window.PracticePilot = PracticePilot;
+})();
@@ -26,12 +26,16 @@
   let isChatting = false;
   let activeTabId = null;
   let isScanning = false;
-  let pendingScanText = null;
+  let pendingScan = null;            // { pageText, structuredText } queued while a scan runs
   let lastSectionsDetected = [];
   let activeView = "actions";        // "actions" | "benefits"
   let cachedActionsHTML = null;       // so we can switch back without re-rendering
   let cachedBenefitsHTML = null;
   let chatPatientName = null;         // whose context is currently loaded in chat
+  let chatAbort = null;               // AbortController for the streaming reply
+  let chatSubtitle = null;            // insurance label shown beside the chat patient
+  const chatHistories = new Map();    // patient key → [{ role, content, at }], seeded from storage
+  let estimateFees = {};              // CDT code → office fee typed into the cost estimate
 
   // ── DOM refs ────────────────────────────────────────────
 
@@ -39,6 +43,8 @@
   const badgeEl = document.getElementById("pp-page-badge");
   const backBtn = document.getElementById("pp-back-btn");
   const settingsOverlay = document.getElementById("pp-settings-overlay");
+  const reviewOverlay = document.getElementById("pp-review-overlay");
+  const lockOverlay = document.getElementById("pp-lock-overlay");
   const patientBanner = document.getElementById("pp-patient-banner");
   const patientNameEl = document.getElementById("pp-patient-name");
   const patientSubEl = document.getElementById("pp-patient-sub");
@@ -50,12 +56,7 @@
 
   // ── Settings ────────────────────────────────────────────
 
-  const STORAGE_KEY = "pp:llmConfig";
-  const DEFAULTS = {
-    anthropic: { model: "claude-sonnet-4-20250514", placeholder: "sk-ant-…" },
-    openai: { model: "gpt-4o-mini", placeholder: "sk-…" },
-    custom: { model: "", placeholder: "API key" },
-  };
+  const PROVIDERS = PP.llmProvider.PROVIDERS;
 
   function initSettings() {
     document.getElementById("pp-settings-btn").addEventListener("click", openSettings);
@@ -63,36 +64,77 @@
     document.getElementById("pp-save-settings").addEventListener("click", saveSettings);
     document.getElementById("pp-test-connection").addEventListener("click", testConnection);
     document.getElementById("pp-provider").addEventListener("change", onProviderChange);
+    document.getElementById("pp-fee-import").addEventListener("click", () => document.getElementById("pp-fee-file").click());
+    document.getElementById("pp-fee-file").addEventListener("change", importFeeSchedule);
+    document.getElementById("pp-fee-export").addEventListener("click", exportFeeSchedule);
+    document.getElementById("pp-staff-name").addEventListener("change", e => saveStaffName(e.target.value));
+    document.getElementById("pp-phi-mode").addEventListener("change", e => savePhiMode(e.target.value));
+    document.getElementById("pp-review-mode").addEventListener("change", e => saveReviewMode(e.target.value));
+    document.getElementById("pp-phi-detectors").addEventListener("change", e => savePhiDetector(e.target.value, e.target.checked));
+    document.getElementById("pp-practice-providers").addEventListener("change", e => savePracticeProviders(e.target.value));
+    document.getElementById("pp-audit-export").addEventListener("click", exportAuditLog);
+    document.getElementById("pp-audit-clear").addEventListener("click", clearAuditLog);
+
+    document.getElementById("pp-secure-enable").addEventListener("click", enableEncryption);
+    document.getElementById("pp-secure-lock").addEventListener("click", () => { closeSettings(); PP.secureStore.lock(); });
+    document.getElementById("pp-secure-change").addEventListener("click", changePassphrase);
+    document.getElementById("pp-secure-disable").addEventListener("click", disableEncryption);
+    document.getElementById("pp-auto-lock").addEventListener("change", e => saveAutoLock(e.target.value));
+    document.getElementById("pp-retention-contexts").addEventListener("change", saveRetention);
+    document.getElementById("pp-retention-cards").addEventListener("change", saveRetention);
+    document.getElementById("pp-retention-plan-year").addEventListener("change", saveRetention);
+    document.getElementById("pp-retention-run").addEventListener("click", purgeNow);
 
     if (backBtn) {
       backBtn.addEventListener("click", () => {
-        // Reset patient state and return to idle / recent patients
-        currentPatientCtx = null;
-        currentCard = null;
-        cardFromCache = false;
-        lastPatientName = null;
-        lastSectionsDetected = [];
-        cachedActionsHTML = null;
-        cachedBenefitsHTML = null;
-        PP.llmContextExtractor?.clearCache();
-        clearBanner();
-        activeView = "actions";
-        updateViewTabs();
-        renderIdle();
+        // Return to the huddle on schedule pages, else idle / recent patients
+        resetPatientState();
+        if (currentPageType === "schedule" && lastScheduleText) showHuddle(lastScheduleText);
+        else renderIdle();
       });
     }
   }
 
+  /** Forget the patient on screen (back button, lock). */
+  function resetPatientState() {
+    currentPatientCtx = null;
+    currentCard = null;
+    cardFromCache = false;
+    lastPatientName = null;
+    lastSectionsDetected = [];
+    cachedActionsHTML = null;
+    cachedBenefitsHTML = null;
+    PP.llmContextExtractor?.clearCache();
+    clearBanner();
+    activeView = "actions";
+    updateViewTabs();
+  }
+
   async function openSettings() {
-    const result = await chrome.storage.local.get(STORAGE_KEY);
-    const config = result[STORAGE_KEY] || {};
-    const provider = config.provider || "anthropic";
+    const config = await PP.llmProvider.getConfig();
+    const provider = PROVIDERS[config.provider] ? config.provider : "anthropic";
 
     document.getElementById("pp-provider").value = provider;
     document.getElementById("pp-api-key").value = config.apiKey || "";
-    document.getElementById("pp-model").value = config.model || DEFAULTS[provider]?.model || "";
+    document.getElementById("pp-api-key").placeholder = PROVIDERS[provider].keyPlaceholder;
+    document.getElementById("pp-model").value = config.model || PROVIDERS[provider].defaultModel;
     document.getElementById("pp-base-url").value = config.baseUrl || "";
-    document.getElementById("pp-base-url-field").style.display = provider === "custom" ? "" : "none";
+    showBaseUrlField(provider);
+    const settings = await PP.storage.getSettings();
+    document.getElementById("pp-staff-name").value = settings.staffName || "";
+    document.getElementById("pp-phi-mode").value = settings.phiMode === "redact" ? "redact" : "tokenize";
+    document.getElementById("pp-review-mode").value = settings.reviewBeforeSend ? "on" : "off";
+    document.getElementById("pp-practice-providers").value = (settings.practiceProviders || []).join("\n");
+    renderPhiDetectors(settings.phiDetectors || {});
+    document.getElementById("pp-auto-lock").value = String(settings.autoLockMinutes ?? 15);
+    await renderSecureStatus();
+    const policy = await PP.retention.policy();
+    document.getElementById("pp-retention-contexts").value = String(policy.contextDays);
+    document.getElementById("pp-retention-cards").value = String(policy.cardDays);
+    document.getElementById("pp-retention-plan-year").checked = policy.planYear;
+    renderRetentionStatus();
+    renderFeeSummary();
+    renderAuditSummary();
 
     settingsOverlay.style.display = "flex";
   }
@@ -103,10 +145,18 @@
 
   function onProviderChange() {
     const provider = document.getElementById("pp-provider").value;
-    const def = DEFAULTS[provider] || DEFAULTS.anthropic;
-    document.getElementById("pp-model").value = def.model;
-    document.getElementById("pp-api-key").placeholder = def.placeholder;
-    document.getElementById("pp-base-url-field").style.display = provider === "custom" ? "" : "none";
+    const def = PROVIDERS[provider] || PROVIDERS.anthropic;
+    document.getElementById("pp-model").value = def.defaultModel;
+    document.getElementById("pp-api-key").placeholder = def.keyPlaceholder;
+    showBaseUrlField(provider);
+  }
+
+  /** Base URL is only editable for custom and local providers. */
+  function showBaseUrlField(provider) {
+    const def = PROVIDERS[provider] || PROVIDERS.anthropic;
+    document.getElementById("pp-base-url-field").style.display = def.configurableUrl ? "" : "none";
+    document.getElementById("pp-base-url").placeholder = def.baseUrl || "https://api.openai.com/v1";
+    document.getElementById("pp-local-hint").style.display = def.localOnly ? "" : "none";
   }
 
   async function saveSettings() {
@@ -118,8 +168,8 @@
       maxTokens: 4096,
       temperature: 0,
     };
-    if (!config.apiKey) { showSettingsMsg("error", "Please enter an API key."); return; }
-    await chrome.storage.local.set({ [STORAGE_KEY]: config });
+    if (!PP.llmProvider.isConfigured(config)) { showSettingsMsg("error", PP.llmProvider.configProblem(config)); return; }
+    await PP.llmProvider.setConfig(config);
     showSettingsMsg("success", "Settings saved!");
   }
 
@@ -130,7 +180,7 @@
       model: document.getElementById("pp-model").value.trim(),
       baseUrl: document.getElementById("pp-base-url").value.trim(),
     };
-    if (!config.apiKey) { showSettingsMsg("error", "Enter an API key first."); return; }
+    if (!PP.llmProvider.isConfigured(config)) { showSettingsMsg("error", PP.llmProvider.configProblem(config)); return; }
 
     const btn = document.getElementById("pp-test-connection");
     btn.disabled = true;
@@ -149,6 +199,45 @@
     btn.textContent = "Test Connection";
   }
 
+  async function savePhiMode(mode) {
+    const settings = await PP.storage.getSettings();
+    settings.phiMode = mode === "redact" ? "redact" : "tokenize";
+    await PP.storage.setSettings(settings);
+  }
+
+  /** Checkbox per optional PHI detector (phi-detectors.js); on unless switched off. */
+  function renderPhiDetectors(switches) {
+    document.getElementById("pp-phi-detectors").innerHTML = PP.phiDetectors.optional().map(d => `
+      <label class="pp-check">
+        <input type="checkbox" value="${escapeHTML(d.id)}" ${switches[d.id] === false ? "" : "checked"} />
+        <span>${escapeHTML(d.label)}</span>
+      </label>`).join("");
+  }
+
+  async function savePhiDetector(id, enabled) {
+    const settings = await PP.storage.getSettings();
+    settings.phiDetectors = { ...(settings.phiDetectors || {}), [id]: !!enabled };
+    await PP.storage.setSettings(settings);
+  }
+
+  async function savePracticeProviders(text) {
+    const settings = await PP.storage.getSettings();
+    settings.practiceProviders = String(text || "").split("\n").map(s => s.trim()).filter(Boolean);
+    await PP.storage.setSettings(settings);
+  }
+
+  async function saveReviewMode(mode) {
+    const settings = await PP.storage.getSettings();
+    settings.reviewBeforeSend = mode === "on";
+    await PP.storage.setSettings(settings);
+  }
+
+  async function saveStaffName(name) {
+    const settings = await PP.storage.getSettings();
+    settings.staffName = String(name || "").trim();
+    await PP.storage.setSettings(settings);
+  }
+
   function showSettingsMsg(type, text) {
     const el = document.getElementById("pp-settings-msg");
     el.className = "pp-settings-msg " + type;
@@ -157,23 +246,457 @@
     setTimeout(() => { el.style.display = "none"; }, 4000);
   }
 
+  // ── Encryption ──────────────────────────────────────────
+
+  /** Off: new passphrase + Turn On. On: current passphrase + lock / change / turn off. */
+  async function renderSecureStatus() {
+    const enabled = await PP.secureStore.isEnabled();
+    document.getElementById("pp-secure-status").textContent = enabled
+      ? "On — patient caches, chats and the API key are encrypted."
+      : "Off — patient caches, chats and the API key are stored unencrypted.";
+    document.getElementById("pp-secure-current").style.display = enabled ? "" : "none";
+    document.getElementById("pp-secure-pass").placeholder = enabled ? "New passphrase (to change it)" : "Practice passphrase (8+ characters)";
+    document.getElementById("pp-secure-confirm").placeholder = enabled ? "Confirm new passphrase" : "Confirm passphrase";
+    document.getElementById("pp-secure-enable").style.display = enabled ? "none" : "";
+    for (const id of ["pp-secure-lock", "pp-secure-change", "pp-secure-disable"]) {
+      document.getElementById(id).style.display = enabled ? "" : "none";
+    }
+    for (const id of ["pp-secure-current", "pp-secure-pass", "pp-secure-confirm"]) {
+      document.getElementById(id).value = "";
+    }
+  }
+
+  /** New passphrase from the two fields, or null (with a message) if they don't match. */
+  function newPassphrase() {
+    const pass = document.getElementById("pp-secure-pass").value;
+    if (pass !== document.getElementById("pp-secure-confirm").value) {
+      showSettingsMsg("error", "Passphrases don't match.");
+      return null;
+    }
+    return pass;
+  }
+
+  async function enableEncryption() {
+    const pass = newPassphrase();
+    if (pass === null) return;
+    try {
+      await PP.secureStore.setup(pass);
+      await renderSecureStatus();
+      showSettingsMsg("success", "Encryption on. Keep the passphrase somewhere safe — it can't be recovered.");
+    } catch (e) {
+      showSettingsMsg("error", e.message);
+    }
+  }
+
+  async function changePassphrase() {
+    const pass = newPassphrase();
+    if (pass === null) return;
+    try {
+      await PP.secureStore.changePassphrase(document.getElementById("pp-secure-current").value, pass);
+      await renderSecureStatus();
+      showSettingsMsg("success", "Passphrase changed.");
+    } catch (e) {
+      showSettingsMsg("error", e.message);
+    }
+  }
+
+  async function disableEncryption() {
+    if (!confirm("Turn encryption off? Patient caches and the API key will be stored unencrypted.")) return;
+    try {
+      await PP.secureStore.disable(document.getElementById("pp-secure-current").value);
+      await renderSecureStatus();
+      showSettingsMsg("success", "Encryption off.");
+    } catch (e) {
+      showSettingsMsg("error", e.message);
+    }
+  }
+
+  async function saveAutoLock(minutes) {
+    const settings = await PP.storage.getSettings();
+    settings.autoLockMinutes = Number(minutes) || 0;
+    await PP.storage.setSettings(settings);
+    PP.secureStore.setAutoLock(settings.autoLockMinutes);
+  }
+
+  // ── Retention ───────────────────────────────────────────
+
+  async function saveRetention() {
+    const settings = await PP.storage.getSettings();
+    settings.retentionContextDays = Number(document.getElementById("pp-retention-contexts").value) || 0;
+    settings.retentionCardDays = Number(document.getElementById("pp-retention-cards").value) || 0;
+    settings.retentionPlanYear = document.getElementById("pp-retention-plan-year").checked;
+    await PP.storage.setSettings(settings);
+  }
+
+  async function renderRetentionStatus() {
+    const el = document.getElementById("pp-retention-status");
+    const status = (await chrome.storage.local.get(PP.retention.STATUS_KEY))[PP.retention.STATUS_KEY];
+    if (!status) { el.textContent = "Not run yet."; return; }
+    const { cards, contexts, chats } = status.removed;
+    el.textContent = `Last purge ${new Date(status.at).toLocaleString()} · removed ${cards} cards, ${contexts} patients, ${chats} chats`
+      + (status.skipped.length ? " · encrypted data waits for unlock" : "");
+  }
+
+  async function purgeNow() {
+    try {
+      await PP.retention.run();
+      renderRetentionStatus();
+      showSettingsMsg("success", "Retention policy applied.");
+    } catch (e) {
+      showSettingsMsg("error", "Purge failed: " + e.message);
+    }
+  }
+
+  /** Purge on open/unlock — the service worker can't read encrypted keys. */
+  function runRetention() {
+    PP.retention.run().catch(e => console.warn("[PracticePilot] Retention purge failed:", e));
+  }
+
+  /** Banner 🗑: delete every stored card, context and chat for the patient on screen. */
+  async function purgePatient() {
+    const name = patientNameEl.textContent.trim();
+    const subscriberId = currentCard?.subscriberId || null;
+    if (!name && !subscriberId) return;
+    if (!confirm(`Delete everything PracticePilot has stored about ${name || "this patient"}? Cached benefits, patient details and the saved conversation are erased.`)) return;
+
+    try {
+      const removed = await PP.retention.purgePatient({ name, subscriberId });
+      await loadQueue();
+      if (chatKey(name) === chatKey(chatPatientName)) chatAbort?.abort();
+      chatHistories.delete(chatKey(name));
+      clearChatForPatient(null);
+      resetPatientState();
+      renderIdle();
+      showToast(removed ? `Deleted ${removed} stored item${removed > 1 ? "s" : ""} for ${name || "patient"}.` : "Nothing was stored for this patient.");
+    } catch (e) {
+      showToast("⚠️ " + e.message);
+    }
+  }
+
+  // ── Lock Screen ─────────────────────────────────────────
+
+  let unlockWaiters = [];
+
+  /**
+   * Wire the lock screen, auto-lock and activity tracking. Resolves
+   * once the panel is unlocked (immediately if encryption is off).
+   */
+  async function initLock() {
+    PP.secureStore.onLock = onLocked;
+    for (const type of ["pointerdown", "keydown", "wheel"]) {
+      document.addEventListener(type, () => PP.secureStore.touch(), { capture: true, passive: true });
+    }
+    document.getElementById("pp-lock-unlock").addEventListener("click", unlock);
+    document.getElementById("pp-lock-pass").addEventListener("keydown", e => { if (e.key === "Enter") unlock(); });
+    document.getElementById("pp-lock-reset").addEventListener("click", resetEncryptedData);
+
+    const settings = await PP.storage.getSettings();
+    PP.secureStore.setAutoLock(settings.autoLockMinutes ?? 15);
+
+    if (await PP.secureStore.isLocked()) {
+      showLockScreen();
+      await new Promise(resolve => unlockWaiters.push(resolve));
+    }
+  }
+
+  /** Auto-lock or Lock Now: drop everything patient-related held in memory. */
+  function onLocked() {
+    if (reviewOverlay.style.display !== "none") document.getElementById("pp-review-cancel").click();
+    closeSettings();
+    chatAbort?.abort();
+    chatHistories.clear();
+    clearChatForPatient(null);
+    resetPatientState();
+    PP.phiVault.clear();
+    PP.phiGuard.forgetApprovals();
+    endCaptureSession();
+    activeQueue = null;
+    renderQueueBar();
+    bodyEl.innerHTML = "";
+    showLockScreen();
+  }
+
+  function showLockScreen() {
+    document.getElementById("pp-lock-pass").value = "";
+    document.getElementById("pp-lock-msg").style.display = "none";
+    lockOverlay.style.display = "flex";
+    document.getElementById("pp-lock-pass").focus();
+  }
+
+  async function unlock() {
+    const btn = document.getElementById("pp-lock-unlock");
+    btn.disabled = true;
+    try {
+      await PP.secureStore.unlock(document.getElementById("pp-lock-pass").value);
+      lockOverlay.style.display = "none";
+      afterUnlock();
+    } catch (e) {
+      showLockMsg(e.message);
+    }
+    btn.disabled = false;
+  }
+
+  /** Forgotten passphrase: wipe the encrypted data so the panel is usable again. */
+  async function resetEncryptedData() {
+    if (!confirm("Delete all encrypted data? Cached patients, saved chats and the API key are erased and encryption is turned off. This can't be undone.")) return;
+    await PP.secureStore.reset();
+    lockOverlay.style.display = "none";
+    afterUnlock();
+    showToast("Encrypted data deleted. Set up the API key again in Settings.");
+  }
+
+  function afterUnlock() {
+    if (unlockWaiters.length) {
+      // First unlock — init() carries on from here
+      for (const resolve of unlockWaiters) resolve();
+      unlockWaiters = [];
+      return;
+    }
+    runRetention();
+    loadQueue();
+    if (activeTabId) requestPageData(activeTabId);
+    else renderIdle();
+  }
+
+  function showLockMsg(text) {
+    const el = document.getElementById("pp-lock-msg");
+    el.className = "pp-settings-msg error";
+    el.textContent = text;
+    el.style.display = "block";
+  }
+
+  // ── Fee Schedule ────────────────────────────────────────
+
+  function renderFeeSummary() {
+    const el = document.getElementById("pp-fee-summary");
+    const stats = PP.feeSchedule.stats();
+    if (!stats.codes) {
+      el.textContent = "No fee schedule loaded. Export a blank template, fill in your fees, then import it.";
+      return;
+    }
+    const payers = stats.payers.length ? stats.payers.join(", ") : "UCR only";
+    const updated = stats.updatedAt ? ` · updated ${new Date(stats.updatedAt).toLocaleDateString()}` : "";
+    el.textContent = `${stats.codes} codes · ${payers}${updated}`;
+  }
+
+  async function importFeeSchedule(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const result = await PP.feeSchedule.importCSV(await file.text());
+      const skipped = result.skipped ? `, ${result.skipped} rows skipped` : "";
+      showSettingsMsg("success", `Imported ${result.codes} codes for ${result.payers} carriers${skipped}.`);
+      renderFeeSummary();
+      cachedActionsHTML = null;
+    } catch (err) {
+      showSettingsMsg("error", "Import failed: " + err.message);
+    }
+  }
+
+  function exportFeeSchedule() {
+    downloadCSV("practicepilot-fee-schedule.csv", PP.feeSchedule.exportCSV());
+  }
+
+  function downloadCSV(filename, csv) {
+    const blob = new Blob([csv], { type: "text/csv" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // ── AI Request Log ──────────────────────────────────────
+
+  async function renderAuditSummary() {
+    const el = document.getElementById("pp-audit-summary");
+    const entries = await PP.auditLog.list();
+    if (!entries.length) {
+      el.textContent = "No requests logged.";
+      return;
+    }
+    const redacted = entries.reduce((sum, e) => sum + Object.values(e.redactions || {}).reduce((a, n) => a + n, 0), 0);
+    const since = new Date(entries[0].at).toLocaleDateString();
+    const blocked = entries.filter(e => e.outcome === "blocked" || e.outcome === "declined").length;
+    el.textContent = `${entries.length} request${entries.length > 1 ? "s" : ""} since ${since} · ${redacted} identifiers redacted`
+      + (blocked ? ` · ${blocked} stopped by the PHI guard` : "");
+  }
+
+  async function exportAuditLog() {
+    const entries = await PP.auditLog.list();
+    if (!entries.length) { showSettingsMsg("error", "Nothing logged yet."); return; }
+    const date = new Date().toISOString().slice(0, 10);
+    downloadCSV(`practicepilot-ai-requests-${date}.csv`, PP.auditLog.exportCSV(entries));
+  }
+
+  async function clearAuditLog() {
+    if (!confirm("Delete the AI request log? Export it first if you need to keep a record.")) return;
+    await PP.auditLog.clear();
+    renderAuditSummary();
+  }
+
+  // ── Pre-send Review ─────────────────────────────────────
+
+  // Redaction placeholders and vault tokens, highlighted for review
+  const PHI_MARKER = /\[(?:REDACTED(?:_[A-Z]+)*|[A-Z]+(?:_[A-Z]+)*_\d+)\]/g;
+  const MODULE_LABELS = { llmExtractor: "Benefit extraction", llmContextExtractor: "Patient page scan", chat: "Chat" };
+  let reviewQueue = Promise.resolve();
+
+  /**
+   * Register the side panel as auditLog's reviewer and phiGuard's
+   * confirmer — one overlay at a time.
+   */
+  function initReview() {
+    const queued = (fn) => (request) => {
+      const next = reviewQueue.then(() => fn(request));
+      reviewQueue = next.catch(() => {});
+      return next;
+    };
+    PP.auditLog.reviewer = queued(reviewBeforeSend);
+    PP.phiGuard.confirmer = queued(confirmResidualPHI);
+  }
+
+  /**
+   * When "review before send" is on, show the protected text with
+   * redactions highlighted and wait for Send / Don't Send.
+   * @returns {Promise<boolean>} true to send
+   */
+  async function reviewBeforeSend({ label, text, redactions = [] }) {
+    if (!(await PP.storage.getSettings()).reviewBeforeSend) return true;
+
+    const counts = Object.entries(PP.auditLog.countByType(redactions))
+      .map(([type, n]) => `${n} ${type.replace(/_/g, " ")}`)
+      .join(", ");
+    return openReview({
+      title: "🔍 Review Before Sending",
+      summary: `${label} · ${text.length.toLocaleString()} characters · ${counts ? `redacted: ${counts}` : "nothing redacted"}`,
+      html: escapeHTML(text).replace(PHI_MARKER, m => `<mark>${m}</mark>`),
+      sendLabel: "Send",
+    });
+  }
+
+  /**
+   * phiGuard found possible identifiers in already-redacted text:
+   * show the lines they're on and let staff decide.
+   * @returns {Promise<boolean>} true to send anyway
+   */
+  function confirmResidualPHI({ module, text, scan }) {
+    // Lines holding a finding, with each finding marked
+    const lines = new Map();
+    for (const f of scan.findings) {
+      const start = text.lastIndexOf("\n", f.start - 1) + 1;
+      const end = text.indexOf("\n", f.end) === -1 ? text.length : text.indexOf("\n", f.end);
+      if (!lines.has(start)) lines.set(start, { end, marks: [] });
+      lines.get(start).marks.push(f);
+    }
+    const html = [...lines].map(([start, { end, marks }]) => {
+      let out = "";
+      let at = start;
+      for (const f of marks) {
+        out += escapeHTML(text.slice(at, f.start)) + `<mark class="pp-review-risk">${escapeHTML(f.value)}</mark>`;
+        at = f.end;
+      }
+      return out + escapeHTML(text.slice(at, end));
+    }).join("\n…\n");
+
+    return openReview({
+      title: "⚠️ Check Before Sending",
+      summary: `${MODULE_LABELS[module] || "AI request"} · still contains possible identifiers after redaction: ${PP.phiGuard.describe(scan.counts)} (risk ${scan.score}/100). Send only if these aren't patient details.`,
+      html,
+      sendLabel: "Send Anyway",
+    });
+  }
+
+  /** Show the review overlay and wait for Send / Don't Send. */
+  function openReview({ title, summary, html, sendLabel }) {
+    document.getElementById("pp-review-title").textContent = title;
+    document.getElementById("pp-review-summary").textContent = summary;
+    document.getElementById("pp-review-text").innerHTML = html;
+    document.getElementById("pp-review-send").textContent = sendLabel;
+    reviewOverlay.style.display = "flex";
+
+    const choices = { "pp-review-send": true, "pp-review-cancel": false, "pp-review-close": false };
+    return new Promise(resolve => {
+      for (const [id, approved] of Object.entries(choices)) {
+        document.getElementById(id).onclick = () => {
+          reviewOverlay.style.display = "none";
+          for (const other of Object.keys(choices)) document.getElementById(other).onclick = null;
+          resolve(approved);
+        };
+      }
+    });
+  }
+
   // ── Chat Context ────────────────────────────────────────
 
   /**
-   * Clear the chat log and show a context-loaded indicator.
-   * Called whenever the active patient changes.
+   * Switch the chat log to a patient: context indicator plus their
+   * saved conversation. Called whenever the active patient changes.
    */
   function clearChatForPatient(name, subtitle) {
     if (!chatLogEl) return;
+    // A reply still streaming belongs to the previous patient — stop it
+    if (chatAbort && chatKey(name) !== chatKey(chatPatientName)) chatAbort.abort();
     chatPatientName = name || null;
+    chatSubtitle = subtitle || null;
+    renderChatLog();
+
+    // First time this session: pull the stored transcript
+    const key = chatKey(name);
+    if (name && !chatHistories.has(key)) {
+      chatHistories.set(key, []);
+      PP.patientContext.loadChat(name).then(stored => {
+        if (!stored.length) return;
+        chatHistory(key).unshift(...stored);
+        if (chatKey(chatPatientName) === key && !isChatting) renderChatLog();
+      }).catch(e => console.warn("[PracticePilot] Could not load chat history:", e));
+    }
+  }
+
+  function renderChatLog() {
     chatLogEl.innerHTML = "";
-    if (name) {
-      const label = subtitle
-        ? `${escapeHTML(name)} <span class="pp-chat-ctx-sub">— ${escapeHTML(subtitle)}</span>`
-        : escapeHTML(name);
-      chatLogEl.innerHTML = `<div class="pp-chat-context">🦷 ${label}</div>`;
-      chatLogEl.scrollTop = 0;
+    if (chatPatientName) {
+      const label = chatSubtitle
+        ? `${escapeHTML(chatPatientName)} <span class="pp-chat-ctx-sub">— ${escapeHTML(chatSubtitle)}</span>`
+        : escapeHTML(chatPatientName);
+      chatLogEl.innerHTML = `
+        <div class="pp-chat-context">🦷 ${label}
+          <button class="pp-chat-ctx-btn" data-action="chat-export" title="Copy conversation as a note">📋</button>
+          <button class="pp-chat-ctx-btn" data-action="chat-clear" title="Delete this patient's conversation">🗑</button>
+        </div>`;
+    }
+    for (const msg of chatHistory(chatKey(chatPatientName))) {
+      const cls = msg.role === "user" ? "pp-chat-user" : "pp-chat-bot";
+      chatLogEl.insertAdjacentHTML("beforeend", `<div class="pp-chat-msg ${cls}">${escapeHTML(msg.content)}</div>`);
     }
+    chatLogEl.scrollTop = chatLogEl.scrollHeight;
+  }
+
+  function chatKey(name) {
+    return (name || "").trim().toLowerCase();
+  }
+
+  /** Conversation so far for a patient key (created on first use). */
+  function chatHistory(key) {
+    if (!chatHistories.has(key)) chatHistories.set(key, []);
+    return chatHistories.get(key);
+  }
+
+  function exportChat(buttonEl) {
+    const history = chatHistory(chatKey(chatPatientName));
+    if (!history.length) { showToast("No conversation to copy yet."); return; }
+    copyToClipboard(buttonEl, PP.formatter.chatNote(chatPatientName, history));
+  }
+
+  async function clearChat() {
+    if (!chatPatientName || isChatting) return;
+    if (!confirm(`Delete the saved conversation for ${chatPatientName}?`)) return;
+    chatHistories.set(chatKey(chatPatientName), []);
+    await PP.patientContext.clearChat(chatPatientName);
+    renderChatLog();
+    showToast("Conversation deleted.");
   }
 
   // ── Patient Banner ──────────────────────────────────────
@@ -302,6 +825,7 @@
         handlePageUpdate(response, tabId);
       }
     } catch (e) {
+      if (captureSession) return;   // keep the session view; its tab may be reloading
       // Content script not injected on this tab — show idle
       currentPageType = null;
       updateBadge("");
@@ -314,6 +838,12 @@
   /** Handle incoming page data from content script — passive state update + cache pre-load */
   async function handlePageUpdate(data, tabId) {
     if (tabId) activeTabId = tabId;
+    if (await PP.secureStore.isLocked()) return;   // cache is unreadable until unlock
+    if (captureSession) {
+      // The session view stays put until Extract / Cancel
+      if (tabId === captureSession.tabId) await onSessionPageUpdate(data);
+      return;
+    }
     currentPageType = data.pageType || null;
     updateBadge(getPageLabel(currentPageType));
     updateScanButton();
@@ -363,6 +893,12 @@
       const missing = PP.normalize.missingItems(currentCard);
       renderResult(currentCard, missing, { cached: true, cachedAt: cached.cachedAt, ageDays: age });
 
+    } else if (data.pageType === "schedule") {
+      // Huddle from cache only; leave an opened patient alone
+      if (currentCard || currentPatientCtx) return;
+      if (data.pageText === lastScheduleText) return;
+      await showHuddle(data.pageText);
+
     } else if (PT_ELIGIBILITY.includes(data.pageType)) {
       // Already showing a card? skip.
       if (currentCard) return;
@@ -396,6 +932,7 @@
       patient_view:   "🔍 Scan Patient",
       patient_chart:  "🔍 Scan Patient",
       claims:         "🔍 Scan Patient",
+      schedule:       "📅 Daily Huddle",
     };
     scanBtn.textContent = hints[currentPageType] || "🔍 Scan Page";
   }
@@ -408,7 +945,7 @@
     let data;
     try {
       if (activeTabId) {
-        data = await chrome.tabs.sendMessage(activeTabId, { type: "PP_GET_PAGE_DATA" });
+        data = await chrome.tabs.sendMessage(activeTabId, { type: "PP_GET_PAGE_DATA", structured: true });
       }
     } catch (e) {
       showToast("Cannot reach page — try reloading the tab.");
@@ -431,6 +968,7 @@
       INSURER_PORTAL: "insurer_portal",
       PATIENT_CHART:  "patient_chart",
       CLAIMS:         "claims",
+      SCHEDULE:       "schedule",
     };
 
     const isPatientPage = [
@@ -439,11 +977,13 @@
 
     try {
       if (isPatientPage) {
-        await scanPatientAndShowActions(data.pageText);
+        await scanPatientAndShowActions(data.pageText, data.structuredText);
       } else if (currentPageType === PT.ELIGIBILITY || currentPageType === PT.INSURER_PORTAL) {
         await handleEligibilityPage(data.pageText, data.insurerName);
+      } else if (currentPageType === PT.SCHEDULE) {
+        if (!(await showHuddle(data.pageText))) showToast("No appointments found on this page.");
       } else {
-        showToast("Navigate to a patient, eligibility, or insurer portal page first.");
+        showToast("Navigate to a patient, eligibility, schedule, or insurer portal page first.");
       }
     } finally {
       if (scanBtn) { scanBtn.disabled = false; updateScanButton(); }
@@ -452,16 +992,16 @@
 
   // ── Patient View: Scan + Actions ────────────────────────
 
-  async function scanPatientAndShowActions(pageText) {
+  async function scanPatientAndShowActions(pageText, structuredText = null) {
     if (!PP.patientContext || !pageText || pageText.length < 50) return;
 
     // ── Concurrency guard: if a scan is already running, queue this one
     if (isScanning) {
-      pendingScanText = pageText;
+      pendingScan = { pageText, structuredText };
       return;
     }
     isScanning = true;
-    pendingScanText = null;
+    pendingScan = null;
 
     try {
       const newName = PP.patientContext._extractPatientName(pageText);
@@ -498,7 +1038,7 @@
       }
 
       // scanAndMerge now returns { ctx, actions } — LLM-first, regex-fallback
-      const result = await PP.patientContext.scanAndMerge(pageText, benefitCard);
+      const result = await PP.patientContext.scanAndMerge(pageText, benefitCard, { structuredText });
       console.log("[PracticePilot SidePanel] scanAndMerge result:", result ? "OK" : "null", result?.ctx?.patientName);
       if (!result) {
         // If this was a patient switch and extraction failed, show empty state
@@ -540,10 +1080,10 @@
     } finally {
       isScanning = false;
       // If a scan was queued while we were busy, process it now
-      if (pendingScanText) {
-        const queued = pendingScanText;
-        pendingScanText = null;
-        scanPatientAndShowActions(queued);
+      if (pendingScan) {
+        const queued = pendingScan;
+        pendingScan = null;
+        scanPatientAndShowActions(queued.pageText, queued.structuredText);
       }
     }
   }
@@ -587,14 +1127,13 @@
     // No cache hit — show eligibility UI briefly then extract
     renderEligibility(insurerName);
 
-    // Extract immediately (user clicked Scan — no need for auto-delay)
-    const config = await PP.llmExtractor.getConfig();
-    if (config.apiKey && pageText && pageText.length > 50) {
-      if (!currentCard && !isExtracting) {
-        captureAndExtract("page", pageText);
-      }
-    } else if (!config.apiKey) {
-      renderNoKey();
+    // Extract immediately (user clicked Scan — no need for auto-delay).
+    // The deterministic parser runs first, so no API key is needed here.
+    // captureAndExtract re-captures the page: tables come back
+    // structured, and on insurer portals the payer adapter can open
+    // collapsed sections and benefit tabs.
+    if (pageText && pageText.length > 50 && !currentCard && !isExtracting) {
+      captureAndExtract("page");
     }
   }
 
@@ -612,18 +1151,25 @@
 
   // ── Extraction Pipeline ─────────────────────────────────
 
-  async function captureAndExtract(mode, providedText) {
+  /**
+   * Read eligibility text (page or selection), extract a BenefitCard,
+   * cache it and show it. While a verification queue is active the
+   * current queue patient's status follows along.
+   */
+  async function captureAndExtract(mode, providedText, providedStructured = null) {
     if (isExtracting) return;
 
     let rawText = providedText;
+    let structuredText = providedStructured;
 
     // If no text provided, request from content script
     if (!rawText) {
       try {
         const response = await chrome.tabs.sendMessage(activeTabId, {
-          type: mode === "selection" ? "PP_GET_SELECTION" : "PP_GET_PAGE_DATA",
+          type: mode === "selection" ? "PP_GET_SELECTION" : "PP_CAPTURE_PAGE",
         });
         rawText = mode === "selection" ? response?.selectionText : response?.pageText;
+        structuredText = mode === "selection" ? null : response?.structuredText;
       } catch (e) {
         showToast("Cannot reach page — try reloading.");
         return;
@@ -637,25 +1183,26 @@
       return;
     }
 
-    const config = await PP.llmExtractor.getConfig();
-    if (!config.apiKey) {
-      renderNoKey();
-      return;
-    }
-
     isExtracting = true;
     renderExtracting();
+    let queued = null;
 
     try {
-      const result = await PP.llmExtractor.extract(rawText);
-      currentCard = result.card;
+      queued = await queueCaptured();
+      const result = await PP.llmExtractor.extract(rawText, { structuredText });
+
+      // Staff corrections on the previous card for this patient win over the new extraction
+      const previous = await PP.storage.getCachedCard(cacheKeyFor(result.card));
+      const { card, kept, conflicts } = PP.cardEditor.preserve(result.card, previous?.card);
+      card.lastChanges = previous ? PP.cardDiff.compare(previous.card, card) : null;
+      currentCard = card;
       cardFromCache = false;
 
       await PP.storage.setLastBenefitCard(currentCard);
       await PP.storage.cacheCard(currentCard);
 
       const missingItems = PP.normalize.missingItems(currentCard);
-      renderResult(currentCard, missingItems, { cached: false });
+      renderResult(currentCard, missingItems, { cached: false, conflicts });
 
       chrome.runtime.sendMessage({
         type: "PP_EXTRACTION_COMPLETE",
@@ -663,110 +1210,716 @@
         redactionInfo: result.redactionInfo,
       });
 
-      showToast(`Benefits extracted! ${result.redactionInfo.redactionCount} PHI items redacted.`);
+      const keptNote = kept.length ? ` Kept ${kept.length} manual correction${kept.length > 1 ? "s" : ""}.` : "";
+      const drops = PP.cardDiff.coverageDrops(card.lastChanges);
+      await queueExtracted(queued, { card, missing: missingItems, warning: result.warning, drops, conflicts });
+      showToast(result.warning
+        ? `⚠️ ${result.warning} Used the offline parser instead.`
+        : drops.length
+        ? `⚠️ Coverage dropped since last verification: ${drops.map(c => c.label).join(", ")}.`
+        : (result.source === "parser"
+          ? `Benefits extracted offline — ${result.missing.length ? result.missing.length + " fields need review" : "all core fields found"}.`
+          : `Benefits extracted! ${result.redactionInfo.redactionCount} PHI items redacted.`) + keptNote);
     } catch (err) {
       console.error("[PracticePilot] Extraction error:", err);
-      renderError(err.message);
+      await queueFailed(queued, err.message);
+      const config = await PP.llmProvider.getConfig();
+      if (!PP.llmProvider.isConfigured(config)) renderNoKey();
+      else renderError(err.message);
     } finally {
       isExtracting = false;
     }
   }
 
-  // ── Chat ────────────────────────────────────────────────
-
-  async function handleChatSend() {
-    const input = chatInputEl;
-    const log = chatLogEl;
-    if (!input || !log) return;
-
-    const question = input.value.trim();
-    if (!question || isChatting) return;
+  // ── Capture Session (multi-page portals) ────────────────
+
+  let captureSession = null;     // PP.captureSession state while the user browses portal tabs
+
+  async function startCaptureSession() {
+    if (!activeTabId) return;
+    let response;
+    try {
+      response = await chrome.tabs.sendMessage(activeTabId, { type: "PP_SESSION_START" });
+    } catch (e) {
+      showToast("Cannot reach page — try reloading.");
+      return;
+    }
+    captureSession = PP.captureSession.create(activeTabId);
+    PP.captureSession.addPage(captureSession, response?.page);
+    renderCaptureSession();
+  }
+
+  /** Page update from the session's tab: add its snapshot, resume after a page load. */
+  async function onSessionPageUpdate(data) {
+    let changed = PP.captureSession.addPage(captureSession, data.sessionPage);
+    if (!data.sessionActive) {
+      // Content script was reloaded with the page — start recording again
+      try {
+        const response = await chrome.tabs.sendMessage(captureSession.tabId, { type: "PP_SESSION_START" });
+        changed = PP.captureSession.addPage(captureSession, response?.page) || changed;
+      } catch (_) { /* not injected yet — the next update retries */ }
+    }
+    if (changed) renderCaptureSession();
+  }
+
+  function renderCaptureSession() {
+    const { pages, chars } = PP.captureSession.stats(captureSession);
+    const list = captureSession.pages.map((p, i) => `
+      <div class="pp-recent-item" style="cursor: default;">
+        <div class="pp-recent-name">${i + 1}. ${escapeHTML(p.label)}</div>
+        <div class="pp-recent-detail">${escapeHTML(p.url.replace(/^https?:\/\//, "").slice(0, 60))} · ${p.text.length.toLocaleString()} chars</div>
+      </div>`).join("");
+
+    bodyEl.innerHTML = `
+      <div class="pp-capture-bar">
+        <span class="pp-capture-text">📑 Capture session — ${pages} page${pages === 1 ? "" : "s"}, ${chars.toLocaleString()} chars</span>
+      </div>
+      <div class="pp-section" style="margin-top: 12px;">
+        <p style="font-size: 12px; color: var(--pp-gray-500); margin: 0 0 10px;">
+          Open each benefits tab on the portal (Summary, Frequencies, History…). Each one is added as it loads.
+          Then click <strong>Extract</strong> to read them as one plan.
+        </p>
+        <div class="pp-recent-list">${list || '<p style="font-size: 12px; color: var(--pp-gray-500);">No pages yet.</p>'}</div>
+        <div class="pp-btn-group" style="margin-top: 10px;">
+          <button class="pp-btn pp-btn-primary" data-action="session-extract" ${pages ? "" : "disabled"}>🔍 Extract ${pages} Page${pages === 1 ? "" : "s"}</button>
+          <button class="pp-btn" data-action="session-add">➕ Add This Page</button>
+          <button class="pp-btn" data-action="session-cancel">✕ Cancel</button>
+        </div>
+      </div>
+    `;
+  }
+
+  /** Pull the content script's snapshots (a tab switch may not have sent an update yet). */
+  async function syncCaptureSession() {
+    try {
+      const response = await chrome.tabs.sendMessage(captureSession.tabId, { type: "PP_SESSION_PAGES" });
+      for (const page of response?.pages || []) PP.captureSession.addPage(captureSession, page);
+    } catch (_) { /* page navigating — keep what was collected */ }
+  }
+
+  async function addSessionPage() {
+    const before = captureSession.pages.length;
+    await syncCaptureSession();
+    renderCaptureSession();
+    if (captureSession.pages.length === before) showToast("This page is already in the session.");
+  }
+
+  /** Merge every page and run it through the normal extraction pipeline. */
+  async function extractCaptureSession() {
+    await syncCaptureSession();
+    const session = captureSession;
+    endCaptureSession();
+    const text = PP.captureSession.merge(session);
+    await captureAndExtract("page", text, PP.captureSession.merge(session, "structuredText") || null);
+  }
+
+  function endCaptureSession() {
+    if (!captureSession) return;
+    chrome.tabs.sendMessage(captureSession.tabId, { type: "PP_SESSION_END" }).catch(() => {});
+    captureSession = null;
+  }
+
+  // ── Benefit Documents (PDF) ─────────────────────────────
+
+  /** Drop and "browse" for documents anywhere on the panel. */
+  function initDocumentDrop() {
+    const hasFiles = e => [...(e.dataTransfer?.types || [])].includes("Files");
+    const dropzone = () => document.getElementById("pp-dropzone");
+
+    document.getElementById("pp-doc-file").addEventListener("change", (e) => {
+      const file = e.target.files?.[0];
+      e.target.value = "";
+      if (file) ingestDocument(file);
+    });
+    document.addEventListener("dragover", (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      dropzone()?.classList.add("pp-dropzone-active");
+    });
+    document.addEventListener("dragleave", (e) => {
+      if (!e.relatedTarget) dropzone()?.classList.remove("pp-dropzone-active");
+    });
+    document.addEventListener("drop", (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();     // otherwise the side panel navigates to the file
+      dropzone()?.classList.remove("pp-dropzone-active");
+      const file = e.dataTransfer.files[0];
+      if (file) ingestDocument(file);
+    });
+  }
+
+  /**
+   * Read a benefits PDF locally and run its text
+   * through the same pipeline as a page capture (redaction,
+   * parser / LLM, cache, verification queue).
+   */
+  async function ingestDocument(file) {
+    if (isExtracting || isScanning || captureSession) {
+      showToast("Finish the current capture first.");
+      return;
+    }
+    if (await PP.secureStore.isLocked()) return;
+    if (file.type !== "application/pdf") {
+      showToast("Drop a PDF — screenshots and images can't be read.");
+      return;
+    }
+
+    isExtracting = true;       // keeps page updates from replacing the progress view
+    renderReadingDocument(file.name);
+    let pdf;
+    try {
+      pdf = await readDocument(file, setDocumentStatus);
+    } catch (err) {
+      console.warn("[PracticePilot] Document not read:", err);
+      isExtracting = false;
+      renderIdle();
+      showToast(err.message || "Couldn't read that file.");
+      return;
+    }
+    isExtracting = false;
+    if (await PP.secureStore.isLocked()) return;     // locked while reading
+
+    if (pdf.text.length < 50) {
+      renderIdle();
+      showToast("No readable benefit text in that file.");
+      return;
+    }
+    // No OCR — scanned pages next to typed ones are left out
+    if (pdf.scannedPages.length) {
+      showToast(`Skipped scanned page${pdf.scannedPages.length > 1 ? "s" : ""} ${pdf.scannedPages.join(", ")} (no text layer).`);
+    }
+    await captureAndExtract("file", pdf.text);
+  }
+
+  /** Text layer of a PDF (pdfText.extract). */
+  async function readDocument(file, onStatus) {
+    if (file.size > PP.pdfText.MAX_BYTES) {
+      throw new PP.pdfText.PdfTextError("That PDF is too large to read here.", { code: "too_large" });
+    }
+    onStatus("Reading the PDF…");
+    return PP.pdfText.extract(await file.arrayBuffer());
+  }
+
+  function renderReadingDocument(name) {
+    bodyEl.innerHTML = `
+      <div class="pp-section" style="text-align: center; padding: 20px 0;">
+        <div style="font-size: 24px; margin-bottom: 8px;">📎</div>
+        <p style="font-weight: 600; margin: 0;">${escapeHTML(name || "Document")}</p>
+        <p id="pp-doc-status" style="font-size: 12px; color: var(--pp-gray-500); margin: 4px 0 0;">
+          Reading on this computer…
+        </p>
+      </div>
+    `;
+  }
+
+  function setDocumentStatus(message) {
+    const el = document.getElementById("pp-doc-status");
+    if (el) el.textContent = message;
+  }
+
+  // ── Chat ────────────────────────────────────────────────
+
+  // Earlier turns sent with each question (user + assistant pairs)
+  const CHAT_MAX_TURNS = 10;
+
+  async function handleChatSend() {
+    const input = chatInputEl;
+    const log = chatLogEl;
+    if (!input || !log) return;
+
+    const question = input.value.trim();
+    if (!question || isChatting) return;
+
+    // Captured now so a patient switch mid-reply can't file it under the wrong patient
+    const patientName = chatPatientName;
+    const history = chatHistory(chatKey(patientName));
+    const asked = { role: "user", content: question, at: new Date().toISOString() };
+
+    log.insertAdjacentHTML("beforeend", `<div class="pp-chat-msg pp-chat-user">${escapeHTML(question)}</div>`);
+    input.value = "";
+    isChatting = true;
+    chatAbort = new AbortController();
+    setChatStreaming(true);
+
+    log.insertAdjacentHTML("beforeend", '<div class="pp-chat-msg pp-chat-bot pp-chat-typing">Thinking…</div>');
+    const bubble = log.lastElementChild;
+    log.scrollTop = log.scrollHeight;
+
+    const showText = (text) => {
+      bubble.classList.remove("pp-chat-typing");
+      bubble.textContent = text;
+      // Follow the reply only if the user hasn't scrolled up to read
+      if (log.scrollHeight - log.scrollTop - log.clientHeight < 60) log.scrollTop = log.scrollHeight;
+    };
+
+    const record = (answer) => {
+      const turn = [asked, { role: "assistant", content: answer, at: new Date().toISOString() }];
+      history.push(...turn);
+      if (patientName) {
+        PP.patientContext.appendChat(patientName, turn)
+          .catch(err => console.warn("[PracticePilot] Could not save chat:", err));
+      }
+    };
+
+    try {
+      const showStatus = (status) => {
+        // Only while nothing has been written yet — never overwrite the answer
+        if (bubble.classList.contains("pp-chat-typing")) bubble.textContent = status;
+      };
+      const answer = await askClaude(question, history, showText, chatAbort.signal, showStatus);
+      showText(answer);
+      record(answer);
+    } catch (e) {
+      if (e.code === "cancelled" && e.partialText) {
+        showText(e.partialText);
+        bubble.insertAdjacentHTML("beforeend", ' <span class="pp-chat-stopped">(stopped)</span>');
+        record(e.partialText);
+      } else if (e.code === "cancelled") {
+        bubble.classList.remove("pp-chat-typing");
+        bubble.innerHTML = '<span class="pp-chat-stopped">Stopped.</span>';
+      } else {
+        bubble.classList.remove("pp-chat-typing");
+        bubble.classList.add("pp-chat-error");
+        bubble.textContent = `Error: ${e.message}`;
+      }
+    } finally {
+      chatAbort = null;
+      isChatting = false;
+      setChatStreaming(false);
+    }
+    log.scrollTop = log.scrollHeight;
+  }
+
+  /** Swap the send button for a stop button while a reply streams. */
+  function setChatStreaming(streaming) {
+    const btn = document.querySelector(".pp-chat-send");
+    if (!btn) return;
+    btn.dataset.action = streaming ? "chat-stop" : "chat-send";
+    btn.textContent = streaming ? "■" : "➤";
+    btn.title = streaming ? "Stop" : "Send";
+  }
+
+  function stopChat() {
+    if (chatAbort) chatAbort.abort();
+  }
+
+  /**
+   * Stream an answer to `question`, with the patient's earlier turns
+   * as conversation history.
+   * @param {Function} onText - called with the full text so far
+   * @param {Function} [onStatus] - called with a status line while a tool runs
+   * @returns {Promise<string>} the complete answer
+   */
+  async function askClaude(question, history, onText, signal, onStatus) {
+    const config = await PP.llmProvider.getConfig();
+
+    // Tokenize mode: names/IDs go out as vault tokens ([PERSON_1]) and
+    // the reply is re-hydrated locally before it's shown. Redact mode:
+    // placeholders, nothing to re-hydrate.
+    const tokenize = (await PP.storage.getSettings()).phiMode !== "redact";
+    const phiOptions = await PP.phiRedactor.optionsFor("", [currentPatientCtx?.patientName, currentPatientCtx?.profile?.hoh]);
+    const redactions = [];   // counted for the audit log
+    const protect = (text) => {
+      const result = tokenize ? PP.phiRedactor.tokenize(text, phiOptions) : PP.phiRedactor.redact(text, phiOptions);
+      redactions.push(...result.redactions);
+      return result.redactedText;
+    };
+    const reveal = (text) => tokenize ? PP.phiVault.rehydrate(text) : text;
+
+    let contextParts = [];
+    if (currentPatientCtx) {
+      const c = currentPatientCtx;
+      const patientLabel = !c.patientName ? c.patientName
+        : tokenize ? PP.phiVault.tokenFor("PERSON", c.patientName) : PP.phiRedactor.PLACEHOLDERS.PERSON;
+      if (patientLabel !== c.patientName) redactions.push({ type: "patient_name" });
+      contextParts.push(`Patient: ${patientLabel || "unknown"}`);
+      if (c.profile?.age) contextParts.push(`Age: ${c.profile.age}`);
+      if (c.profile?.gender) contextParts.push(`Gender: ${c.profile.gender}`);
+      if (c.insurance?.carrier) contextParts.push(`Insurance: ${c.insurance.carrier}`);
+      if (c.insurance?.planName) contextParts.push(`Plan: ${c.insurance.planName}`);
+      if (c.todayAppt?.codes?.length) contextParts.push(`Today's scheduled codes: ${c.todayAppt.codes.join(", ")}`);
+      if (c.todayAppt?.isNewPatient) contextParts.push("This is a NEW PATIENT visit");
+      if (c.billing?.hasBalance) contextParts.push(`Outstanding balance: $${c.billing.balance}`);
+      if (c.billing?.aging) contextParts.push(`Aging: 0-30=$${c.billing.aging.past30}, 31-60=$${c.billing.aging.days31_60}, 61-90=$${c.billing.aging.days61_90}, 90+=$${c.billing.aging.over90}`);
+      if (c.recare?.noRecareFound) contextParts.push("No recare schedule set up");
+      if (c.recare?.nextDue) contextParts.push(`Next recare due: ${c.recare.nextDue}`);
+      if (c.charting?.hasUnscheduledTx) contextParts.push("Has unscheduled accepted treatment");
+      if (c.charting?.pendingCodes?.length) contextParts.push(`Pending CDT codes: ${c.charting.pendingCodes.join(", ")}`);
+      if (c.forms?.hasPendingForms) contextParts.push("Has incomplete patient forms");
+      if (c.perio?.hasPerioData) contextParts.push("Perio charting data on file");
+      if (c.tabsScanned?.length) contextParts.push(`Tabs reviewed: ${c.tabsScanned.join(", ")}`);
+    }
+    if (currentCard) {
+      if (currentCard.annualMax?.individual) contextParts.push(`Annual max: $${currentCard.annualMax.individual}`);
+      if (currentCard.annualMax?.remaining) contextParts.push(`Max remaining: $${currentCard.annualMax.remaining}`);
+      if (currentCard.deductible?.individual) contextParts.push(`Deductible: $${currentCard.deductible.individual}`);
+      if (currentCard.coverageTable?.length) {
+        const covSummary = currentCard.coverageTable
+          .filter(r => r.inNetwork != null)
+          .map(r => `${r.category}: ${r.inNetwork}%`).join(", ");
+        if (covSummary) contextParts.push(`Coverage: ${covSummary}`);
+      }
+    }
+
+    const systemMsg = `You are PracticePilot, a dental practice assistant for Merit Dental.
+Answer briefly (1-3 sentences) and be specific and actionable — unless the user asks you to explain something (an EOB, a denial, a plan rule), then walk through it step by step in plain language.
+Do NOT reveal PHI — keep answers clinical/operational.
+
+Known context:
+${contextParts.length ? contextParts.join("\n") : "No patient data scanned yet."}`;
+
+    const request = {
+      system: systemMsg,
+      messages: [
+        ...history.slice(-CHAT_MAX_TURNS * 2).map(({ role, content }) => ({ role, content: protect(content) })),
+        { role: "user", content: protect(question) },
+      ],
+      // A getter, so tool-round requests also count what tool results redacted
+      audit: { module: "chat", get redactions() { return PP.auditLog.countByType(redactions); } },
+      maxTokens: 1024,
+      temperature: 0.3,
+    };
+
+    // Providers without tool support get the flattened context only
+    if (!PP.llmProvider.adapter(config).supportsTools) {
+      const response = await PP.llmProvider.stream(config, request, {
+        onText: (delta, text) => onText(reveal(text)),
+        signal,
+      });
+      return reveal(response.text) || "No response.";
+    }
+
+    // Tool results go through the same redaction as the messages —
+    // every string read with its key as a label ("claimNumber: …") so
+    // label-keyed detectors apply
+    const protectOutput = (value, key = "") => {
+      if (Array.isArray(value)) return value.map(v => protectOutput(v, key));
+      if (value && typeof value === "object") {
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, protectOutput(v, k)]));
+      }
+      if (typeof value !== "string" && typeof value !== "number") return value;
+      const prefix = key ? `${key.replace(/([a-z])([A-Z])/g, "$1 $2").replace(/_/g, " ")}: ` : "";
+      const out = protect(prefix + value);
+      if (out === prefix + value) return value;
+      return out.startsWith(prefix) ? out.slice(prefix.length) : protect(String(value));
+    };
+
+    const env = { card: currentCard, ctx: currentPatientCtx };
+    const response = await PP.llmProvider.runTools(config, {
+      ...request,
+      system: `${systemMsg}
+
+You have tools for CDT codes, this patient's coverage, cost estimates, benefits, patient details and action items. Use them for any code, percentage or dollar figure instead of guessing, and say when the data isn't available.`,
+      tools: PP.chatTools.definitions(),
+    }, {
+      execute: async (name, input) => protectOutput(await PP.chatTools.run(name, input, env)),
+      onToolCall: (call) => onStatus?.(PP.chatTools.describe(call)),
+      onText: (delta, text) => onText(reveal(text)),
+      signal,
+    });
+    return reveal(response.text) || "No response.";
+  }
+
+  // ── Daily Huddle (schedule pages) ───────────────────────
+
+  let lastScheduleText = null;   // page text the huddle was last built from
+  let lastSchedule = null;       // parsed schedule behind it — "Verify These Patients"
+
+  /**
+   * Parse the scheduler page and show the huddle list.
+   * @returns {Promise<boolean>} false if no appointments were found
+   */
+  async function showHuddle(pageText) {
+    lastScheduleText = pageText;
+    const schedule = PP.scheduleParser.parseText(pageText);
+    if (!schedule.appointments.length) return false;
+    lastSchedule = schedule;
+
+    const huddle = await PP.huddle.build(schedule);
+    resetPatientState();
+    renderHuddle(huddle);
+    return true;
+  }
+
+  function renderHuddle({ date, appointments, summary }) {
+    const priorityClasses = { 1: "pp-action-critical", 2: "pp-action-action", 3: "pp-action-recommended", 4: "pp-action-info" };
+    const counts = [
+      `${summary.patients} patient${summary.patients === 1 ? "" : "s"}`,
+      summary.unverified && `${summary.unverified} to verify`,
+      summary.balances && `${summary.balances} with balances`,
+      summary.coverage && `${summary.coverage} with coverage issues`,
+    ].filter(Boolean).join(" · ");
+
+    const renderFlag = (f) => `
+      <div class="pp-action-item ${priorityClasses[f.priority] || ""}">
+        <span class="pp-action-icon">${f.icon}</span>
+        <div class="pp-action-content">
+          <div class="pp-action-title">${escapeHTML(f.title)}</div>
+          <div class="pp-action-detail">${escapeHTML(f.detail)}</div>
+        </div>
+      </div>`;
+
+    const items = appointments.map(a => `
+      <div class="pp-huddle-item">
+        <div class="pp-huddle-row">
+          <span class="pp-huddle-time">${escapeHTML(a.time)}</span>
+          <span class="pp-huddle-name">${escapeHTML(a.patientName)}${a.isNewPatient ? ' <span class="pp-huddle-tag">NEW</span>' : ""}</span>
+          ${a.status ? `<span class="pp-huddle-status">${escapeHTML(a.status)}</span>` : ""}
+        </div>
+        <div class="pp-huddle-detail">${escapeHTML([a.provider, a.type, a.codes.join(", ")].filter(Boolean).join(" · ") || "No codes listed")}</div>
+        <div class="pp-huddle-ins pp-huddle-ins-${a.insurance.status}">${escapeHTML(a.insurance.label)}</div>
+        ${a.flags.map(renderFlag).join("")}
+        ${a.cacheKey ? `<button class="pp-btn pp-btn-sm" data-action="huddle-open" data-cache-key="${escapeHTML(a.cacheKey)}" style="margin-top: 4px;">📋 View Benefits</button>` : ""}
+      </div>`).join("");
+
+    bodyEl.innerHTML = `
+      <div class="pp-section">
+        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 4px;">
+          <div class="pp-section-title" style="margin: 0;">📅 Daily Huddle${date ? ` — ${escapeHTML(date)}` : ""}</div>
+          <button class="pp-btn pp-btn-sm" data-action="huddle-refresh" title="Re-read schedule">🔄</button>
+        </div>
+        <div class="pp-scanned-tabs">${escapeHTML(counts)}. From cached patients and benefits only — open a patient in Curve to fill gaps.</div>
+        <button class="pp-btn pp-btn-sm" data-action="queue-from-huddle" style="margin-top: 8px;">✅ Verify These Patients</button>
+      </div>
+      <div class="pp-section">${items}</div>
+    `;
+  }
+
+  // ── Verification Queue ──────────────────────────────────
+
+  let activeQueue = null;        // verifyQueue state, saved after every change
+
+  const QUEUE_STATUS_CLASSES = {
+    captured: "pp-queue-captured",
+    extracted: "pp-queue-extracted",
+    needs_review: "pp-queue-review",
+    done: "pp-queue-done",
+  };
+
+  async function loadQueue() {
+    try {
+      activeQueue = await PP.verifyQueue.load();
+    } catch (e) {
+      activeQueue = null;
+      console.warn("[PracticePilot] Could not load verification queue:", e);
+    }
+    renderQueueBar();
+  }
+
+  async function saveQueue() {
+    await PP.verifyQueue.save(activeQueue);
+    renderQueueBar();
+  }
+
+  async function startQueue(queue) {
+    if (!queue.items.length) {
+      showToast("No patients found to verify.");
+      return;
+    }
+    if (activeQueue && !PP.verifyQueue.isComplete(activeQueue) &&
+        !confirm("Replace the current verification queue? Its progress is lost.")) return;
+    activeQueue = queue;
+    await saveQueue();
+    resetPatientState();
+    renderQueue();
+  }
+
+  /** Progress strip under the scan bar: "📋 3/8 · Jane Doe — Needs review". */
+  function renderQueueBar() {
+    const bar = document.getElementById("pp-queue-bar");
+    if (!activeQueue) {
+      bar.style.display = "none";
+      bar.innerHTML = "";
+      return;
+    }
+    const { total, done } = PP.verifyQueue.progress(activeQueue);
+    const item = PP.verifyQueue.currentItem(activeQueue);
+    const label = item ? `${item.patientName} — ${PP.verifyQueue.LABELS[item.status]}` : "All patients verified";
+
+    bar.innerHTML = `
+      <div class="pp-queue-bar-row">
+        <span class="pp-queue-bar-text" data-action="queue-show" title="Show the queue">📋 ${done}/${total} · ${escapeHTML(label)}</span>
+        ${item ? `
+          <button class="pp-btn pp-btn-sm" data-action="queue-capture" title="Extract benefits from this page for ${escapeHTML(item.patientName)}">📄 Capture</button>
+          <button class="pp-btn pp-btn-sm" data-action="queue-done" title="Mark verified and go to the next patient">✓ Done</button>`
+        : '<button class="pp-btn pp-btn-sm" data-action="queue-report">📊 Report</button>'}
+      </div>
+      <div class="pp-queue-progress"><div style="width: ${total ? Math.round(done / total * 100) : 0}%;"></div></div>
+    `;
+    bar.style.display = "";
+  }
+
+  /** Start screen: paste a patient list, or build from the schedule huddle. */
+  function renderQueueStart() {
+    resetPatientState();
+    bodyEl.innerHTML = `
+      <div class="pp-section">
+        <div class="pp-section-title">📋 Verification Queue</div>
+        <p style="font-size: 12px; color: var(--pp-gray-500); margin: 0 0 8px;">
+          Paste one patient per line (a time first is fine), or scan a Curve schedule page and choose <strong>Verify These Patients</strong>.
+        </p>
+        <textarea id="pp-queue-list" class="pp-input" rows="8" placeholder="8:00 AM  Smith, John&#10;9:30 AM  Jane Doe&#10;Maria Garcia"></textarea>
+        <div class="pp-btn-group" style="margin-top: 8px;">
+          <button class="pp-btn pp-btn-primary" data-action="queue-start-list">▶ Start Queue</button>
+          ${lastSchedule ? '<button class="pp-btn" data-action="queue-from-huddle">📅 Use Today\'s Schedule</button>' : ""}
+        </div>
+      </div>
+    `;
+  }
+
+  /** The queue: every patient with its status, current one highlighted. */
+  function renderQueue() {
+    if (!activeQueue) { renderQueueStart(); return; }
+    resetPatientState();
+    const VQ = PP.verifyQueue;
+    const current = VQ.currentItem(activeQueue);
+
+    const items = activeQueue.items.map(i => `
+      <div class="pp-queue-item ${i === current ? "pp-queue-item-current" : ""}" data-action="queue-select" data-id="${i.id}">
+        <div class="pp-huddle-row">
+          <span class="pp-huddle-time">${escapeHTML(i.time || "")}</span>
+          <span class="pp-huddle-name">${escapeHTML(i.patientName)}</span>
+          <span class="pp-queue-status ${QUEUE_STATUS_CLASSES[i.status] || ""}">${VQ.LABELS[i.status]}</span>
+        </div>
+        ${i.payer || i.note || i.codes.length ? `<div class="pp-huddle-detail">${escapeHTML([i.payer, i.note || i.codes.join(", ")].filter(Boolean).join(" · "))}</div>` : ""}
+        ${i.cacheKey ? `<button class="pp-btn pp-btn-sm" data-action="huddle-open" data-cache-key="${escapeHTML(i.cacheKey)}">📋 View Benefits</button>` : ""}
+      </div>`).join("");
 
-    log.innerHTML += `<div class="pp-chat-msg pp-chat-user">${escapeHTML(question)}</div>`;
-    input.value = "";
-    isChatting = true;
+    bodyEl.innerHTML = `
+      <div class="pp-section">
+        <div class="pp-section-title">📋 Verification Queue${activeQueue.date ? ` — ${escapeHTML(activeQueue.date)}` : ""}</div>
+        <p style="font-size: 12px; color: var(--pp-gray-500); margin: 0;">
+          ${current
+            ? `Next: open <strong>${escapeHTML(current.patientName)}</strong>'s eligibility page, then click <strong>📄 Capture</strong>. Review the benefits and click <strong>✓ Done</strong>.`
+            : "Every patient is verified."}
+        </p>
+      </div>
+      <div class="pp-section">${items}</div>
+      <div class="pp-btn-group">
+        ${current ? '<button class="pp-btn pp-btn-sm" data-action="queue-skip">⏭ Skip</button>' : ""}
+        <button class="pp-btn pp-btn-sm" data-action="queue-report">📊 Report</button>
+        <button class="pp-btn pp-btn-sm" data-action="queue-clear">🗑 Clear Queue</button>
+      </div>
+    `;
+  }
 
-    log.innerHTML += '<div class="pp-chat-msg pp-chat-bot pp-chat-typing">Thinking…</div>';
-    log.scrollTop = log.scrollHeight;
+  /** Completion report with counts and a copyable summary. */
+  function renderQueueReport() {
+    if (!activeQueue) return;
+    resetPatientState();
+    const { total, byStatus } = PP.verifyQueue.progress(activeQueue);
+    const open = total - byStatus.done;
+    bodyEl.innerHTML = `
+      <div class="pp-section">
+        <div class="pp-section-title">${open ? "📊 Verification Progress" : "🎉 Verification Complete"}</div>
+        <p style="font-size: 12px; color: var(--pp-gray-500); margin: 0 0 8px;">
+          ${byStatus.done} of ${total} patients verified${byStatus.needs_review ? ` · ${byStatus.needs_review} need review` : ""}${open ? ` · ${open} still open` : ""}.
+        </p>
+        <pre class="pp-queue-report">${escapeHTML(PP.formatter.verificationReport(activeQueue))}</pre>
+        <div class="pp-btn-group">
+          <button class="pp-btn pp-btn-primary pp-btn-sm" data-action="queue-copy-report">📋 Copy Report</button>
+          <button class="pp-btn pp-btn-sm" data-action="queue-show">Back to Queue</button>
+          <button class="pp-btn pp-btn-sm" data-action="queue-clear">🗑 Clear Queue</button>
+        </div>
+      </div>
+    `;
+  }
 
-    try {
-      const answer = await askClaude(question);
-      const typing = log.querySelector(".pp-chat-typing");
-      if (typing) typing.remove();
-      log.innerHTML += `<div class="pp-chat-msg pp-chat-bot">${escapeHTML(answer)}</div>`;
-    } catch (e) {
-      const typing = log.querySelector(".pp-chat-typing");
-      if (typing) typing.remove();
-      log.innerHTML += `<div class="pp-chat-msg pp-chat-bot pp-chat-error">Error: ${escapeHTML(e.message)}</div>`;
-    }
+  function startQueueFromList() {
+    const text = document.getElementById("pp-queue-list")?.value || "";
+    startQueue(PP.verifyQueue.create(PP.verifyQueue.parseList(text), { source: "list" }));
+  }
 
-    isChatting = false;
-    log.scrollTop = log.scrollHeight;
+  async function selectQueueItem(id) {
+    if (!PP.verifyQueue.item(activeQueue, id)) return;
+    activeQueue.current = id;
+    await saveQueue();
+    renderQueue();
   }
 
-  async function askClaude(question) {
-    const config = await PP.llmExtractor.getConfig();
-    if (!config.apiKey) throw new Error("API key not set — open settings.");
+  async function skipQueueItem() {
+    if (!PP.verifyQueue.advance(activeQueue)) return;
+    await saveQueue();
+    renderQueue();
+  }
 
-    let contextParts = [];
-    if (currentPatientCtx) {
-      const c = currentPatientCtx;
-      contextParts.push(`Patient: ${c.patientName || "unknown"}`);
-      if (c.profile?.age) contextParts.push(`Age: ${c.profile.age}`);
-      if (c.profile?.gender) contextParts.push(`Gender: ${c.profile.gender}`);
-      if (c.insurance?.carrier) contextParts.push(`Insurance: ${c.insurance.carrier}`);
-      if (c.insurance?.planName) contextParts.push(`Plan: ${c.insurance.planName}`);
-      if (c.todayAppt?.codes?.length) contextParts.push(`Today's scheduled codes: ${c.todayAppt.codes.join(", ")}`);
-      if (c.todayAppt?.isNewPatient) contextParts.push("This is a NEW PATIENT visit");
-      if (c.billing?.hasBalance) contextParts.push(`Outstanding balance: $${c.billing.balance}`);
-      if (c.billing?.aging) contextParts.push(`Aging: 0-30=$${c.billing.aging.past30}, 31-60=$${c.billing.aging.days31_60}, 61-90=$${c.billing.aging.days61_90}, 90+=$${c.billing.aging.over90}`);
-      if (c.recare?.noRecareFound) contextParts.push("No recare schedule set up");
-      if (c.recare?.nextDue) contextParts.push(`Next recare due: ${c.recare.nextDue}`);
-      if (c.charting?.hasUnscheduledTx) contextParts.push("Has unscheduled accepted treatment");
-      if (c.charting?.pendingCodes?.length) contextParts.push(`Pending CDT codes: ${c.charting.pendingCodes.join(", ")}`);
-      if (c.forms?.hasPendingForms) contextParts.push("Has incomplete patient forms");
-      if (c.perio?.hasPerioData) contextParts.push("Perio charting data on file");
-      if (c.tabsScanned?.length) contextParts.push(`Tabs reviewed: ${c.tabsScanned.join(", ")}`);
-    }
-    if (currentCard) {
-      if (currentCard.annualMax?.individual) contextParts.push(`Annual max: $${currentCard.annualMax.individual}`);
-      if (currentCard.annualMax?.remaining) contextParts.push(`Max remaining: $${currentCard.annualMax.remaining}`);
-      if (currentCard.deductible?.individual) contextParts.push(`Deductible: $${currentCard.deductible.individual}`);
-      if (currentCard.coverageTable?.length) {
-        const covSummary = currentCard.coverageTable
-          .filter(r => r.inNetwork != null)
-          .map(r => `${r.category}: ${r.inNetwork}%`).join(", ");
-        if (covSummary) contextParts.push(`Coverage: ${covSummary}`);
-      }
+  /** ✓ Done: mark the current patient verified and move to the next one. */
+  async function completeQueueItem() {
+    const item = PP.verifyQueue.currentItem(activeQueue);
+    if (!item) return;
+    if (item.status === "not_started" &&
+        !confirm(`Mark ${item.patientName} done without capturing benefits?`)) return;
+
+    PP.verifyQueue.update(activeQueue, item.id, { status: "done" });
+    const next = PP.verifyQueue.advance(activeQueue);
+    await saveQueue();
+    if (next) {
+      renderQueue();
+      showToast(`Next: ${next.patientName}`);
+    } else {
+      renderQueueReport();
     }
+  }
 
-    const systemMsg = `You are PracticePilot, a dental practice assistant for Merit Dental.
-Answer briefly (1-3 sentences). Be specific and actionable.
-Do NOT reveal PHI — keep answers clinical/operational.
+  async function clearQueue() {
+    if (!confirm("Clear the verification queue? Cached benefits are kept.")) return;
+    await PP.verifyQueue.clear();
+    activeQueue = null;
+    renderQueueBar();
+    renderIdle();
+  }
 
-Known context:
-${contextParts.length ? contextParts.join("\n") : "No patient data scanned yet."}`;
+  /**
+   * captureAndExtract has page text — the current queue patient is
+   * now "captured". Returns what queueExtracted() needs to undo it.
+   */
+  async function queueCaptured() {
+    const item = PP.verifyQueue.currentItem(activeQueue);
+    if (!item) return null;
+    const captured = { id: item.id, previous: item.status };
+    PP.verifyQueue.update(activeQueue, item.id, { status: "captured" });
+    await saveQueue();
+    return captured;
+  }
+
+  /**
+   * Extraction finished: file the card under the queue patient it
+   * names (the current one if no name matches) and decide whether
+   * staff need to look closer before marking it done.
+   */
+  async function queueExtracted(captured, { card, missing, warning, drops, conflicts }) {
+    if (!activeQueue) return;
+    const VQ = PP.verifyQueue;
+    const key = PP.huddle.nameKey(card.patientName);
+    const match = key ? activeQueue.items.find(i =>
+      (i.id === captured?.id || i.status !== "done") && PP.huddle.nameKey(i.patientName) === key) : null;
+    const target = match || VQ.item(activeQueue, captured?.id);
+    if (!target) return;
 
-    const response = await fetch("https://api.anthropic.com/v1/messages", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "x-api-key": config.apiKey,
-        "anthropic-version": "2023-06-01",
-        "anthropic-dangerous-direct-browser-access": "true",
-      },
-      body: JSON.stringify({
-        model: config.model || "claude-sonnet-4-20250514",
-        max_tokens: 300,
-        temperature: 0.3,
-        system: systemMsg,
-        messages: [{ role: "user", content: question }],
-      }),
+    // Someone else's page was captured — put the current patient back
+    if (captured && captured.id !== target.id) VQ.update(activeQueue, captured.id, { status: captured.previous });
+
+    const reasons = [];
+    if (!match) reasons.push(card.patientName ? `Page shows ${card.patientName}` : "No patient name on the page");
+    if (missing.length) reasons.push(`${missing.length} field${missing.length > 1 ? "s" : ""} missing`);
+    if (warning) reasons.push("Read by the offline parser");
+    if (drops.length) reasons.push(`Coverage dropped: ${drops.map(c => c.label).join(", ")}`);
+    if (conflicts.length) reasons.push(`${conflicts.length} manual correction${conflicts.length > 1 ? "s" : ""} differ from the page`);
+
+    VQ.update(activeQueue, target.id, {
+      status: reasons.length ? "needs_review" : "extracted",
+      payer: card.payer || null,
+      cacheKey: cacheKeyFor(card),
+      note: reasons.join(" · ") || null,
     });
+    activeQueue.current = target.id;
+    await saveQueue();
+  }
 
-    if (!response.ok) throw new Error(`API error (${response.status})`);
-    const data = await response.json();
-    return data.content?.[0]?.text || "No response.";
+  async function queueFailed(captured, message) {
+    if (!activeQueue || !captured) return;
+    PP.verifyQueue.update(activeQueue, captured.id, { status: "needs_review", note: `Extraction failed: ${message}` });
+    await saveQueue();
   }
 
   // ── Render Functions ────────────────────────────────────
@@ -781,6 +1934,13 @@ ${contextParts.length ? contextParts.join("\n") : "No patient data scanned yet."
           <button class="pp-btn" data-action="capture-selection">✂️ Capture Selection</button>
           <button class="pp-btn" data-action="capture-page">📄 Capture This Page</button>
         </div>
+        <div class="pp-btn-group" style="justify-content: center; margin-top: 8px;">
+          <button class="pp-btn pp-btn-sm" data-action="session-start" title="Benefits split across portal tabs? Collect them all, then extract once">📑 Multi-page Capture</button>
+          <button class="pp-btn pp-btn-sm" data-action="queue-open">📋 Verification Queue</button>
+        </div>
+        <div class="pp-dropzone" id="pp-dropzone" data-action="doc-pick">
+          📎 Drop a benefits PDF here, or click to browse
+        </div>
       </div>
       <div class="pp-section">
         <div class="pp-section-title">📂 Recent Patients</div>
@@ -906,6 +2066,7 @@ ${contextParts.length ? contextParts.join("\n") : "No patient data scanned yet."
 
     bodyEl.innerHTML = `
       ${contextualSection}
+      ${buildCostEstimateSection(ctx)}
       <div class="pp-section">
         <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 4px;">
           <div class="pp-section-title" style="margin: 0;">⚡ Actions</div>
@@ -967,6 +2128,100 @@ ${contextParts.length ? contextParts.join("\n") : "No patient data scanned yet."
     `;
   }
 
+  // ── Cost Estimate ───────────────────────────────────────
+
+  /** Codes to quote: today's appointment first, then pending treatment. */
+  function getEstimateCodes(ctx) {
+    if (ctx?.todayAppt?.codes?.length) return ctx.todayAppt.codes;
+    if (ctx?.charting?.pendingCodes?.length) return ctx.charting.pendingCodes;
+    return [];
+  }
+
+  /**
+   * Per-code insurance vs. patient breakdown for the scheduled codes.
+   * Fees are typed in per code; the breakdown re-renders on input.
+   */
+  function buildCostEstimateSection(ctx) {
+    const codes = getEstimateCodes(ctx);
+    if (!currentCard || !codes.length) return "";
+
+    const feeRows = codes.map(code => {
+      const scheduled = PP.feeSchedule.feeFor(code, currentCard.payer);
+      return `
+      <div class="pp-est-fee-row">
+        <span class="pp-cdt-code">${escapeHTML(code)}</span>
+        <span class="pp-est-dollar">$</span>
+        <input type="text" inputmode="decimal" class="pp-input pp-est-fee" data-code="${escapeHTML(code)}"
+          value="${escapeHTML(estimateFees[code] ?? "")}" placeholder="${scheduled !== null ? scheduled.toFixed(2) : "Fee"}" autocomplete="off" />
+      </div>
+    `;
+    }).join("");
+
+    return `
+      <div class="pp-section" id="pp-cost-estimate">
+        <div class="pp-section-title">💵 Patient Cost Estimate</div>
+        <div class="pp-est-fees">${feeRows}</div>
+        <div id="pp-est-breakdown">${buildCostBreakdownHTML(codes)}</div>
+      </div>
+    `;
+  }
+
+  function buildCostBreakdownHTML(codes) {
+    const est = PP.costEstimator.estimate(codes, currentCard, estimateFees);
+    const priced = est.lines.filter(l => l.fee !== null);
+    if (!priced.length) {
+      return '<p class="pp-est-hint">Enter the office fee for each code to see the insurance vs. patient split.</p>';
+    }
+
+    const money = (n) => n === null ? "—" : "$" + n.toFixed(2);
+    const rows = priced.map(l => `
+      <div class="pp-est-row">
+        <span class="pp-est-code">${escapeHTML(l.code)}</span>
+        <span class="pp-est-pct">${l.coveragePct === null ? "?" : l.coveragePct + "%"}</span>
+        <span class="pp-est-ins">${money(l.insurance)}</span>
+        <span class="pp-est-pt">${money(l.patient)}</span>
+      </div>
+      ${l.deductible ? `<div class="pp-est-note">Deductible applied: ${money(l.deductible)}</div>` : ""}
+      ${l.notes.map(n => `<div class="pp-est-note">${escapeHTML(n)}</div>`).join("")}
+    `).join("");
+
+    const pending = est.missingFees.length
+      ? `<div class="pp-est-note">No fee entered: ${escapeHTML(est.missingFees.join(", "))}</div>`
+      : "";
+
+    return `
+      <div class="pp-est-table">
+        <div class="pp-est-row pp-est-head">
+          <span class="pp-est-code">Code</span><span class="pp-est-pct">Cov</span>
+          <span class="pp-est-ins">Insurance</span><span class="pp-est-pt">Patient</span>
+        </div>
+        ${rows}
+        <div class="pp-est-row pp-est-total">
+          <span class="pp-est-code">Total</span><span class="pp-est-pct"></span>
+          <span class="pp-est-ins">${money(est.totals.insurance)}</span>
+          <span class="pp-est-pt">${money(est.totals.patient)}</span>
+        </div>
+      </div>
+      ${pending}
+      <div class="pp-est-note">Estimate only — final payment is determined by the carrier.</div>
+    `;
+  }
+
+  function handleEstimateFeeInput(e) {
+    const code = e.target.dataset.code;
+    if (!code) return;
+    const value = e.target.value.trim();
+    if (value) estimateFees[code] = value;
+    else delete estimateFees[code];
+    refreshCostBreakdown();
+  }
+
+  function refreshCostBreakdown() {
+    const container = document.getElementById("pp-est-breakdown");
+    if (!container || !currentCard) return;
+    container.innerHTML = buildCostBreakdownHTML(getEstimateCodes(currentPatientCtx));
+  }
+
   /**
    * Decide which tab-contextual section to show based on the most
    * recently detected Curve tab. Priority: insurance → claims → billing.
@@ -1207,6 +2462,9 @@ ${contextParts.length ? contextParts.join("\n") : "No patient data scanned yet."
       medium: '<span class="pp-badge pp-badge-amber">Medium Confidence</span>',
       low: '<span class="pp-badge pp-badge-red">Low Confidence</span>',
     }[confidence] || "";
+    const sourceBadge = card.confidence?.source === "parser"
+      ? '<span class="pp-badge pp-badge-gray" title="Read by the built-in parser — no AI call">Offline</span>'
+      : "";
 
     let cacheBar = "";
     if (extra.cached) {
@@ -1226,21 +2484,21 @@ ${contextParts.length ? contextParts.join("\n") : "No patient data scanned yet."
 
     const covRows = (card.coverageTable || [])
       .filter(r => r.inNetwork !== null && r.inNetwork !== undefined)
-      .map(r => `<div class="pp-data-label">${r.category}</div><div class="pp-data-value">${r.inNetwork}%</div>`).join("");
+      .map(r => `<div class="pp-data-label">${r.category}</div><div class="pp-data-value">${provValue(card, `coverageTable.${r.category}`, `${r.inNetwork}%`)}</div>`).join("");
 
     const exRows = (card.coverageExceptions || []).map(ex =>
-      `<div class="pp-data-label">${ex.description || ex.cdtCodes}</div><div class="pp-data-value">${ex.inNetwork}%${ex.note ? ` <small>(${ex.note})</small>` : ""}</div>`
+      `<div class="pp-data-label">${escapeHTML(ex.description || ex.cdtCodes)}</div><div class="pp-data-value">${ex.inNetwork}%${ex.note ? ` <small>(${escapeHTML(ex.note)})</small>` : ""}</div>`
     ).join("");
 
     const freqEntries = [
-      ["Prophy", card.frequencies?.prophy],
-      ["Exam", card.frequencies?.exam],
-      ["BWX", card.frequencies?.bwx],
-      ["FMX/Pano", card.frequencies?.fmx || card.frequencies?.pano],
-      ["Fluoride", card.frequencies?.fluoride],
+      ["Prophy", card.frequencies?.prophy, "frequencies.prophy"],
+      ["Exam", card.frequencies?.exam, "frequencies.exam"],
+      ["BWX", card.frequencies?.bwx, "frequencies.bwx"],
+      ["FMX/Pano", card.frequencies?.fmx || card.frequencies?.pano, card.frequencies?.fmx ? "frequencies.fmx" : "frequencies.pano"],
+      ["Fluoride", card.frequencies?.fluoride, "frequencies.fluoride"],
     ].filter(([, v]) => v);
-    const freqRows = freqEntries.map(([label, val]) =>
-      `<div class="pp-data-label">${label}</div><div class="pp-data-value">${val}</div>`
+    const freqRows = freqEntries.map(([label, val, path]) =>
+      `<div class="pp-data-label">${label}</div><div class="pp-data-value">${provValue(card, path, escapeHTML(val))}</div>`
     ).join("");
 
     const missingHTML = missingItems?.length
@@ -1252,42 +2510,45 @@ ${contextParts.length ? contextParts.join("\n") : "No patient data scanned yet."
       <div class="pp-benefit-grid">
         <div class="pp-benefit-card">
           <div class="pp-benefit-card-label">Deductible</div>
-          <div class="pp-benefit-card-value${!card.deductible?.individual ? ' pp-missing' : ''}">${card.deductible?.individual ? fmtDollar(card.deductible.individual) : '—'}</div>
+          <div class="pp-benefit-card-value${!card.deductible?.individual ? ' pp-missing' : ''}">${card.deductible?.individual ? provValue(card, "deductible.individual", fmtDollar(card.deductible.individual)) : '—'}</div>
         </div>
         <div class="pp-benefit-card">
           <div class="pp-benefit-card-label">Annual Max</div>
-          <div class="pp-benefit-card-value${!card.annualMax?.individual ? ' pp-missing' : ''}">${card.annualMax?.individual ? fmtDollar(card.annualMax.individual) : '—'}</div>
+          <div class="pp-benefit-card-value${!card.annualMax?.individual ? ' pp-missing' : ''}">${card.annualMax?.individual ? provValue(card, "annualMax.individual", fmtDollar(card.annualMax.individual)) : '—'}</div>
         </div>
-        ${card.annualMax?.remaining ? `<div class="pp-benefit-card"><div class="pp-benefit-card-label">Remaining</div><div class="pp-benefit-card-value">${fmtDollar(card.annualMax.remaining)}</div></div>` : ''}
+        ${card.annualMax?.remaining ? `<div class="pp-benefit-card"><div class="pp-benefit-card-label">Remaining</div><div class="pp-benefit-card-value">${provValue(card, "annualMax.remaining", fmtDollar(card.annualMax.remaining))}</div></div>` : ''}
         ${card.annualMax?.used ? `<div class="pp-benefit-card"><div class="pp-benefit-card-label">Used</div><div class="pp-benefit-card-value">${fmtDollar(card.annualMax.used)}</div></div>` : ''}
       </div>
     `;
 
     bodyEl.innerHTML = `
       ${cacheBar}
+      ${buildCorrectionConflictsSection(extra.conflicts)}
+      ${buildChangesSection(card)}
       <div class="pp-section">
         <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px;">
           <div class="pp-section-title" style="margin: 0;">Benefits Overview</div>
-          ${confidenceBadge}
+          <span>${sourceBadge} ${confidenceBadge} <button class="pp-btn pp-btn-sm" data-action="edit-card" title="Correct extracted values">✏️ Edit</button></span>
         </div>
         ${benefitCards}
       </div>
       <div class="pp-section">
         <div class="pp-section-title">Plan Details</div>
         <div class="pp-data-grid">
-          ${card.subscriberId ? `<div class="pp-data-label">Subscriber ID</div><div class="pp-data-value">${escapeHTML(card.subscriberId)}</div>` : ""}
-          ${card.payer ? `<div class="pp-data-label">Carrier</div><div class="pp-data-value">${escapeHTML(card.payer)}</div>` : ""}
-          ${card.planName ? `<div class="pp-data-label">Plan</div><div class="pp-data-value">${escapeHTML(card.planName)}</div>` : ""}
-          ${card.planType ? `<div class="pp-data-label">Type</div><div class="pp-data-value">${escapeHTML(card.planType)}</div>` : ""}
-          ${card.groupNumber ? `<div class="pp-data-label">Group #</div><div class="pp-data-value">${escapeHTML(card.groupNumber)}</div>` : ""}
+          ${card.subscriberId ? `<div class="pp-data-label">Subscriber ID</div><div class="pp-data-value">${provValue(card, "subscriberId", escapeHTML(card.subscriberId))}</div>` : ""}
+          ${card.payer ? `<div class="pp-data-label">Carrier</div><div class="pp-data-value">${provValue(card, "payer", escapeHTML(card.payer))}</div>` : ""}
+          ${card.planName ? `<div class="pp-data-label">Plan</div><div class="pp-data-value">${provValue(card, "planName", escapeHTML(card.planName))}</div>` : ""}
+          ${card.planType ? `<div class="pp-data-label">Type</div><div class="pp-data-value">${provValue(card, "planType", escapeHTML(card.planType))}</div>` : ""}
+          ${card.groupNumber ? `<div class="pp-data-label">Group #</div><div class="pp-data-value">${provValue(card, "groupNumber", escapeHTML(card.groupNumber))}</div>` : ""}
         </div>
       </div>
       ${covRows ? `<div class="pp-section"><div class="pp-section-title">Coverage Table (CDT)</div><div class="pp-data-grid">${covRows}</div></div>` : ""}
-      ${exRows ? `<div class="pp-section"><div class="pp-section-title">Coverage Exceptions</div><div class="pp-data-grid">${exRows}</div></div>` : ""}
+      ${exRows ? `<div class="pp-section"><div class="pp-section-title">Coverage Exceptions ${editedBadge(card, "coverageExceptions")}</div><div class="pp-data-grid">${exRows}</div></div>` : ""}
       ${freqRows ? `<div class="pp-section"><div class="pp-section-title">Frequencies</div><div class="pp-data-grid">${freqRows}</div></div>` : ""}
-      ${card.waitingPeriods?.length ? `<div class="pp-section"><div class="pp-section-title">Waiting Periods</div><div class="pp-data-grid">${card.waitingPeriods.map(wp => `<div class="pp-data-label">${escapeHTML(wp.category)}</div><div class="pp-data-value">${escapeHTML(wp.period)}</div>`).join("")}</div></div>` : ""}
-      ${card.notes?.length ? `<div class="pp-section"><div class="pp-section-title">Notes & Limitations</div><ul style="margin:0;padding-left:16px;font-size:12px;color:var(--pp-gray-700);">${card.notes.map(n => `<li>${escapeHTML(n)}</li>`).join("")}</ul></div>` : ""}
+      ${card.waitingPeriods?.length ? `<div class="pp-section"><div class="pp-section-title">Waiting Periods ${editedBadge(card, "waitingPeriods")}</div><div class="pp-data-grid">${card.waitingPeriods.map(wp => `<div class="pp-data-label">${escapeHTML(wp.category)}</div><div class="pp-data-value">${escapeHTML(wp.period)}</div>`).join("")}</div></div>` : ""}
+      ${card.notes?.length ? `<div class="pp-section"><div class="pp-section-title">Notes & Limitations ${editedBadge(card, "notes")}</div><ul style="margin:0;padding-left:16px;font-size:12px;color:var(--pp-gray-700);">${card.notes.map(n => `<li>${escapeHTML(n)}</li>`).join("")}</ul></div>` : ""}
       ${missingHTML}
+      ${buildEditHistorySection(card)}
       <div class="pp-section">
         <div class="pp-section-title">Copy to Clipboard</div>
         <div class="pp-btn-group">
@@ -1312,6 +2573,338 @@ ${contextParts.length ? contextParts.join("\n") : "No patient data scanned yet."
     updateViewTabs();
   }
 
+  // ── Benefit Changes ─────────────────────────────────────
+
+  /** "What changed since last verification" — from card.lastChanges (card-diff.js). */
+  function buildChangesSection(card) {
+    const diff = card.lastChanges;
+    if (!diff?.changes?.length) return "";
+
+    const since = diff.comparedTo
+      ? new Date(diff.comparedTo).toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric" })
+      : "the previous verification";
+    const arrows = { up: "▲", down: "▼", added: "+", removed: "−", changed: "→" };
+
+    const items = diff.changes.map(c => `
+      <li class="pp-change-item pp-change-${c.severity}">
+        <span class="pp-change-arrow">${arrows[c.direction] || "→"}</span>
+        <strong>${escapeHTML(c.label)}</strong>:
+        ${escapeHTML(PP.cardDiff.formatValue(c, c.from))} → ${escapeHTML(PP.cardDiff.formatValue(c, c.to))}
+      </li>
+    `).join("");
+
+    const dropped = PP.cardDiff.coverageDrops(diff).length;
+    return `
+      <div class="pp-section pp-changes${dropped ? " pp-changes-critical" : ""}">
+        <div class="pp-section-title">🔁 What Changed Since ${escapeHTML(since)}</div>
+        ${dropped ? '<div class="pp-changes-alert">Coverage dropped — update estimates and treatment plans.</div>' : ""}
+        <ul class="pp-change-list">${items}</ul>
+      </div>
+    `;
+  }
+
+  // ── Provenance ──────────────────────────────────────────
+
+  /**
+   * Wrap a rendered value so clicking it reveals where it came from.
+   * Values without provenance (older cards) render unchanged.
+   */
+  function provValue(card, path, html) {
+    const prov = PP.provenance.get(card, path);
+    if (!prov) return html;
+    const label = PP.provenance.SOURCE_LABELS[prov.source] || prov.source;
+    return `<span class="pp-prov pp-prov-${escapeHTML(prov.source)}" data-action="show-source" data-field="${escapeHTML(path)}" title="${escapeHTML(label)} — click to see source">${html}</span>`;
+  }
+
+  function toggleSourceSnippet(target) {
+    const path = target.dataset.field;
+    const existing = document.querySelector(".pp-prov-snippet");
+    const wasSame = existing?.dataset.field === path;
+    existing?.remove();
+    if (wasSame || !currentCard) return;
+
+    const prov = PP.provenance.get(currentCard, path);
+    if (!prov) return;
+
+    const label = PP.provenance.SOURCE_LABELS[prov.source] || prov.source;
+    const when = prov.at ? new Date(prov.at).toLocaleDateString() : "";
+    const by = prov.by ? ` by ${escapeHTML(prov.by)}` : "";
+    const body = prov.snippet
+      ? `<q>${highlightValue(escapeHTML(prov.snippet), PP.provenance.valueAt(currentCard, path))}</q>` +
+        (prov.verified ? "" : `<em>Closest line on the page, not quoted by the extraction — verify this value.</em>`)
+      : prov.source === PP.provenance.SOURCES.MANUAL
+        ? `<em>Corrected by staff — see Edit History below.</em>`
+        : `<em>No matching text found in the source — verify this value manually.</em>`;
+
+    const el = document.createElement("div");
+    el.className = "pp-prov-snippet";
+    el.dataset.field = path;
+    el.innerHTML = `
+      <div class="pp-prov-meta">${escapeHTML(label)}${by}${when ? ` · ${when}` : ""}</div>
+      ${body}
+    `;
+
+    // Grid rows get a full-width row below; benefit cards get a box under the grid
+    const host = target.closest(".pp-data-value") || target.closest(".pp-benefit-grid");
+    (host || target).insertAdjacentElement("afterend", el);
+  }
+
+  function highlightValue(escapedSnippet, value) {
+    const lower = escapedSnippet.toLowerCase();
+    for (const needle of PP.provenance._needles(value)) {
+      const idx = lower.indexOf(needle);
+      if (idx === -1) continue;
+      return escapedSnippet.slice(0, idx)
+        + `<mark>${escapedSnippet.slice(idx, idx + needle.length)}</mark>`
+        + escapedSnippet.slice(idx + needle.length);
+    }
+    return escapedSnippet;
+  }
+
+  // ── Manual Corrections ──────────────────────────────────
+
+  // Scalar fields in the editor, grouped as on the Benefits view.
+  // Type: text (as typed) · money (strip $ and commas) · pct (0–100)
+  const EDIT_SECTIONS = [
+    ["Plan Details", [
+      ["payer", "text"], ["planName", "text"], ["planType", "text"],
+      ["groupNumber", "text"], ["subscriberId", "text"],
+      ["effective.start", "text"], ["effective.end", "text"],
+    ]],
+    ["Deductible & Maximum", [
+      ["deductible.individual", "money"], ["deductible.family", "money"],
+      ["deductible.remaining", "money"], ["deductible.appliesTo", "text"],
+      ["annualMax.individual", "money"], ["annualMax.family", "money"],
+      ["annualMax.remaining", "money"],
+    ]],
+    ["Frequencies", [
+      ["frequencies.prophy", "text"], ["frequencies.exam", "text"], ["frequencies.bwx", "text"],
+      ["frequencies.fmx", "text"], ["frequencies.pano", "text"],
+      ["frequencies.sealants", "text"], ["frequencies.fluoride", "text"],
+    ]],
+  ];
+
+  // List fields → [column, placeholder, type]
+  const EDIT_LISTS = {
+    waitingPeriods: [["category", "Category", "text"], ["period", "Period", "text"]],
+    coverageExceptions: [["cdtCodes", "Codes", "text"], ["description", "Description", "text"], ["inNetwork", "In %", "pct"], ["outOfNetwork", "Out %", "pct"], ["note", "Note", "text"]],
+    ageLimits: [["service", "Service", "text"], ["limit", "Limit", "text"]],
+  };
+
+  let editBaseline = null;   // form values as first rendered — only fields that differ are saved
+
+  function cacheKeyFor(card) {
+    return PP.storage.cacheKeyFromIdentifiers(card.patientName, card.subscriberId, card.payer);
+  }
+
+  /** "Edited" pill for list sections a staff member has corrected. */
+  function editedBadge(card, path) {
+    const prov = PP.provenance.get(card, path);
+    if (prov?.source !== PP.provenance.SOURCES.MANUAL) return "";
+    const when = prov.at ? new Date(prov.at).toLocaleDateString() : "";
+    return `<span class="pp-badge pp-badge-amber" title="Corrected${prov.by ? ` by ${escapeHTML(prov.by)}` : ""}${when ? ` on ${when}` : ""}">Edited</span>`;
+  }
+
+  function buildCorrectionConflictsSection(conflicts) {
+    if (!conflicts?.length) return "";
+    const items = conflicts.map(c =>
+      `<li><strong>${escapeHTML(PP.cardEditor.label(c.field))}</strong>: kept ${escapeHTML(PP.cardEditor.formatValue(c.field, c.kept))} — page now shows ${escapeHTML(PP.cardEditor.formatValue(c.field, c.extracted))}</li>`
+    ).join("");
+    return `
+      <div class="pp-section pp-edit-conflicts">
+        <div class="pp-section-title">✏️ Manual Corrections Kept</div>
+        <ul class="pp-checklist">${items}</ul>
+        <div class="pp-edit-hint">The page disagrees with an earlier correction. Use ✏️ Edit if the page is now right.</div>
+      </div>
+    `;
+  }
+
+  function buildEditHistorySection(card) {
+    const history = card.editHistory || [];
+    if (!history.length) return "";
+    const items = history.slice().reverse().slice(0, 25).map(h => `
+      <li>
+        <span class="pp-edit-history-meta">${escapeHTML(new Date(h.at).toLocaleString())} · ${escapeHTML(h.by || "Unknown")}</span>
+        ${escapeHTML(PP.cardEditor.label(h.field))}: ${escapeHTML(PP.cardEditor.formatValue(h.field, h.from))} → ${escapeHTML(PP.cardEditor.formatValue(h.field, h.to))}
+      </li>
+    `).join("");
+    return `
+      <div class="pp-section">
+        <details class="pp-edit-history">
+          <summary>Edit History (${history.length})</summary>
+          <ul>${items}</ul>
+        </details>
+      </div>
+    `;
+  }
+
+  async function renderCardEditor(card) {
+    if (!card) return;
+    const staffName = (await PP.storage.getSettings()).staffName || "";
+
+    const input = (path, type, value) => {
+      const shown = type === "money" && value !== null ? String(value).replace(/^\$/, "") : (value ?? "");
+      return `<input type="text" class="pp-input pp-edit-input" data-edit-path="${escapeHTML(path)}" data-type="${type}" value="${escapeHTML(shown)}"${type === "pct" ? ' inputmode="numeric" placeholder="%"' : ""} />`;
+    };
+
+    const sections = EDIT_SECTIONS.map(([title, fields]) => `
+      <div class="pp-section">
+        <div class="pp-section-title">${title}</div>
+        <div class="pp-edit-grid">
+          ${fields.map(([path, type]) => `
+            <label class="pp-edit-label">${escapeHTML(PP.cardEditor.label(path))}</label>
+            ${input(path, type, PP.cardEditor.valueAt(card, path))}
+          `).join("")}
+        </div>
+      </div>
+    `).join("");
+
+    const rows = (card.coverageTable?.length ? card.coverageTable : PP.normalize.LEGACY_COVERAGE_ROWS.map(([, category]) => ({ category, inNetwork: null })))
+      .map(r => `
+        <label class="pp-edit-label">${escapeHTML(r.category)}</label>
+        ${input(`coverageTable.${r.category}`, "pct", r.inNetwork)}
+      `).join("");
+
+    const lists = Object.keys(EDIT_LISTS).map(field => `
+      <div class="pp-section">
+        <div class="pp-section-title">${escapeHTML(PP.cardEditor.label(field))}</div>
+        <div class="pp-edit-list" data-list="${field}">
+          ${(card[field] || []).map(item => buildEditRow(field, item)).join("")}
+        </div>
+        <button class="pp-btn pp-btn-sm" data-action="edit-add-row" data-list="${field}">+ Add</button>
+      </div>
+    `).join("");
+
+    bodyEl.innerHTML = `
+      <div class="pp-section">
+        <div class="pp-section-title">✏️ Correct Benefits</div>
+        <div class="pp-edit-hint">Corrected fields are marked as manual edits and kept when the page is re-extracted.</div>
+        <label class="pp-label">Edited by</label>
+        <input type="text" id="pp-edit-by" class="pp-input" value="${escapeHTML(staffName)}" placeholder="Your name" autocomplete="off" />
+      </div>
+      ${sections}
+      <div class="pp-section">
+        <div class="pp-section-title">Coverage Table (In-Network %)</div>
+        <div class="pp-edit-grid">${rows}</div>
+      </div>
+      ${lists}
+      <div class="pp-section">
+        <div class="pp-section-title">${escapeHTML(PP.cardEditor.label("notes"))}</div>
+        <textarea class="pp-input pp-edit-notes" id="pp-edit-notes" rows="4" placeholder="One note per line">${escapeHTML((card.notes || []).join("\n"))}</textarea>
+      </div>
+      <div class="pp-section pp-edit-actions">
+        <button class="pp-btn pp-btn-primary" data-action="edit-save">Save Corrections</button>
+        <button class="pp-btn" data-action="edit-cancel">Cancel</button>
+      </div>
+    `;
+    bodyEl.scrollTop = 0;
+
+    try {
+      editBaseline = readEditForm();
+    } catch {
+      editBaseline = null;   // stored value the form can't represent — compare against the card instead
+    }
+  }
+
+  function buildEditRow(field, item = {}) {
+    const cells = EDIT_LISTS[field].map(([col, placeholder, type]) =>
+      `<input type="text" class="pp-input pp-edit-input" data-col="${col}" data-type="${type}" placeholder="${placeholder}" value="${escapeHTML(item[col] ?? "")}" />`
+    ).join("");
+    return `<div class="pp-edit-row">${cells}<button class="pp-btn pp-btn-sm" data-action="edit-remove-row" title="Remove">✕</button></div>`;
+  }
+
+  /** Parse one editor input by its data-type; throws on invalid values. */
+  function readEditValue(inputEl, label) {
+    const raw = inputEl.value.trim();
+    if (!raw) return null;
+    const type = inputEl.dataset.type;
+    if (type === "pct") {
+      const n = Number(raw.replace(/%$/, ""));
+      if (isNaN(n) || n < 0 || n > 100) throw new Error(`${label}: enter a percentage from 0 to 100.`);
+      return n;
+    }
+    if (type === "money") {
+      const s = raw.replace(/[$,\s]/g, "");
+      if (isNaN(Number(s))) throw new Error(`${label}: enter a dollar amount.`);
+      return s;
+    }
+    return raw;
+  }
+
+  /** Collect { fieldPath: value } from the editor form. */
+  function readEditForm() {
+    const edits = {};
+    bodyEl.querySelectorAll("[data-edit-path]").forEach(el => {
+      edits[el.dataset.editPath] = readEditValue(el, PP.cardEditor.label(el.dataset.editPath));
+    });
+
+    for (const field of Object.keys(EDIT_LISTS)) {
+      edits[field] = [...bodyEl.querySelectorAll(`.pp-edit-list[data-list="${field}"] .pp-edit-row`)]
+        .map(row => {
+          const item = {};
+          row.querySelectorAll("[data-col]").forEach(el => {
+            item[el.dataset.col] = readEditValue(el, PP.cardEditor.label(field));
+          });
+          return item;
+        })
+        .filter(item => Object.values(item).some(v => v !== null));
+    }
+
+    edits.notes = document.getElementById("pp-edit-notes").value
+      .split("\n").map(n => n.trim()).filter(Boolean);
+    return edits;
+  }
+
+  async function saveCardEdits() {
+    if (!currentCard) return;
+    const by = document.getElementById("pp-edit-by").value.trim();
+    if (!by) { showToast("Enter your name so the correction is on record."); return; }
+
+    let edits;
+    try {
+      edits = readEditForm();
+    } catch (err) {
+      showToast(err.message);
+      return;
+    }
+
+    // Re-saving a value the form merely reformatted ("$50" → "50") is not a correction
+    if (editBaseline) {
+      edits = Object.fromEntries(Object.entries(edits)
+        .filter(([path, value]) => JSON.stringify(value) !== JSON.stringify(editBaseline[path])));
+    }
+
+    const oldKey = cacheKeyFor(currentCard);
+    const changes = PP.cardEditor.apply(currentCard, edits, by);
+    if (!changes.length) {
+      showToast("No changes to save.");
+      closeCardEditor();
+      return;
+    }
+
+    // Correcting the carrier or subscriber ID moves the card to a new cache key
+    const newKey = cacheKeyFor(currentCard);
+    if (oldKey && oldKey !== newKey) await PP.storage.removeCachedCard(oldKey);
+    await PP.storage.cacheCard(currentCard);
+
+    const settings = await PP.storage.getSettings();
+    if (!settings.staffName) await saveStaffName(by);
+
+    cachedActionsHTML = null;
+    const missingItems = PP.normalize.missingItems(currentCard);
+    renderResult(currentCard, missingItems, { cached: cardFromCache, cachedAt: new Date().toISOString(), ageDays: 0 });
+    showToast(`Saved ${changes.length} correction${changes.length > 1 ? "s" : ""}.`);
+  }
+
+  function closeCardEditor() {
+    if (cachedBenefitsHTML) {
+      bodyEl.innerHTML = cachedBenefitsHTML;
+      wireActions();
+    } else if (currentCard) {
+      renderResult(currentCard, PP.normalize.missingItems(currentCard), { cached: cardFromCache });
+    }
+  }
+
   // ── View Tab Management ─────────────────────────────────
 
   function updateViewTabs() {
@@ -1372,6 +2965,12 @@ ${contextParts.length ? contextParts.join("\n") : "No patient data scanned yet."
     const tierClass = `pp-tier-${entry.tier || "basic"}`;
     const tierLabel = PP.cdtCodes.TIER_LABELS[entry.tier] || entry.tier || "";
     const starIcon = entry.starred ? "⭐ " : "";
+    const fees = PP.feeSchedule.lookup(entry.code, currentCard?.payer || currentPatientCtx?.insurance?.carrier);
+    const feeText = fees
+      ? [fees.ucr !== null ? `$${fees.ucr.toFixed(2)}` : null,
+         fees.allowed !== null ? `${escapeHTML(fees.payerName)} $${fees.allowed.toFixed(2)}` : null]
+          .filter(Boolean).join(" / ")
+      : "";
     return `
       <div class="pp-cdt-item${entry.starred ? " pp-cdt-starred" : ""}">
         <div><span class="pp-cdt-code">${entry.code}</span><span class="pp-cdt-name">${starIcon}${escapeHTML(entry.aka || entry.name)}</span></div>
@@ -1379,6 +2978,7 @@ ${contextParts.length ? contextParts.join("\n") : "No patient data scanned yet."
           <span class="pp-cdt-tier ${tierClass}">${escapeHTML(tierLabel)}</span>
           <span>${escapeHTML(entry.category)} (${entry.cdtRange})</span>
           ${cov !== null ? `<span class="pp-cdt-coverage ${covClass}">${cov}%</span>` : '<span class="pp-cdt-coverage pp-cov-none">—</span>'}
+          ${feeText ? `<span class="pp-cdt-fee">${feeText}</span>` : ""}
         </div>
         ${entry.note ? `<div class="pp-cdt-note">${escapeHTML(entry.note)}</div>` : ""}
       </div>
@@ -1427,6 +3027,22 @@ ${contextParts.length ? contextParts.join("\n") : "No patient data scanned yet."
   // ── Recent Patients ─────────────────────────────────────
 
   let _cachedCards = [];
+  /** Show a cached card entry ({ card, cachedAt }) — recent patients list and huddle. */
+  function showCachedEntry(entry) {
+    currentCard = entry.card;
+    cardFromCache = true;
+    const ageDays = Math.floor((Date.now() - new Date(entry.cachedAt).getTime()) / 86400000);
+    const missingItems = PP.normalize.missingItems(currentCard);
+    // Clear chat before renderResult so context indicator shows the right patient
+    const cachedName = currentCard.patientName;
+    const cachedSub = [currentCard.payer, currentCard.planName].filter(Boolean).join(" · ") || null;
+    if (cachedName && cachedName.toLowerCase() !== (chatPatientName || "").toLowerCase()) {
+      clearChatForPatient(cachedName, cachedSub);
+    }
+    renderResult(currentCard, missingItems, { cached: true, cachedAt: entry.cachedAt, ageDays });
+    showToast(`Loaded benefits for ${cachedName || "patient"}`);
+  }
+
   async function loadRecentPatients() {
     const container = document.getElementById("pp-recent-patients");
     if (!container) return;
@@ -1461,6 +3077,14 @@ ${contextParts.length ? contextParts.join("\n") : "No patient data scanned yet."
     // Wire CDT search
     const cdtInput = document.querySelector(".pp-cdt-search");
     if (cdtInput) cdtInput.addEventListener("input", handleCDTSearchInput);
+
+    // Wire cost estimate fee inputs (restore typed values after a view switch)
+    const feeInputs = document.querySelectorAll(".pp-est-fee");
+    feeInputs.forEach(input => {
+      input.value = estimateFees[input.dataset.code] ?? "";
+      input.addEventListener("input", handleEstimateFeeInput);
+    });
+    if (feeInputs.length) refreshCostBreakdown();
   }
 
   /** Wire the fixed chat bar (called once on init) */
@@ -1468,6 +3092,7 @@ ${contextParts.length ? contextParts.join("\n") : "No patient data scanned yet."
     if (chatInputEl) {
       chatInputEl.addEventListener("keydown", (e) => {
         if (e.key === "Enter" && !e.shiftKey) { e.preventDefault(); handleChatSend(); }
+        if (e.key === "Escape") stopChat();
       });
     }
   }
@@ -1488,6 +3113,23 @@ ${contextParts.length ? contextParts.join("\n") : "No patient data scanned yet."
       case "capture-selection":
         captureAndExtract("selection");
         break;
+      case "session-start":
+        startCaptureSession();
+        break;
+      case "session-add":
+        addSessionPage();
+        break;
+      case "session-extract":
+        extractCaptureSession();
+        break;
+      case "session-cancel":
+        endCaptureSession();
+        if (activeTabId) requestPageData(activeTabId);
+        else renderIdle();
+        break;
+      case "doc-pick":
+        document.getElementById("pp-doc-file").click();
+        break;
       case "copy-note":
         copyToClipboard(target, PP.formatter.verificationNote(currentCard));
         break;
@@ -1519,23 +3161,52 @@ ${contextParts.length ? contextParts.join("\n") : "No patient data scanned yet."
       }
       case "load-cached": {
         const idx = parseInt(target.closest("[data-cache-index]")?.dataset?.cacheIndex, 10);
-        if (_cachedCards[idx]) {
-          const entry = _cachedCards[idx];
-          currentCard = entry.card;
-          cardFromCache = true;
-          const ageDays = Math.floor((Date.now() - new Date(entry.cachedAt).getTime()) / 86400000);
-          const missingItems = PP.normalize.missingItems(currentCard);
-          // Clear chat before renderResult so context indicator shows the right patient
-          const cachedName = currentCard.patientName;
-          const cachedSub = [currentCard.payer, currentCard.planName].filter(Boolean).join(" · ") || null;
-          if (cachedName && cachedName.toLowerCase() !== (chatPatientName || "").toLowerCase()) {
-            clearChatForPatient(cachedName, cachedSub);
-          }
-          renderResult(currentCard, missingItems, { cached: true, cachedAt: entry.cachedAt, ageDays });
-          showToast(`Loaded benefits for ${cachedName || "patient"}`);
-        }
+        if (_cachedCards[idx]) showCachedEntry(_cachedCards[idx]);
         break;
       }
+      case "huddle-open":
+        PP.storage.getCachedCard(target.dataset.cacheKey).then(entry => {
+          if (entry) showCachedEntry(entry);
+          else showToast("Benefits for this patient are no longer cached.");
+        });
+        break;
+      case "huddle-refresh":
+        if (lastScheduleText) showHuddle(lastScheduleText);
+        break;
+      case "queue-open":
+      case "queue-show":
+        renderQueue();
+        break;
+      case "queue-from-huddle":
+        if (lastSchedule) startQueue(PP.verifyQueue.fromSchedule(lastSchedule));
+        break;
+      case "queue-start-list":
+        startQueueFromList();
+        break;
+      case "queue-select":
+        selectQueueItem(Number(target.dataset.id));
+        break;
+      case "queue-capture":
+        captureAndExtract("page");
+        break;
+      case "queue-done":
+        completeQueueItem();
+        break;
+      case "queue-skip":
+        skipQueueItem();
+        break;
+      case "queue-report":
+        renderQueueReport();
+        break;
+      case "queue-copy-report":
+        copyToClipboard(target, PP.formatter.verificationReport(activeQueue));
+        break;
+      case "queue-clear":
+        clearQueue();
+        break;
+      case "purge-patient":
+        purgePatient();
+        break;
       case "clear-cache":
         PP.storage.clearCardCache().then(() => {
           showToast("Cache cleared");
@@ -1548,6 +3219,34 @@ ${contextParts.length ? contextParts.join("\n") : "No patient data scanned yet."
       case "chat-send":
         handleChatSend();
         break;
+      case "chat-stop":
+        stopChat();
+        break;
+      case "chat-export":
+        exportChat(target);
+        break;
+      case "chat-clear":
+        clearChat();
+        break;
+      case "show-source":
+        toggleSourceSnippet(target);
+        break;
+      case "edit-card":
+        renderCardEditor(currentCard);
+        break;
+      case "edit-add-row":
+        bodyEl.querySelector(`.pp-edit-list[data-list="${target.dataset.list}"]`)
+          ?.insertAdjacentHTML("beforeend", buildEditRow(target.dataset.list));
+        break;
+      case "edit-remove-row":
+        target.closest(".pp-edit-row")?.remove();
+        break;
+      case "edit-save":
+        saveCardEdits();
+        break;
+      case "edit-cancel":
+        closeCardEditor();
+        break;
       case "show-benefits":
         if (currentCard) {
           const missingItems = PP.normalize.missingItems(currentCard);
@@ -1620,7 +3319,13 @@ ${contextParts.length ? contextParts.join("\n") : "No patient data scanned yet."
   async function init() {
     console.log("[PracticePilot SidePanel] Initializing");
     initSettings();
+    initReview();
     wireChatBar();
+    initDocumentDrop();
+    await initLock();
+    runRetention();
+    await loadQueue();
+    await PP.feeSchedule.load();
 
     // Get the active tab and request page data
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });